@@ -0,0 +1,204 @@
+// Business analytics - SQL aggregations over quotes and completed payments.
+// Every function takes a range { from, to } of Nairobi calendar dates (YYYY-MM-DD).
+
+const NAIROBI_TIME_ZONE = 'Africa/Nairobi';
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Timestamps are stored without a zone, in the database's own; this turns one into Nairobi local time
+const nairobiTime = (column) => `(${column}::timestamptz AT TIME ZONE '${NAIROBI_TIME_ZONE}')`;
+
+// Rows whose Nairobi calendar day falls between the dates in parameters `from` and `to`
+const withinDays = (column, from, to) => `${nairobiTime(column)}::date BETWEEN ${from}::date AND ${to}::date`;
+
+// What a completed payment brought in: the callback amount when M-Pesa reported one
+const PAYMENT_REVENUE = 'COALESCE(p.amount_received, p.amount)';
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value));
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Quotes created in the range, how many were paid for and how quickly
+async function overview(db, range) {
+  const [cohortResult, revenueResult] = await Promise.all([
+    db.query(
+      `WITH cohort AS (
+         SELECT q.total_price, q.created_at, first_payment.paid_at
+         FROM quotes q
+         LEFT JOIN LATERAL (
+           SELECT MIN(p.created_at) AS paid_at FROM payments p
+           WHERE p.quote_id = q.id AND p.status = 'completed'
+         ) first_payment ON TRUE
+         WHERE ${withinDays('q.created_at', '$1', '$2')}
+       )
+       SELECT COUNT(*) AS quotes,
+              COUNT(paid_at) AS paid_quotes,
+              COALESCE(SUM(total_price), 0) AS quoted_value,
+              AVG(total_price) FILTER (WHERE paid_at IS NOT NULL) AS average_order_value,
+              PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM paid_at - created_at)) AS median_seconds_to_payment
+       FROM cohort`,
+      [range.from, range.to]
+    ),
+    db.query(
+      `SELECT COUNT(*) AS payments, COALESCE(SUM(${PAYMENT_REVENUE}), 0) AS revenue
+       FROM payments p
+       WHERE p.status = 'completed' AND ${withinDays('p.created_at', '$1', '$2')}`,
+      [range.from, range.to]
+    )
+  ]);
+
+  const cohort = cohortResult.rows[0];
+  const quotes = parseInt(cohort.quotes);
+  const paidQuotes = parseInt(cohort.paid_quotes);
+  const medianSeconds = cohort.median_seconds_to_payment;
+
+  return {
+    quotes,
+    paidQuotes,
+    conversionRate: quotes > 0 ? roundTo(paidQuotes / quotes, 4) : null,
+    quotedValue: toNumber(cohort.quoted_value),
+    averageOrderValue: cohort.average_order_value === null ? null : roundTo(toNumber(cohort.average_order_value), 2),
+    medianHoursToPayment: medianSeconds === null ? null : roundTo(medianSeconds / 3600, 1),
+    payments: parseInt(revenueResult.rows[0].payments),
+    revenue: toNumber(revenueResult.rows[0].revenue)
+  };
+}
+
+// Quotes and revenue per day, week (from Monday) or month, with empty periods included
+async function timeSeries(db, range, interval) {
+  const seriesResult = await db.query(
+    `WITH periods AS (
+       SELECT generate_series(
+         date_trunc($3, $1::date::timestamp),
+         date_trunc($3, $2::date::timestamp),
+         ('1 ' || $3)::interval
+       )::date AS period
+     ),
+     quote_totals AS (
+       SELECT date_trunc($3, ${nairobiTime('q.created_at')})::date AS period,
+              COUNT(*) AS quotes, SUM(q.total_price) AS quoted_value
+       FROM quotes q
+       WHERE ${withinDays('q.created_at', '$1', '$2')}
+       GROUP BY 1
+     ),
+     revenue_totals AS (
+       SELECT date_trunc($3, ${nairobiTime('p.created_at')})::date AS period,
+              COUNT(*) AS payments, SUM(${PAYMENT_REVENUE}) AS revenue
+       FROM payments p
+       WHERE p.status = 'completed' AND ${withinDays('p.created_at', '$1', '$2')}
+       GROUP BY 1
+     )
+     SELECT to_char(periods.period, 'YYYY-MM-DD') AS period,
+            COALESCE(quote_totals.quotes, 0) AS quotes,
+            COALESCE(quote_totals.quoted_value, 0) AS quoted_value,
+            COALESCE(revenue_totals.payments, 0) AS payments,
+            COALESCE(revenue_totals.revenue, 0) AS revenue
+     FROM periods
+     LEFT JOIN quote_totals USING (period)
+     LEFT JOIN revenue_totals USING (period)
+     ORDER BY periods.period`,
+    [range.from, range.to, interval]
+  );
+
+  return seriesResult.rows.map(row => ({
+    period: row.period,
+    quotes: parseInt(row.quotes),
+    quotedValue: toNumber(row.quoted_value),
+    payments: parseInt(row.payments),
+    revenue: toNumber(row.revenue)
+  }));
+}
+
+// Revenue received in the range, split across each quote's lines in proportion to
+// their totals. Quotes from before line items count as their own mesh and material.
+async function revenueByProduct(db, range) {
+  const productResult = await db.query(
+    `WITH paid AS (
+       SELECT p.quote_id, SUM(${PAYMENT_REVENUE}) AS revenue
+       FROM payments p
+       WHERE p.status = 'completed' AND ${withinDays('p.created_at', '$1', '$2')}
+       GROUP BY p.quote_id
+     ),
+     lines AS (
+       SELECT i.quote_id, i.mesh_type, i.material_type, i.quantity,
+              i.line_total / NULLIF(SUM(i.line_total) OVER (PARTITION BY i.quote_id), 0) AS share
+       FROM quote_items i
+       JOIN paid ON paid.quote_id = i.quote_id
+       UNION ALL
+       SELECT q.id, q.mesh_type, q.material_type, q.window_count, 1
+       FROM quotes q
+       JOIN paid ON paid.quote_id = q.id
+       WHERE NOT EXISTS (SELECT 1 FROM quote_items i WHERE i.quote_id = q.id)
+     )
+     SELECT lines.mesh_type, lines.material_type,
+            GROUPING(lines.mesh_type) AS all_meshes, GROUPING(lines.material_type) AS all_materials,
+            ROUND(SUM(paid.revenue * COALESCE(lines.share, 0)), 2) AS revenue,
+            SUM(lines.quantity) AS units,
+            COUNT(DISTINCT lines.quote_id) AS quotes
+     FROM lines
+     JOIN paid USING (quote_id)
+     GROUP BY GROUPING SETS ((lines.mesh_type), (lines.material_type), (lines.mesh_type, lines.material_type))
+     ORDER BY revenue DESC, lines.mesh_type, lines.material_type`,
+    [range.from, range.to]
+  );
+
+  const format = (row) => ({
+    revenue: toNumber(row.revenue),
+    units: parseInt(row.units),
+    quotes: parseInt(row.quotes)
+  });
+
+  return {
+    byMeshType: productResult.rows
+      .filter(row => row.all_materials === 1 && row.all_meshes === 0)
+      .map(row => ({ meshType: row.mesh_type, ...format(row) })),
+    byMaterial: productResult.rows
+      .filter(row => row.all_meshes === 1 && row.all_materials === 0)
+      .map(row => ({ materialType: row.material_type, ...format(row) })),
+    byProduct: productResult.rows
+      .filter(row => row.all_meshes === 0 && row.all_materials === 0)
+      .map(row => ({ meshType: row.mesh_type, materialType: row.material_type, ...format(row) }))
+  };
+}
+
+// Install areas with the most quotes created in the range. The area is the part
+// of the location before the first comma, so "Karen, Nairobi" counts as Karen.
+async function topAreas(db, range, { limit = 10 } = {}) {
+  const areasResult = await db.query(
+    `WITH located AS (
+       SELECT q.id, LOWER(TRIM(SPLIT_PART(q.install_location, ',', 1))) AS area
+       FROM quotes q
+       WHERE ${withinDays('q.created_at', '$1', '$2')}
+     )
+     SELECT INITCAP(located.area) AS area,
+            COUNT(*) AS quotes,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM payments p WHERE p.quote_id = located.id AND p.status = 'completed'
+            )) AS paid_quotes,
+            COALESCE(SUM((
+              SELECT SUM(${PAYMENT_REVENUE}) FROM payments p
+              WHERE p.quote_id = located.id AND p.status = 'completed'
+            )), 0) AS revenue
+     FROM located
+     WHERE located.area <> ''
+     GROUP BY located.area
+     ORDER BY quotes DESC, revenue DESC, located.area
+     LIMIT $3`,
+    [range.from, range.to, limit]
+  );
+
+  return areasResult.rows.map(row => ({
+    area: row.area,
+    quotes: parseInt(row.quotes),
+    paidQuotes: parseInt(row.paid_quotes),
+    revenue: toNumber(row.revenue)
+  }));
+}
+
+module.exports = {
+  NAIROBI_TIME_ZONE,
+  INTERVALS,
+  overview,
+  timeSeries,
+  revenueByProduct,
+  topAreas
+};
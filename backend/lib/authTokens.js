@@ -0,0 +1,53 @@
+// Single-use account tokens (password reset, email verification)
+const crypto = require('crypto');
+
+const TOKEN_PURPOSES = {
+  passwordReset: 'password_reset',
+  emailVerification: 'email_verification'
+};
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 48 * 60 * 60 * 1000
+};
+
+// Only the hash is stored, so a leaked table cannot be used to take over accounts
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a new token, invalidating any earlier unused one for the same purpose
+async function issueToken(db, userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await db.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + TOKEN_TTL_MS[purpose])]
+  );
+
+  return token;
+}
+
+// Mark a token used and return its user id, or null if it is unknown, used or expired
+async function consumeToken(db, token, purpose) {
+  const tokenResult = await db.query(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > $3
+     RETURNING user_id`,
+    [hashToken(token), purpose, new Date()]
+  );
+  return tokenResult.rows.length > 0 ? tokenResult.rows[0].user_id : null;
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  TOKEN_TTL_MS,
+  hashToken,
+  issueToken,
+  consumeToken
+};
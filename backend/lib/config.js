@@ -0,0 +1,113 @@
+// Startup configuration checks and secrets
+const crypto = require('crypto');
+
+const MIN_SECRET_LENGTH = 32;
+
+// Secrets that must be set explicitly in production
+const REQUIRED_SECRETS = ['JWT_SECRET', 'MPESA_CALLBACK_SECRET'];
+
+// Values that shipped as fallbacks in earlier versions and are therefore public
+const KNOWN_DEFAULTS = ['expert_polyhomes_secret_2024', 'expert_polyhomes_mpesa_callback_2024'];
+
+// Settings each optional integration needs once it is switched on
+const PROVIDER_SETTINGS = [
+  {
+    enabled: (env) => env.MPESA_PROVIDER === 'daraja',
+    label: 'MPESA_PROVIDER=daraja',
+    keys: ['MPESA_CONSUMER_KEY', 'MPESA_CONSUMER_SECRET', 'MPESA_SHORTCODE', 'MPESA_PASSKEY', 'MPESA_CALLBACK_URL']
+  },
+  {
+    enabled: (env) => env.SMS_PROVIDER === 'africastalking',
+    label: 'SMS_PROVIDER=africastalking',
+    keys: ['AT_USERNAME', 'AT_API_KEY']
+  }
+];
+
+const isProduction = (env) => env.NODE_ENV === 'production';
+
+// Safaricom has to reach the callback from the internet, over HTTPS
+function isPublicHttpsUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return url.protocol === 'https:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+// Returns { errors, warnings }; the server refuses to start while there are errors
+function validateConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+
+  if (isProduction(env)) {
+    if (!env.DATABASE_URL) {
+      errors.push('DATABASE_URL is required in production');
+    }
+
+    for (const name of REQUIRED_SECRETS) {
+      const value = env[name];
+      if (!value) {
+        errors.push(`${name} is required in production`);
+      } else if (KNOWN_DEFAULTS.includes(value)) {
+        errors.push(`${name} is set to a published default; generate a new secret`);
+      } else if (value.length < MIN_SECRET_LENGTH) {
+        errors.push(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+      }
+    }
+
+    // The simulator marks every prompt as paid, so it only runs on purpose, e.g. on a staging server
+    if (env.MPESA_PROVIDER !== 'daraja') {
+      if (env.MPESA_ALLOW_SIMULATOR === 'true') {
+        warnings.push('M-Pesa is using the simulator; set MPESA_PROVIDER=daraja to take real payments');
+      } else {
+        errors.push('M-Pesa would use the simulator, which settles payments without taking money; set MPESA_PROVIDER=daraja, or MPESA_ALLOW_SIMULATOR=true for a staging server');
+      }
+      if (!env.MPESA_CALLBACK_URL) {
+        errors.push('MPESA_CALLBACK_URL is required in production');
+      }
+    }
+  } else {
+    for (const name of REQUIRED_SECRETS) {
+      if (!env[name]) {
+        warnings.push(`${name} is not set; using a random value, so it changes on every restart`);
+      }
+    }
+  }
+
+  for (const provider of PROVIDER_SETTINGS) {
+    if (!provider.enabled(env)) continue;
+    const missing = provider.keys.filter(key => !env[key]);
+    if (missing.length > 0) {
+      errors.push(`${provider.label} needs ${missing.join(', ')}`);
+    }
+  }
+
+  if (env.MPESA_PROVIDER === 'daraja' && env.MPESA_CALLBACK_URL && !isPublicHttpsUrl(env.MPESA_CALLBACK_URL)) {
+    errors.push('MPESA_CALLBACK_URL must be a public https:// address Safaricom can reach');
+  }
+
+  return { errors, warnings };
+}
+
+// Where M-Pesa posts payment results. Only local development falls back to this
+// server itself; validateConfig stops production from starting without one.
+function mpesaCallbackUrl(env, port) {
+  if (env.MPESA_CALLBACK_URL) return env.MPESA_CALLBACK_URL;
+  return isProduction(env) ? null : `http://localhost:${port}/api/mpesa/callback`;
+}
+
+// The configured secret, or a throwaway one for local development
+// (validateConfig keeps a production server from starting without it)
+function secretFrom(env, name) {
+  return env[name] || crypto.randomBytes(MIN_SECRET_LENGTH).toString('hex');
+}
+
+module.exports = {
+  MIN_SECRET_LENGTH,
+  REQUIRED_SECRETS,
+  validateConfig,
+  mpesaCallbackUrl,
+  secretFrom
+};
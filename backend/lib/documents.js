@@ -0,0 +1,285 @@
+// Customer documents - branded PDF quotations and payment receipts
+const PDFDocument = require('pdfkit');
+
+const BRAND = 'Expert Polyhomes';
+const TAGLINE = 'Premium mosquito nets in Nairobi';
+
+// Quotations are honoured for this long after they are issued
+const QUOTATION_VALID_DAYS = 30;
+
+const COLORS = {
+  brand: '#0098c2',
+  text: '#1f2933',
+  muted: '#7b8794',
+  rule: '#d9e2ec',
+  shade: '#e0f2f7'
+};
+
+const PAGE_MARGIN = 50;
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatKes = (amount) => `KES ${formatAmount(amount)}`;
+const formatDimension = (value) => Number(value).toFixed(2);
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+// Documents show Nairobi dates, e.g. "5 March 2024"
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Nairobi'
+});
+
+const documentNumber = (prefix, id) => `${prefix}-${String(id).padStart(6, '0')}`;
+
+// Business details printed on every document, from the environment
+function businessDetails(env = process.env) {
+  return {
+    name: BRAND,
+    address: env.BUSINESS_ADDRESS || 'Nairobi, Kenya',
+    phone: env.BUSINESS_PHONE || null,
+    email: env.BUSINESS_EMAIL || env.ADMIN_EMAIL || 'admin@expertpolyhomes.com',
+    kraPin: env.BUSINESS_KRA_PIN || null,
+    paybill: env.MPESA_SHORTCODE || null
+  };
+}
+
+function createPdf(title, subject) {
+  return new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    // Kept until the end so the footer can number every page
+    bufferPages: true,
+    info: { Title: title, Subject: subject, Author: BRAND, Creator: BRAND }
+  });
+}
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+// Brand bar, business details and the document title with its number and date
+function drawHeader(doc, business, { title, number, details }) {
+  doc.rect(0, 0, doc.page.width, 8).fill(COLORS.brand);
+
+  doc.fillColor(COLORS.brand).font('Helvetica-Bold').fontSize(22).text(business.name, PAGE_MARGIN, 36);
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(TAGLINE);
+  const contact = [business.address, business.phone, business.email].filter(Boolean).join('  |  ');
+  doc.text(contact);
+  if (business.kraPin) doc.text(`KRA PIN: ${business.kraPin}`);
+
+  const right = doc.page.width - PAGE_MARGIN - 200;
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(18).text(title, right, 36, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+  for (const [label, value] of [['No.', number], ...details]) {
+    doc.text(`${label} ${value}`, right, doc.y, { width: 200, align: 'right' });
+  }
+
+  doc.moveTo(PAGE_MARGIN, 118).lineTo(doc.page.width - PAGE_MARGIN, 118).strokeColor(COLORS.rule).stroke();
+  doc.x = PAGE_MARGIN;
+  doc.y = 132;
+}
+
+function drawParty(doc, heading, lines) {
+  doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(8).text(heading.toUpperCase(), PAGE_MARGIN, doc.y);
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+  lines.filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown();
+}
+
+// Columns are { header, width, align }; rows are arrays of cell text
+function drawTable(doc, columns, rows) {
+  const drawRow = (cells, { bold = false, shaded = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), { width: columns[index].width - 8 }))) + 8;
+
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+      if (!bold) drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+    }
+
+    const top = doc.y;
+    if (shaded) doc.rect(PAGE_MARGIN, top, contentWidth(doc), height).fill(COLORS.shade);
+
+    let x = PAGE_MARGIN;
+    doc.fillColor(COLORS.text);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + 4, top + 4, { width: columns[index].width - 8, align: columns[index].align || 'left' });
+      x += columns[index].width;
+    });
+
+    doc.moveTo(PAGE_MARGIN, top + height).lineTo(PAGE_MARGIN + contentWidth(doc), top + height).strokeColor(COLORS.rule).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown();
+}
+
+// Label/amount pairs aligned to the right; the last one is the grand total
+function drawTotals(doc, lines) {
+  const labelX = doc.page.width - PAGE_MARGIN - 250;
+  lines.forEach(([label, amount], index) => {
+    const isTotal = index === lines.length - 1;
+    const top = doc.y;
+    doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(isTotal ? 11 : 9).fillColor(COLORS.text);
+    doc.text(label, labelX, top, { width: 140 });
+    doc.text(amount, labelX + 140, top, { width: 110, align: 'right' });
+    doc.y = Math.max(doc.y, top) + 2;
+  });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+}
+
+function drawSection(doc, heading, paragraphs) {
+  doc.fillColor(COLORS.brand).font('Helvetica-Bold').fontSize(11).text(heading, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(9);
+  paragraphs.forEach(paragraph => doc.text(paragraph, { width: contentWidth(doc) }).moveDown(0.3));
+  doc.moveDown();
+}
+
+function drawFooter(doc, business, note) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(
+      `${business.name} - ${note}  |  Page ${index - range.start + 1} of ${range.count}`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN + 10,
+      { width: contentWidth(doc), align: 'center' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+const itemDescription = (item) => {
+  const product = `${item.meshType} mesh, ${item.materialType}`;
+  return item.label ? `${item.label}\n${product}` : product;
+};
+
+// Quotation for `quote` with its `items` (formatted quote lines), `customer`,
+// payment `plan` (summarizePlan) and the `vatRate` of its price list.
+// Returns the PDF as a stream; pipe it to the response.
+function quotationPdf({ quote, items, customer, plan, vatRate, business = businessDetails() }) {
+  const number = documentNumber('Q', quote.id);
+  const doc = createPdf(`Quotation ${number}`, `Quotation ${number} for ${customer.name}, total ${formatKes(quote.total_price)}`);
+
+  const issued = new Date(quote.created_at);
+  const validUntil = new Date(issued.getTime() + QUOTATION_VALID_DAYS * 24 * 60 * 60 * 1000);
+
+  drawHeader(doc, business, {
+    title: 'QUOTATION',
+    number,
+    details: [['Date:', formatDate(issued)], ['Valid until:', formatDate(validUntil)], ['Status:', formatStatus(quote.status)]]
+  });
+
+  drawParty(doc, 'Prepared for', [
+    customer.name,
+    customer.email,
+    customer.phone,
+    quote.install_location ? `Installation at: ${quote.install_location}` : null
+  ]);
+
+  drawTable(doc, [
+    { header: '#', width: 24 },
+    { header: 'Item', width: 150 },
+    { header: 'Size (W x H m)', width: 78 },
+    { header: 'Qty', width: 30, align: 'right' },
+    { header: 'Rate per m2', width: 65, align: 'right' },
+    { header: 'Installation', width: 68, align: 'right' },
+    { header: 'Amount', width: 80, align: 'right' }
+  ], items.map(item => [
+    item.lineNumber,
+    itemDescription(item),
+    `${formatDimension(item.width)} x ${formatDimension(item.height)}`,
+    item.quantity,
+    item.unitPrice === null ? '-' : formatAmount(item.unitPrice),
+    formatAmount(item.installation),
+    formatAmount(item.lineTotal)
+  ]));
+
+  const materials = items.reduce((sum, item) => sum + item.materials, 0);
+  const installation = items.reduce((sum, item) => sum + item.installation, 0);
+  const transport = Number(quote.transport_fee || 0);
+  const vat = Number(quote.vat_amount || 0);
+  drawTotals(doc, [
+    ['Materials', formatKes(materials)],
+    ['Installation', formatKes(installation)],
+    ['Transport', formatKes(transport)],
+    ['Subtotal', formatKes(materials + installation + transport)],
+    [`VAT (${Math.round(Number(vatRate || 0) * 10000) / 100}%)`, formatKes(vat)],
+    ['Total', formatKes(quote.total_price)]
+  ]);
+
+  const deposit = plan.instalments.find(instalment => instalment.kind === 'deposit');
+  const terms = [
+    deposit
+      ? `A deposit of ${formatKes(deposit.amountDue)} confirms the order and lets us book your installation. The balance is due on installation.`
+      : 'Payment is due on installation.',
+    business.paybill
+      ? `Pay by M-Pesa from your Expert Polyhomes account, or to Paybill ${business.paybill} with account number QUOTE${quote.id}.`
+      : `Pay by M-Pesa from your Expert Polyhomes account, using account number QUOTE${quote.id}.`,
+    `Prices are valid until ${formatDate(validUntil)}. Measurements are confirmed at the site survey and the quotation is revised if they change.`
+  ];
+  if (plan.totalPaid > 0) {
+    terms.push(`Paid so far: ${formatKes(plan.totalPaid)}. Balance due: ${formatKes(plan.outstanding)}.`);
+  }
+  drawSection(doc, 'Payment terms', terms);
+
+  drawFooter(doc, business, 'Thank you for choosing us');
+  doc.end();
+  return doc;
+}
+
+// Receipt for a completed `payment` against `quote`, with the customer's `plan` after it
+function receiptPdf({ payment, quote, customer, plan, business = businessDetails() }) {
+  const number = documentNumber('R', payment.id);
+  const amount = payment.amount_received !== null && payment.amount_received !== undefined ? payment.amount_received : payment.amount;
+  const doc = createPdf(`Receipt ${number}`, `Receipt ${number} for M-Pesa payment ${payment.mpesa_code || '(no code)'} of ${formatKes(amount)}`);
+
+  drawHeader(doc, business, {
+    title: 'RECEIPT',
+    number,
+    details: [['Date:', formatDate(payment.updated_at || payment.created_at)], ['Quotation:', documentNumber('Q', quote.id)]]
+  });
+
+  drawParty(doc, 'Received from', [customer.name, customer.email, customer.phone]);
+
+  const instalment = payment.instalment_kind ? `${payment.instalment_kind[0].toUpperCase()}${payment.instalment_kind.slice(1)} for` : 'Payment towards';
+  drawTable(doc, [
+    { header: 'Description', width: 255 },
+    { header: 'M-Pesa receipt', width: 110 },
+    { header: 'Amount', width: 130, align: 'right' }
+  ], [[
+    `${instalment} quotation ${documentNumber('Q', quote.id)}\nPaid from ${payment.phone}`,
+    payment.mpesa_code || '-',
+    formatKes(amount)
+  ]]);
+
+  drawTotals(doc, [
+    ['Quotation total', formatKes(quote.total_price)],
+    ['Paid to date', formatKes(plan.totalPaid)],
+    ['Balance due', formatKes(plan.outstanding)]
+  ]);
+
+  drawSection(doc, 'Payment details', [
+    `Paid by M-Pesa. Receipt number ${payment.mpesa_code || 'not reported'}.`,
+    plan.outstanding > 0
+      ? `The remaining ${formatKes(plan.outstanding)} is due on installation.`
+      : 'This quotation is fully paid. Thank you.'
+  ]);
+
+  drawFooter(doc, business, 'Official receipt');
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  QUOTATION_VALID_DAYS,
+  businessDetails,
+  documentNumber,
+  quotationPdf,
+  receiptPdf
+};
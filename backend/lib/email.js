@@ -0,0 +1,228 @@
+// Transactional email - templates per event, recipients and the SMTP transport
+const nodemailer = require('nodemailer');
+
+const BRAND = 'Expert Polyhomes';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatKes = (amount) => `KES ${Number(amount || 0).toLocaleString('en-KE', { maximumFractionDigits: 2 })}`;
+
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+// Shared HTML frame; `body` is already-escaped markup
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,sans-serif;color:#1f2933;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="margin-top:0;color:#0f766e;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="margin-top:32px;font-size:12px;color:#7b8794;">${BRAND} &middot; Premium mosquito nets in Nairobi</p>
+  </div>
+</body>
+</html>`;
+}
+
+// Each template returns { subject, text, html } from the event data
+const TEMPLATES = {
+  new_quote: ({ quote, customer }) => ({
+    subject: `We received your quote request #${quote.id} - ${BRAND}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      `Thank you for requesting a quote. Quote #${quote.id} comes to ${formatKes(quote.total_price)}.`,
+      'Our team will contact you to arrange a site survey.',
+      '',
+      BRAND
+    ].join('\n'),
+    html: layout('Quote received', `
+      <p>Hi ${escapeHtml(customer.name)},</p>
+      <p>Thank you for requesting a quote. Quote <strong>#${escapeHtml(quote.id)}</strong>
+        comes to <strong>${escapeHtml(formatKes(quote.total_price))}</strong>.</p>
+      <p>Our team will contact you to arrange a site survey.</p>`)
+  }),
+
+  new_quote_admin: ({ quote, customer }) => ({
+    subject: `New quote request #${quote.id} - ${BRAND}`,
+    text: [
+      `New quote #${quote.id} from ${customer.name} (${customer.email}, ${customer.phone || 'no phone'}).`,
+      `Location: ${quote.install_location || 'not given'}`,
+      `Nets: ${quote.window_count} (${quote.mesh_type}, ${quote.material_type})`,
+      `Total: ${formatKes(quote.total_price)}`
+    ].join('\n'),
+    html: layout('New quote request', `
+      <p>Quote <strong>#${escapeHtml(quote.id)}</strong> from ${escapeHtml(customer.name)}
+        (${escapeHtml(customer.email)}, ${escapeHtml(customer.phone || 'no phone')}).</p>
+      <ul>
+        <li>Location: ${escapeHtml(quote.install_location || 'not given')}</li>
+        <li>Nets: ${escapeHtml(quote.window_count)} (${escapeHtml(quote.mesh_type)}, ${escapeHtml(quote.material_type)})</li>
+        <li>Total: ${escapeHtml(formatKes(quote.total_price))}</li>
+      </ul>`)
+  }),
+
+  quote_status_update: ({ quote, customer, note }) => ({
+    subject: `Quote #${quote.id} is now ${formatStatus(quote.status)} - ${BRAND}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      `Your quote #${quote.id} is now ${formatStatus(quote.status)}.`,
+      ...(note ? ['', note] : []),
+      '',
+      BRAND
+    ].join('\n'),
+    html: layout('Quote update', `
+      <p>Hi ${escapeHtml(customer.name)},</p>
+      <p>Your quote <strong>#${escapeHtml(quote.id)}</strong> is now
+        <strong>${escapeHtml(formatStatus(quote.status))}</strong>.</p>
+      ${note ? `<p>${escapeHtml(note)}</p>` : ''}`)
+  }),
+
+  quote_cancelled_admin: ({ quote, customer, note }) => ({
+    subject: `Quote #${quote.id} cancelled online - ${BRAND}`,
+    text: [
+      `Quote #${quote.id} for ${customer.name} (${customer.email}, ${customer.phone || 'no phone'}) was cancelled online.`,
+      `Total: ${formatKes(quote.total_price)}`,
+      `Reason: ${note || 'not given'}`
+    ].join('\n'),
+    html: layout('Quote cancelled', `
+      <p>Quote <strong>#${escapeHtml(quote.id)}</strong> for ${escapeHtml(customer.name)}
+        (${escapeHtml(customer.email)}, ${escapeHtml(customer.phone || 'no phone')}) was cancelled online.</p>
+      <ul>
+        <li>Total: ${escapeHtml(formatKes(quote.total_price))}</li>
+        <li>Reason: ${escapeHtml(note || 'not given')}</li>
+      </ul>`)
+  }),
+
+  payment_confirmation: ({ quote, customer, payment }) => ({
+    subject: `Payment received for quote #${quote.id} - ${BRAND}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      `We received ${formatKes(payment.amount_received || payment.amount)} for quote #${quote.id}.`,
+      `M-Pesa receipt: ${payment.mpesa_code || 'pending'}`,
+      '',
+      BRAND
+    ].join('\n'),
+    html: layout('Payment received', `
+      <p>Hi ${escapeHtml(customer.name)},</p>
+      <p>We received <strong>${escapeHtml(formatKes(payment.amount_received || payment.amount))}</strong>
+        for quote <strong>#${escapeHtml(quote.id)}</strong>.</p>
+      <p>M-Pesa receipt: <strong>${escapeHtml(payment.mpesa_code || 'pending')}</strong></p>`)
+  }),
+
+  email_verification: ({ customer, link }) => ({
+    subject: `Confirm your email address - ${BRAND}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      'Please confirm your email address by opening this link within 48 hours:',
+      link,
+      '',
+      BRAND
+    ].join('\n'),
+    html: layout('Confirm your email', `
+      <p>Hi ${escapeHtml(customer.name)},</p>
+      <p>Please confirm your email address within 48 hours.</p>
+      <p><a href="${escapeHtml(link)}" style="color:#0f766e;font-weight:bold;">Confirm email address</a></p>`)
+  }),
+
+  password_reset: ({ customer, link }) => ({
+    subject: `Reset your password - ${BRAND}`,
+    text: [
+      `Hi ${customer.name},`,
+      '',
+      'Someone asked to reset the password for your account. Open this link within an hour to choose a new one:',
+      link,
+      '',
+      'If this was not you, you can ignore this email.',
+      '',
+      BRAND
+    ].join('\n'),
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(customer.name)},</p>
+      <p>Someone asked to reset the password for your account. The link below works once, for an hour.</p>
+      <p><a href="${escapeHtml(link)}" style="color:#0f766e;font-weight:bold;">Choose a new password</a></p>
+      <p>If this was not you, you can ignore this email.</p>`)
+  }),
+
+  contact_form: ({ contact }) => ({
+    subject: `New contact message from ${contact.name} - ${BRAND}`,
+    text: [
+      `From: ${contact.name} <${contact.email}>`,
+      `Phone: ${contact.phone || 'not given'}`,
+      '',
+      contact.message
+    ].join('\n'),
+    html: layout('New contact message', `
+      <p>From: ${escapeHtml(contact.name)} &lt;${escapeHtml(contact.email)}&gt;<br>
+        Phone: ${escapeHtml(contact.phone || 'not given')}</p>
+      <p style="white-space:pre-wrap;">${escapeHtml(contact.message)}</p>`)
+  })
+};
+
+// Who hears about each event: the customer (account holder or quote owner), or the office
+const EMAIL_ROUTES = {
+  new_quote: [
+    { template: 'new_quote', to: 'customer' },
+    { template: 'new_quote_admin', to: 'admin' }
+  ],
+  quote_status_update: [{ template: 'quote_status_update', to: 'customer' }],
+  quote_cancelled: [
+    { template: 'quote_status_update', to: 'customer' },
+    { template: 'quote_cancelled_admin', to: 'admin' }
+  ],
+  payment_confirmation: [{ template: 'payment_confirmation', to: 'customer' }],
+  contact_form: [{ template: 'contact_form', to: 'admin', replyTo: 'contact' }],
+  email_verification: [{ template: 'email_verification', to: 'customer' }],
+  password_reset: [{ template: 'password_reset', to: 'customer' }]
+};
+
+function renderEmail(template, data) {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return render(data);
+}
+
+// SMTP when SMTP_HOST is set; otherwise messages are rendered and logged only
+function createEmailTransport(env = process.env) {
+  if (!env.SMTP_HOST) {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      name: 'log',
+      async send(message) {
+        await transport.sendMail(message);
+        console.log(`📧 Email to ${message.to}: ${message.subject}`);
+      }
+    };
+  }
+
+  const port = parseInt(env.SMTP_PORT || '587');
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transport.sendMail(message);
+    }
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  EMAIL_ROUTES,
+  escapeHtml,
+  renderEmail,
+  createEmailTransport
+};
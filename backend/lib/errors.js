@@ -0,0 +1,90 @@
+// API errors - one response shape, { error: { code, message, fields } }, for every failure
+
+class ApiError extends Error {
+  // `fields` maps input paths to messages; `details` adds machine-readable extras
+  constructor(status, code, message, { fields, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.fields ? { fields: this.fields } : {}),
+      ...this.details
+    };
+  }
+}
+
+const badRequest = (message, { code = 'bad_request', fields, details } = {}) =>
+  new ApiError(400, code, message, { fields, details });
+
+// The message names the problem when there is only one, for clients that show just that
+function validationFailed(fields) {
+  const paths = Object.keys(fields);
+  const message = paths.length === 1
+    ? `${paths[0]} ${fields[paths[0]]}`
+    : `Some fields are missing or invalid: ${paths.join(', ')}`;
+  return new ApiError(400, 'validation_failed', message, { fields });
+}
+
+const unauthorized = (message, code = 'unauthorized') => new ApiError(401, code, message);
+
+const forbidden = (message = 'You do not have permission to do that', { code = 'forbidden', details } = {}) =>
+  new ApiError(403, code, message, { details });
+
+const notFound = (message) => new ApiError(404, 'not_found', message);
+
+const conflict = (message, { code = 'conflict', details } = {}) => new ApiError(409, code, message, { details });
+
+const tooManyRequests = (message, retryAfterSeconds, code = 'rate_limited') =>
+  new ApiError(429, code, message, { details: { retryAfterSeconds } });
+
+const badGateway = (message) => new ApiError(502, 'upstream_error', message);
+
+// Lets async route handlers throw instead of calling next(error) themselves
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Anything thrown that is not an ApiError is a bug or an outage: log it and
+// tell the client no more than that something went wrong
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let apiError = error;
+  if (error.type === 'entity.parse.failed') {
+    apiError = badRequest('The request body is not valid JSON', { code: 'invalid_json' });
+  } else if (error.type === 'entity.too.large') {
+    apiError = new ApiError(413, 'payload_too_large', 'The request body is too large');
+  } else if (!(error instanceof ApiError)) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+    apiError = new ApiError(500, 'internal_error', 'Something went wrong');
+  }
+
+  if (apiError.details && apiError.details.retryAfterSeconds) {
+    res.set('Retry-After', String(apiError.details.retryAfterSeconds));
+  }
+  res.status(apiError.status).json({ error: apiError.toJSON() });
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  validationFailed,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  tooManyRequests,
+  badGateway,
+  asyncHandler,
+  errorHandler
+};
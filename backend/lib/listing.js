@@ -0,0 +1,68 @@
+// Admin listings - page, sort and filter parameters turned into SQL
+const v = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Query rule for ?sort=. `sorts` are the keys a listing can be sorted by; a
+// leading "-" sorts descending, e.g. sort=-createdAt.
+const sortQuery = (sorts, defaultSort) => v.optional(v.oneOf(sorts.flatMap(key => [key, `-${key}`])), defaultSort);
+
+// Query rules for ?page=&pageSize=&sort=
+function pageQuery(sorts, defaultSort) {
+  return {
+    page: v.optional(v.integer({ min: 1, max: 100000 }), 1),
+    pageSize: v.optional(v.integer({ min: 1, max: MAX_PAGE_SIZE }), DEFAULT_PAGE_SIZE),
+    sort: sortQuery(sorts, defaultSort)
+  };
+}
+
+// WHERE conditions with numbered parameters. `build` gets a placeholder per value:
+// conditions.add((status) => `q.status = ${status}`, 'pending')
+function createConditions() {
+  const conditions = [];
+  const params = [];
+
+  function add(build, ...values) {
+    const placeholders = values.map(value => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    conditions.push(build(...placeholders));
+  }
+
+  const where = () => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+  return { add, where, params };
+}
+
+// ILIKE pattern matching `text` anywhere, with its own % and _ taken literally
+const containsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// ORDER BY for a sort key. `columns` maps keys to SQL; `tiebreaker` keeps pages
+// stable when sort values repeat.
+function orderBy(sort, columns, tiebreaker) {
+  const descending = sort.startsWith('-');
+  const direction = descending ? 'DESC' : 'ASC';
+  const column = columns[descending ? sort.substring(1) : sort];
+  return `ORDER BY ${column} ${direction} NULLS LAST, ${tiebreaker} ${direction}`;
+}
+
+// LIMIT/OFFSET parameters for a validated page query
+const pageWindow = ({ page, pageSize }) => ({ limit: pageSize, offset: (page - 1) * pageSize });
+
+function pagination({ page, pageSize }, total) {
+  return { page, pageSize, total, totalPages: Math.ceil(total / pageSize) };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  sortQuery,
+  pageQuery,
+  createConditions,
+  containsPattern,
+  orderBy,
+  pageWindow,
+  pagination
+};
@@ -0,0 +1,159 @@
+// Schema migrations - numbered SQL files applied in order and recorded in schema_migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Files are named 001_description.sql
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Any fixed number works as long as nothing else in the database uses it
+const DEFAULT_LOCK_KEY = 720419;
+
+// Splits a file into its up and down SQL
+function parseMigration(fileName, text) {
+  const [, version, name] = fileName.match(FILE_PATTERN);
+  const upStart = text.search(UP_MARKER);
+  const downStart = text.search(DOWN_MARKER);
+  if (upStart === -1 || downStart === -1 || downStart < upStart) {
+    throw new Error(`${fileName} needs a "-- migrate:up" section followed by "-- migrate:down"`);
+  }
+
+  return {
+    version: parseInt(version),
+    name,
+    fileName,
+    up: text.slice(upStart, downStart).replace(UP_MARKER, '').trim(),
+    down: text.slice(downStart).replace(DOWN_MARKER, '').trim()
+  };
+}
+
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .filter(fileName => FILE_PATTERN.test(fileName))
+    .map(fileName => parseMigration(fileName, fs.readFileSync(path.join(directory, fileName), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+function createMigrator({ pool, directory = MIGRATIONS_DIR, lockKey = DEFAULT_LOCK_KEY, log = console.log }) {
+  // Every change runs on one connection holding an advisory lock, so instances
+  // starting together wait for each other instead of racing
+  async function withLock(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [lockKey]);
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        return await work(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [lockKey]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function appliedVersions(db) {
+    const appliedResult = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return appliedResult.rows;
+  }
+
+  // Each migration and its schema_migrations row commit together or not at all
+  async function run(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+      await client.query(migration[direction]);
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Migration ${migration.fileName} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Applies pending migrations up to `to` (default: all); returns those applied
+  async function up({ to = Infinity } = {}) {
+    const migrations = loadMigrations(directory);
+    return withLock(async (client) => {
+      const applied = new Set((await appliedVersions(client)).map(row => row.version));
+      const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+      for (const migration of pending) {
+        await run(client, migration, 'up');
+        log(`✅ Applied migration ${migration.fileName}`);
+      }
+      return pending;
+    });
+  }
+
+  // Reverts the last `steps` applied migrations, newest first; returns those reverted
+  async function down({ steps = 1 } = {}) {
+    const migrations = new Map(loadMigrations(directory).map(migration => [migration.version, migration]));
+    return withLock(async (client) => {
+      const latest = (await appliedVersions(client)).reverse().slice(0, steps);
+
+      const reverted = [];
+      for (const row of latest) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+          throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+        }
+        await run(client, migration, 'down');
+        log(`↩️  Reverted migration ${migration.fileName}`);
+        reverted.push(migration);
+      }
+      return reverted;
+    });
+  }
+
+  // Every known migration with when it was applied (null while pending). Applied
+  // versions without a file are listed too, flagged `missing`.
+  async function status() {
+    const migrations = loadMigrations(directory);
+    const tableResult = await pool.query("SELECT to_regclass('schema_migrations') AS name");
+    const applied = tableResult.rows[0].name ? await appliedVersions(pool) : [];
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedAt.get(migration.version) || null
+      })),
+      ...applied
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }))
+    ].sort((a, b) => a.version - b.version);
+  }
+
+  return { up, down, status };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  parseMigration,
+  loadMigrations,
+  createMigrator
+};
@@ -0,0 +1,304 @@
+// M-Pesa payment providers - Safaricom Daraja STK Push and a local simulator
+const crypto = require('crypto');
+
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Daraja result codes we treat as a customer cancelling the prompt
+const CANCELLED_RESULT_CODES = [1032];
+
+// STK Query error code returned while the customer has not answered the prompt yet
+const STK_QUERY_PROCESSING_ERROR = '500.001.1001';
+
+// Result code for a prompt that timed out before the customer answered
+const TIMEOUT_RESULT_CODE = 1037;
+
+// Daraja expects timestamps in East Africa Time as YYYYMMDDHHmmss
+function getTimestamp(date = new Date()) {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return [
+    eat.getUTCFullYear(),
+    pad(eat.getUTCMonth() + 1),
+    pad(eat.getUTCDate()),
+    pad(eat.getUTCHours()),
+    pad(eat.getUTCMinutes()),
+    pad(eat.getUTCSeconds())
+  ].join('');
+}
+
+// STK Push password: base64(shortcode + passkey + timestamp)
+function buildStkPassword(shortcode, passkey, timestamp) {
+  return Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+}
+
+function buildStkPushRequest({ shortcode, passkey, phone, amount, callbackUrl, accountReference, description, timestamp = getTimestamp() }) {
+  return {
+    BusinessShortCode: shortcode,
+    Password: buildStkPassword(shortcode, passkey, timestamp),
+    Timestamp: timestamp,
+    TransactionType: 'CustomerPayBillOnline',
+    Amount: Math.ceil(Number(amount)),
+    PartyA: phone,
+    PartyB: shortcode,
+    PhoneNumber: phone,
+    CallBackURL: callbackUrl,
+    AccountReference: String(accountReference).substring(0, 12),
+    TransactionDesc: String(description || 'Payment').substring(0, 13)
+  };
+}
+
+function statusFromResultCode(resultCode) {
+  const code = Number(resultCode);
+  if (code === 0) return 'completed';
+  if (CANCELLED_RESULT_CODES.includes(code)) return 'cancelled';
+  return 'failed';
+}
+
+// Flatten Safaricom's { Body: { stkCallback } } payload
+function parseStkCallback(body) {
+  const callback = body && body.Body && body.Body.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) {
+    throw new Error('Invalid STK callback payload');
+  }
+
+  const metadata = {};
+  const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+  items.forEach(item => {
+    metadata[item.Name] = item.Value;
+  });
+
+  return {
+    merchantRequestId: callback.MerchantRequestID,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc,
+    status: statusFromResultCode(callback.ResultCode),
+    mpesaReceiptNumber: metadata.MpesaReceiptNumber || null,
+    amount: metadata.Amount,
+    phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+    transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null
+  };
+}
+
+// Callback URLs carry an HMAC of the payment id so forged callbacks are rejected
+function signCallbackReference(reference, secret) {
+  return crypto.createHmac('sha256', secret).update(String(reference)).digest('hex');
+}
+
+function verifyCallbackSignature(reference, signature, secret) {
+  if (!reference || !signature) return false;
+  const expected = Buffer.from(signCallbackReference(reference, secret));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function buildCallbackUrl(baseUrl, reference, secret) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('ref', reference);
+  url.searchParams.set('sig', signCallbackReference(reference, secret));
+  return url.toString();
+}
+
+// Safaricom Daraja API provider
+function createDarajaProvider(config) {
+  const baseUrl = DARAJA_BASE_URLS[config.environment] || DARAJA_BASE_URLS.sandbox;
+  let cachedToken = null;
+
+  async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+
+    const credentials = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Daraja OAuth failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    // Refresh a minute early so a token never expires mid-request
+    cachedToken = {
+      value: data.access_token,
+      expiresAt: Date.now() + (Number(data.expires_in) - 60) * 1000
+    };
+    return cachedToken.value;
+  }
+
+  async function initiateStkPush({ phone, amount, accountReference, description, callbackUrl }) {
+    const token = await getAccessToken();
+    const payload = buildStkPushRequest({
+      shortcode: config.shortcode,
+      passkey: config.passkey,
+      phone,
+      amount,
+      callbackUrl,
+      accountReference,
+      description
+    });
+
+    const response = await fetch(`${baseUrl}/mpesa/stkpush/v1/processrequest`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const data = await response.json();
+    if (!response.ok || String(data.ResponseCode) !== '0') {
+      throw new Error(`STK Push rejected: ${data.errorMessage || data.ResponseDescription || response.status}`);
+    }
+
+    return {
+      merchantRequestId: data.MerchantRequestID,
+      checkoutRequestId: data.CheckoutRequestID,
+      customerMessage: data.CustomerMessage
+    };
+  }
+
+  // STK Push Query - asks Safaricom for the outcome of a prompt whose callback never arrived
+  async function queryStkStatus({ checkoutRequestId }) {
+    const token = await getAccessToken();
+    const timestamp = getTimestamp();
+
+    const response = await fetch(`${baseUrl}/mpesa/stkpushquery/v1/query`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        BusinessShortCode: config.shortcode,
+        Password: buildStkPassword(config.shortcode, config.passkey, timestamp),
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      })
+    });
+
+    const data = await response.json();
+    if (data.errorCode === STK_QUERY_PROCESSING_ERROR) {
+      return { pending: true };
+    }
+    if (!response.ok || data.ResultCode === undefined) {
+      throw new Error(`STK Query failed: ${data.errorMessage || response.status}`);
+    }
+
+    return {
+      pending: false,
+      merchantRequestId: data.MerchantRequestID,
+      checkoutRequestId: data.CheckoutRequestID,
+      resultCode: Number(data.ResultCode),
+      resultDesc: data.ResultDesc,
+      status: statusFromResultCode(data.ResultCode)
+    };
+  }
+
+  return { name: 'daraja', getAccessToken, initiateStkPush, queryStkStatus };
+}
+
+// Local stand-in that answers every STK Push with a Safaricom-shaped callback
+function createSimulatorProvider({ onCallback, delayMs = 3000, resultCode = 0, deliverCallbacks = true }) {
+  const outcomes = new Map();
+
+  async function initiateStkPush({ phone, amount, callbackUrl }) {
+    const merchantRequestId = `SIM-${crypto.randomBytes(6).toString('hex')}`;
+    const checkoutRequestId = `ws_CO_SIM_${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+    const code = Number(resultCode);
+
+    const body = {
+      Body: {
+        stkCallback: {
+          MerchantRequestID: merchantRequestId,
+          CheckoutRequestID: checkoutRequestId,
+          ResultCode: code,
+          ResultDesc: code === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user'
+        }
+      }
+    };
+
+    if (code === 0) {
+      body.Body.stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(amount) },
+          { Name: 'MpesaReceiptNumber', Value: `SIM${crypto.randomBytes(4).toString('hex').toUpperCase()}` },
+          { Name: 'TransactionDate', Value: Number(getTimestamp()) },
+          { Name: 'PhoneNumber', Value: Number(phone) }
+        ]
+      };
+    }
+
+    outcomes.set(checkoutRequestId, body.Body.stkCallback);
+
+    if (deliverCallbacks) {
+      setTimeout(() => {
+        Promise.resolve(onCallback(body, new URL(callbackUrl))).catch(error => {
+          console.error('Simulated M-Pesa callback failed:', error);
+        });
+      }, delayMs);
+    }
+
+    return {
+      merchantRequestId,
+      checkoutRequestId,
+      customerMessage: 'Success. Request accepted for processing'
+    };
+  }
+
+  async function queryStkStatus({ checkoutRequestId }) {
+    const outcome = outcomes.get(checkoutRequestId);
+    // Prompts from before a restart are unknown to the simulator, as if they timed out
+    const code = outcome ? outcome.ResultCode : TIMEOUT_RESULT_CODE;
+
+    return {
+      pending: false,
+      merchantRequestId: outcome ? outcome.MerchantRequestID : null,
+      checkoutRequestId,
+      resultCode: code,
+      resultDesc: outcome ? outcome.ResultDesc : 'DS timeout user cannot be reached',
+      status: statusFromResultCode(code)
+    };
+  }
+
+  return { name: 'simulator', initiateStkPush, queryStkStatus };
+}
+
+// Pick a provider from environment configuration
+function createMpesaProvider(env, { onSimulatedCallback }) {
+  if (env.MPESA_PROVIDER === 'daraja') {
+    return createDarajaProvider({
+      environment: env.MPESA_ENV || 'sandbox',
+      consumerKey: env.MPESA_CONSUMER_KEY,
+      consumerSecret: env.MPESA_CONSUMER_SECRET,
+      shortcode: env.MPESA_SHORTCODE,
+      passkey: env.MPESA_PASSKEY
+    });
+  }
+
+  return createSimulatorProvider({
+    onCallback: onSimulatedCallback,
+    delayMs: parseInt(env.MPESA_SIMULATOR_DELAY_MS || '3000'),
+    resultCode: env.MPESA_SIMULATOR_RESULT_CODE || 0,
+    deliverCallbacks: env.MPESA_SIMULATOR_SKIP_CALLBACKS !== 'true'
+  });
+}
+
+module.exports = {
+  getTimestamp,
+  buildStkPassword,
+  buildStkPushRequest,
+  statusFromResultCode,
+  parseStkCallback,
+  signCallbackReference,
+  verifyCallbackSignature,
+  buildCallbackUrl,
+  createDarajaProvider,
+  createSimulatorProvider,
+  createMpesaProvider
+};
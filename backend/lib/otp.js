@@ -0,0 +1,95 @@
+// One-time sign-in codes sent by SMS
+const crypto = require('crypto');
+
+const CODE_LENGTH = 6;
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+function createOtpService({ secret, ttlMs = 5 * 60 * 1000, maxAttempts = 5, resendIntervalMs = 60 * 1000, maxPerHour = 5 }) {
+  // Keyed hash: six digits are trivial to brute-force from a plain hash
+  const hashCode = (phone, code) => crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+
+  // Issue a code for a normalized phone number. Returns { code, expiresAt },
+  // or { error, retryAfterSeconds } when codes are requested too often.
+  async function issueCode(db, phone) {
+    // Ages come from the database clock that stamped created_at
+    const recentResult = await db.query(
+      `SELECT EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - created_at) * 1000 AS age_ms
+       FROM login_otps
+       WHERE phone = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+       ORDER BY created_at DESC`,
+      [phone]
+    );
+
+    const ages = recentResult.rows.map(row => parseFloat(row.age_ms));
+    if (ages.length > 0 && ages[0] < resendIntervalMs) {
+      return { error: 'Please wait before requesting another code', retryAfterSeconds: Math.ceil((resendIntervalMs - ages[0]) / 1000) };
+    }
+    if (ages.length >= maxPerHour) {
+      const oldest = ages[ages.length - 1];
+      return { error: 'Too many codes requested. Please try again later', retryAfterSeconds: Math.ceil((60 * 60 * 1000 - oldest) / 1000) };
+    }
+
+    // Only the newest code can be used
+    await db.query(
+      'UPDATE login_otps SET consumed_at = CURRENT_TIMESTAMP WHERE phone = $1 AND consumed_at IS NULL',
+      [phone]
+    );
+
+    const code = generateCode();
+    const expiresAt = new Date(Date.now() + ttlMs);
+    await db.query(
+      'INSERT INTO login_otps (phone, code_hash, expires_at) VALUES ($1, $2, $3)',
+      [phone, hashCode(phone, code), expiresAt]
+    );
+
+    return { code, expiresAt };
+  }
+
+  // Check a code; a wrong guess uses up one attempt and the last one voids the code
+  async function verifyCode(db, phone, code) {
+    const otpResult = await db.query(
+      `SELECT * FROM login_otps
+       WHERE phone = $1 AND consumed_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [phone]
+    );
+
+    const otp = otpResult.rows[0];
+    if (!otp || new Date(otp.expires_at) <= new Date()) {
+      return { error: 'Code has expired. Please request a new one' };
+    }
+
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(phone, String(code || '')), 'hex');
+    if (crypto.timingSafeEqual(expected, actual)) {
+      await db.query('UPDATE login_otps SET consumed_at = CURRENT_TIMESTAMP WHERE id = $1', [otp.id]);
+      return { ok: true };
+    }
+
+    const attempts = otp.attempts + 1;
+    await db.query(
+      'UPDATE login_otps SET attempts = $1, consumed_at = $2 WHERE id = $3',
+      [attempts, attempts >= maxAttempts ? new Date() : null, otp.id]
+    );
+
+    const remaining = maxAttempts - attempts;
+    return {
+      error: remaining > 0
+        ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left`
+        : 'Too many incorrect attempts. Please request a new code'
+    };
+  }
+
+  return { issueCode, verifyCode };
+}
+
+module.exports = {
+  CODE_LENGTH,
+  generateCode,
+  createOtpService
+};
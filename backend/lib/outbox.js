@@ -0,0 +1,128 @@
+// Notification outbox - messages are stored with the change that caused them and
+// delivered by a background worker that retries with exponential backoff
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Delay before the next try after `attempts` failures: 30s, 1m, 2m, ... capped at an hour
+function backoffDelay(attempts, baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS) {
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+}
+
+// Pass the transaction's client so the message is only sent if the change commits
+async function enqueueMessage(db, { channel = 'email', template, recipient, subject = null, bodyText, bodyHtml = null, replyTo = null }) {
+  const messageResult = await db.query(
+    `INSERT INTO notification_outbox (channel, template, recipient, subject, body_text, body_html, reply_to)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [channel, template, recipient, subject, bodyText, bodyHtml, replyTo]
+  );
+  return messageResult.rows[0].id;
+}
+
+// How long a claimed message is left to one worker before others may try it again
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// `senders` maps a channel to an async function that delivers one outbox row
+function createOutboxWorker({ pool, senders, maxAttempts = 6, intervalMs = 10 * 1000, batchSize = 20, backoffBaseMs = BACKOFF_BASE_MS, leaseMs = CLAIM_LEASE_MS }) {
+  let timer = null;
+  let running = false;
+
+  async function processOutbox() {
+    if (running) return { attempted: 0, sent: 0 };
+    running = true;
+
+    let attempted = 0;
+    let sent = 0;
+    try {
+      // Claim due messages by pushing their next attempt past the lease, so other
+      // instances skip them; one that dies mid-send leaves them to be retried later.
+      // Due-ness and backoff use the database clock that stamped next_attempt_at
+      const claimedResult = await pool.query(
+        `UPDATE notification_outbox
+         SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+         WHERE id IN (
+           SELECT id FROM notification_outbox
+           WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY next_attempt_at ASC, id ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *, next_attempt_at::text AS lease`,
+        [batchSize, leaseMs]
+      );
+
+      // Only the holder of the lease records the outcome; once it runs out another
+      // instance may have claimed the message again
+      const LEASE_HELD = `id = $1 AND status = 'pending' AND next_attempt_at = $2::timestamp`;
+
+      for (const message of claimedResult.rows.sort((a, b) => a.id - b.id)) {
+        attempted++;
+        const attempts = message.attempts + 1;
+        try {
+          const send = senders[message.channel];
+          if (!send) {
+            throw new Error(`No sender configured for ${message.channel}`);
+          }
+          await send(message);
+
+          const sentResult = await pool.query(
+            `UPDATE notification_outbox
+             SET status = 'sent', attempts = $3, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+             WHERE ${LEASE_HELD}`,
+            [message.id, message.lease, attempts]
+          );
+          if (sentResult.rowCount === 0) {
+            console.error(`Outbox ${message.channel} message ${message.id} was sent after its lease ran out`);
+          }
+          sent++;
+        } catch (error) {
+          const exhausted = attempts >= maxAttempts;
+          await pool.query(
+            `UPDATE notification_outbox
+             SET status = $3, attempts = $4, last_error = $5,
+                 next_attempt_at = CURRENT_TIMESTAMP + $6 * INTERVAL '1 millisecond'
+             WHERE ${LEASE_HELD}`,
+            [
+              message.id,
+              message.lease,
+              exhausted ? 'failed' : 'pending',
+              attempts,
+              error.message,
+              backoffDelay(attempts, backoffBaseMs)
+            ]
+          );
+          console.error(`Outbox ${message.channel} message ${message.id} attempt ${attempts} failed:`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return { attempted, sent };
+  }
+
+  function start() {
+    if (timer || intervalMs <= 0) return;
+    timer = setInterval(() => {
+      processOutbox().catch(error => {
+        console.error('Outbox run failed:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, processOutbox };
+}
+
+module.exports = {
+  CLAIM_LEASE_MS,
+  backoffDelay,
+  enqueueMessage,
+  createOutboxWorker
+};
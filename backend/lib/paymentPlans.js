@@ -0,0 +1,95 @@
+// Quote payment plans - deposit and balance instalments and how payments settle them
+
+// Share of the quote collected before installation
+const DEPOSIT_RATE = 0.5;
+
+// M-Pesa only moves whole shillings, so instalments are rounded up
+function buildInstalments(totalPrice) {
+  const total = Math.ceil(Number(totalPrice));
+  const deposit = Math.ceil(total * DEPOSIT_RATE);
+
+  return [
+    { sequence: 1, kind: 'deposit', amountDue: deposit },
+    { sequence: 2, kind: 'balance', amountDue: total - deposit }
+  ].filter(instalment => instalment.amountDue > 0);
+}
+
+function instalmentStatus(amountDue, amountPaid) {
+  if (amountPaid >= amountDue) return 'paid';
+  if (amountPaid > 0) return 'partially_paid';
+  return 'due';
+}
+
+// Spread a received amount over instalments in order; excess rolls into the next one
+function allocatePayment(instalments, amount) {
+  let remaining = Number(amount);
+  const updates = [];
+
+  [...instalments]
+    .sort((a, b) => a.sequence - b.sequence)
+    .forEach(instalment => {
+      const amountDue = Number(instalment.amount_due);
+      const amountPaid = Number(instalment.amount_paid);
+      const applied = Math.min(Math.max(amountDue - amountPaid, 0), remaining);
+      if (applied <= 0) return;
+
+      remaining -= applied;
+      updates.push({
+        id: instalment.id,
+        amountPaid: amountPaid + applied,
+        status: instalmentStatus(amountDue, amountPaid + applied)
+      });
+    });
+
+  return { updates, unallocated: remaining };
+}
+
+// First instalment that still has money owing
+function nextInstalmentDue(instalments) {
+  const next = [...instalments]
+    .sort((a, b) => a.sequence - b.sequence)
+    .find(instalment => Number(instalment.amount_paid) < Number(instalment.amount_due));
+
+  if (!next) return null;
+  return {
+    id: next.id,
+    sequence: next.sequence,
+    kind: next.kind,
+    amountDue: Number(next.amount_due),
+    amountPaid: Number(next.amount_paid),
+    outstanding: Number(next.amount_due) - Number(next.amount_paid)
+  };
+}
+
+// Balance view of a quote: what was charged, what arrived, what is still owed
+function summarizePlan(quote, instalments, totalPaid) {
+  const planTotal = instalments.reduce((sum, instalment) => sum + Number(instalment.amount_due), 0);
+  const paid = Number(totalPaid);
+
+  return {
+    quoteId: quote.id,
+    totalPrice: parseFloat(quote.total_price),
+    planTotal,
+    totalPaid: paid,
+    outstanding: Math.max(planTotal - paid, 0),
+    credit: Math.max(paid - planTotal, 0),
+    nextInstalment: nextInstalmentDue(instalments),
+    instalments: instalments.map(instalment => ({
+      id: instalment.id,
+      sequence: instalment.sequence,
+      kind: instalment.kind,
+      amountDue: Number(instalment.amount_due),
+      amountPaid: Number(instalment.amount_paid),
+      status: instalment.status
+    }))
+  };
+}
+
+module.exports = {
+  DEPOSIT_RATE,
+  buildInstalments,
+  instalmentStatus,
+  allocatePayment,
+  nextInstalmentDue,
+  summarizePlan
+};
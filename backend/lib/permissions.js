@@ -0,0 +1,75 @@
+// Roles and the named permissions each one grants
+const ROLES = ['user', 'sales', 'technician', 'finance', 'admin'];
+
+// Staff roles work on other people's quotes; 'user' is a customer
+const STAFF_ROLES = ['sales', 'technician', 'finance', 'admin'];
+
+const PERMISSIONS = {
+  'account:manage': 'Own profile, sessions and notification settings',
+  'quotes:create': 'Request quotes',
+  'quotes:read_own': 'See own quotes, balances and history',
+  'bookings:self_schedule': 'Book an installation slot for an own quote',
+  'payments:create': 'Pay for an own quote by M-Pesa',
+  'quotes:read': 'See every quote',
+  'quotes:manage': 'Move quotes through the lifecycle',
+  'users:read': 'List customers and staff',
+  'users:manage': 'Change user roles',
+  'technicians:read': 'List technicians',
+  'technicians:manage': 'Add technicians and set working hours',
+  'bookings:read': 'See the installation calendar',
+  'bookings:manage': 'Assign, reschedule and cancel installations',
+  'jobs:read_assigned': 'See installations assigned to me',
+  'jobs:complete': 'Mark an assigned installation as installed',
+  'pricing:read': 'See the full pricing catalogue',
+  'pricing:manage': 'Edit the pricing catalogue',
+  'payments:read': 'See every payment',
+  'payments:manage': 'Request payments on behalf of customers',
+  'payments:reconcile': 'Reconcile M-Pesa payments and statements',
+  'reports:read': 'See revenue and business stats',
+  'notifications:manage': 'Inspect and retry queued notifications'
+};
+
+const CUSTOMER_PERMISSIONS = ['account:manage', 'quotes:create', 'quotes:read_own', 'bookings:self_schedule', 'payments:create'];
+
+const ROLE_PERMISSIONS = {
+  user: CUSTOMER_PERMISSIONS,
+  sales: [
+    'account:manage', 'quotes:read_own',
+    'quotes:read', 'quotes:manage', 'users:read', 'technicians:read',
+    'bookings:read', 'bookings:manage', 'pricing:read'
+  ],
+  technician: ['account:manage', 'quotes:read_own', 'jobs:read_assigned', 'jobs:complete'],
+  finance: [
+    'account:manage', 'quotes:read_own',
+    'quotes:read', 'payments:read', 'payments:manage', 'payments:reconcile', 'reports:read'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const isStaff = (role) => STAFF_ROLES.includes(role);
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role];
+  return Boolean(granted && granted.includes(permission));
+}
+
+// True when the role holds at least one of the permissions
+const hasAnyPermission = (role, permissions) => permissions.some(permission => hasPermission(role, permission));
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  isStaff,
+  hasPermission,
+  hasAnyPermission,
+  permissionsFor
+};
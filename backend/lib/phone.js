@@ -0,0 +1,25 @@
+// Kenyan mobile numbers - accepts 07XXXXXXXX, 2547XXXXXXXX and +2547XXXXXXXX
+
+const KENYAN_MOBILE_PATTERN = /^(2547\d{8}|07\d{8}|\+2547\d{8})$/;
+
+// Returns the number as 2547XXXXXXXX, or null when it is not a Kenyan mobile number
+function normalizeKenyanPhone(phone) {
+  const compact = String(phone || '').replace(/\s/g, '');
+  if (!KENYAN_MOBILE_PATTERN.test(compact)) return null;
+
+  if (compact.startsWith('0')) return '254' + compact.substring(1);
+  if (compact.startsWith('+')) return compact.substring(1);
+  return compact;
+}
+
+// Ways a normalized number may have been typed into users.phone
+function phoneVariants(normalized) {
+  const local = normalized.substring(3);
+  return [normalized, `+${normalized}`, `0${local}`];
+}
+
+module.exports = {
+  KENYAN_MOBILE_PATTERN,
+  normalizeKenyanPhone,
+  phoneVariants
+};
@@ -0,0 +1,277 @@
+// Pricing catalogue - versioned price lists of per-m² rates by mesh and material
+
+// Rates used before the catalogue existed; seeded as version 1
+const DEFAULT_PRICE_ITEMS = [
+  { meshType: 'fixed', materialType: 'fiberglass', unitPrice: 1500 },
+  { meshType: 'fixed', materialType: 'polyester', unitPrice: 1800 },
+  { meshType: 'fixed', materialType: 'stainless', unitPrice: 2200 },
+  { meshType: 'roller', materialType: 'fiberglass', unitPrice: 2800 },
+  { meshType: 'roller', materialType: 'polyester', unitPrice: 3200 },
+  { meshType: 'roller', materialType: 'stainless', unitPrice: 4500 },
+  { meshType: 'slider', materialType: 'fiberglass', unitPrice: 2600 },
+  { meshType: 'slider', materialType: 'polyester', unitPrice: 3000 },
+  { meshType: 'slider', materialType: 'stainless', unitPrice: 4200 },
+  { meshType: 'magnetic', materialType: 'fiberglass', unitPrice: 1800 },
+  { meshType: 'magnetic', materialType: 'polyester', unitPrice: 2000 },
+  { meshType: 'magnetic', materialType: 'stainless', unitPrice: 2500 }
+];
+
+// Areas our own crews cover; anywhere else pays the remote transport fee
+const SERVED_AREAS = ['nairobi', 'westlands', 'karen', 'langata', 'thika', 'kiambu'];
+
+function isServedLocation(location) {
+  const normalized = (location || '').toLowerCase();
+  return SERVED_AREAS.some(area => normalized.includes(area));
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+function formatPriceList(priceList, items) {
+  return {
+    id: priceList.id,
+    version: priceList.version,
+    name: priceList.name,
+    effectiveFrom: priceList.effective_from,
+    createdAt: priceList.created_at,
+    fees: {
+      installationFee: parseFloat(priceList.installation_fee || 0),
+      transportFee: parseFloat(priceList.transport_fee || 0),
+      remoteTransportFee: parseFloat(priceList.remote_transport_fee || 0),
+      vatRate: parseFloat(priceList.vat_rate || 0)
+    },
+    items: items.map(item => ({
+      meshType: item.mesh_type,
+      materialType: item.material_type,
+      unitPrice: parseFloat(item.unit_price)
+    }))
+  };
+}
+
+async function loadItems(db, priceListId) {
+  const itemsResult = await db.query(
+    `SELECT mesh_type, material_type, unit_price FROM price_list_items
+     WHERE price_list_id = $1
+     ORDER BY mesh_type, material_type`,
+    [priceListId]
+  );
+  return itemsResult.rows;
+}
+
+// Price list in force at a point in time (the latest one already effective)
+async function getActivePriceList(db, at = new Date()) {
+  const listResult = await db.query(
+    `SELECT * FROM price_lists
+     WHERE effective_from <= $1
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`,
+    [at]
+  );
+  if (listResult.rows.length === 0) return null;
+
+  const priceList = listResult.rows[0];
+  return formatPriceList(priceList, await loadItems(db, priceList.id));
+}
+
+async function getPriceList(db, id) {
+  const listResult = await db.query('SELECT * FROM price_lists WHERE id = $1', [id]);
+  if (listResult.rows.length === 0) return null;
+
+  const priceList = listResult.rows[0];
+  return formatPriceList(priceList, await loadItems(db, priceList.id));
+}
+
+async function listPriceLists(db) {
+  const listResult = await db.query('SELECT * FROM price_lists ORDER BY version DESC');
+  const priceLists = [];
+  for (const priceList of listResult.rows) {
+    priceLists.push(formatPriceList(priceList, await loadItems(db, priceList.id)));
+  }
+  return priceLists;
+}
+
+// Returns undefined for combinations the price list does not sell
+function findUnitPrice(priceList, meshType, materialType) {
+  const item = priceList.items.find(candidate =>
+    candidate.meshType === meshType && candidate.materialType === materialType
+  );
+  return item ? item.unitPrice : undefined;
+}
+
+// Accept either items[] or the original single window fields
+function normalizeQuoteItems(body) {
+  if (Array.isArray(body.items) && body.items.length > 0) {
+    return body.items.map(item => ({
+      meshType: item.meshType,
+      materialType: item.materialType,
+      width: Number(item.width),
+      height: Number(item.height),
+      quantity: Number(item.quantity === undefined ? 1 : item.quantity),
+      label: item.label || null
+    }));
+  }
+
+  return [{
+    meshType: body.meshType,
+    materialType: body.materialType,
+    width: Number(body.windowWidth),
+    height: Number(body.windowHeight),
+    quantity: Number(body.windowCount),
+    label: null
+  }];
+}
+
+// Price each line against a price list; lines it cannot price are reported, not defaulted
+function priceQuoteItems(priceList, items) {
+  const errors = [];
+  const lines = items.map((item, index) => {
+    const lineNumber = index + 1;
+    if (!(item.width > 0) || !(item.height > 0)) {
+      errors.push(`Item ${lineNumber}: width and height must be positive numbers`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      errors.push(`Item ${lineNumber}: quantity must be a whole number of at least 1`);
+    }
+
+    const unitPrice = findUnitPrice(priceList, item.meshType, item.materialType);
+    if (!unitPrice) {
+      errors.push(`Item ${lineNumber}: no price available for ${item.meshType} nets in ${item.materialType}`);
+    }
+
+    const area = item.width * item.height;
+    return {
+      lineNumber,
+      ...item,
+      area,
+      unitPrice,
+      lineTotal: roundMoney(area * unitPrice * item.quantity)
+    };
+  });
+
+  return {
+    errors,
+    lines,
+    totalPrice: lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  };
+}
+
+// Full estimate: materials and installation per line, then transport and VAT on the job
+function estimateQuote(priceList, items, { location } = {}) {
+  const { errors, lines } = priceQuoteItems(priceList, items);
+  const { installationFee, transportFee, remoteTransportFee, vatRate } = priceList.fees;
+
+  const estimateLines = lines.map(line => {
+    const materials = line.lineTotal;
+    const installation = roundMoney(installationFee * line.quantity);
+    return {
+      ...line,
+      area: roundMoney(line.area),
+      materials,
+      installation,
+      lineTotal: roundMoney(materials + installation)
+    };
+  });
+
+  const served = isServedLocation(location);
+  const transport = served ? transportFee : remoteTransportFee;
+  const materialsTotal = roundMoney(estimateLines.reduce((sum, line) => sum + line.materials, 0));
+  const installationTotal = roundMoney(estimateLines.reduce((sum, line) => sum + line.installation, 0));
+  const subtotal = roundMoney(materialsTotal + installationTotal + transport);
+  const vat = roundMoney(subtotal * vatRate);
+
+  return {
+    errors,
+    lines: estimateLines,
+    materialsTotal,
+    installationTotal,
+    transport: { fee: transport, servedArea: served },
+    subtotal,
+    vatRate,
+    vat,
+    total: roundMoney(subtotal + vat)
+  };
+}
+
+// Check admin-submitted fees; returns an error message or null
+function validateFees(fees) {
+  if (fees === undefined) return null;
+  if (!fees || typeof fees !== 'object') return 'fees must be an object';
+
+  for (const key of ['installationFee', 'transportFee', 'remoteTransportFee']) {
+    if (fees[key] !== undefined && (typeof fees[key] !== 'number' || !(fees[key] >= 0))) {
+      return `fees.${key} must be a non-negative number`;
+    }
+  }
+  if (fees.vatRate !== undefined && (typeof fees.vatRate !== 'number' || fees.vatRate < 0 || fees.vatRate >= 1)) {
+    return 'fees.vatRate must be a fraction between 0 and 1, e.g. 0.16';
+  }
+
+  return null;
+}
+
+// Check an admin-submitted item list; returns an error message or null
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'items must be a non-empty array';
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (!item || typeof item.meshType !== 'string' || typeof item.materialType !== 'string' ||
+        !item.meshType.trim() || !item.materialType.trim()) {
+      return 'Each item needs a meshType and materialType';
+    }
+    if (typeof item.unitPrice !== 'number' || !(item.unitPrice > 0)) {
+      return `unitPrice for ${item.meshType}/${item.materialType} must be a positive number`;
+    }
+
+    const key = `${item.meshType}/${item.materialType}`;
+    if (seen.has(key)) {
+      return `Duplicate item ${key}`;
+    }
+    seen.add(key);
+  }
+
+  return null;
+}
+
+async function insertItems(db, priceListId, items) {
+  for (const item of items) {
+    await db.query(
+      `INSERT INTO price_list_items (price_list_id, mesh_type, material_type, unit_price)
+       VALUES ($1, $2, $3, $4)`,
+      [priceListId, item.meshType.trim(), item.materialType.trim(), item.unitPrice]
+    );
+  }
+}
+
+// Seed version 1 from the original rates on an empty catalogue
+async function seedDefaultPriceList(db) {
+  const countResult = await db.query('SELECT COUNT(*) FROM price_lists');
+  if (parseInt(countResult.rows[0].count) > 0) return;
+
+  const listResult = await db.query(
+    `INSERT INTO price_lists (version, name, effective_from)
+     VALUES (1, $1, $2)
+     RETURNING id`,
+    ['Launch prices', new Date(0)]
+  );
+  await insertItems(db, listResult.rows[0].id, DEFAULT_PRICE_ITEMS);
+  console.log('✅ Default price list created');
+}
+
+module.exports = {
+  DEFAULT_PRICE_ITEMS,
+  SERVED_AREAS,
+  isServedLocation,
+  getActivePriceList,
+  getPriceList,
+  listPriceLists,
+  findUnitPrice,
+  normalizeQuoteItems,
+  priceQuoteItems,
+  estimateQuote,
+  validateFees,
+  validateItems,
+  insertItems,
+  seedDefaultPriceList
+};
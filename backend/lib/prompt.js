@@ -0,0 +1,35 @@
+// Line-by-line terminal prompts for the one-off CLI commands
+const readline = require('readline');
+
+function createPrompt({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+  // Buffers lines, so piped answers are not lost between questions
+  const lines = rl[Symbol.asyncIterator]();
+
+  // Typed characters are echoed through here; hidden answers echo nothing
+  let muted = false;
+  const writeToOutput = rl._writeToOutput.bind(rl);
+  rl._writeToOutput = (text) => {
+    if (!muted) writeToOutput(text);
+  };
+
+  async function ask(question, { hidden = false } = {}) {
+    rl.setPrompt(question);
+    rl.prompt();
+    muted = hidden;
+    const { value, done } = await lines.next();
+    muted = false;
+    if (hidden) output.write('\n');
+    if (done) {
+      throw new Error('Input ended before every question was answered');
+    }
+    return hidden ? value : value.trim();
+  }
+
+  return {
+    ask,
+    close: () => rl.close()
+  };
+}
+
+module.exports = { createPrompt };
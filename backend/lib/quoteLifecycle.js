@@ -0,0 +1,99 @@
+// Quote lifecycle - allowed status transitions and their audit history
+
+const QUOTE_STATUSES = [
+  'pending',
+  'surveyed',
+  'confirmed',
+  'deposit_paid',
+  'scheduled',
+  'installed',
+  'completed',
+  'cancelled'
+];
+
+// A deposit is only taken once the surveyed quote is confirmed; cancelling a
+// booking returns a scheduled quote to deposit_paid
+const TRANSITIONS = {
+  pending: ['surveyed', 'cancelled'],
+  surveyed: ['confirmed', 'cancelled'],
+  confirmed: ['deposit_paid', 'cancelled'],
+  deposit_paid: ['scheduled', 'cancelled'],
+  scheduled: ['installed', 'deposit_paid', 'cancelled'],
+  installed: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Reached only through payments and bookings, never set by hand
+const SYSTEM_STATUSES = ['deposit_paid', 'scheduled'];
+
+// Quotes written before the lifecycle existed were marked 'paid' on any payment
+const LEGACY_STATUSES = { paid: 'deposit_paid' };
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function recordStatusChange(db, quoteId, fromStatus, toStatus, { actorId = null, actorType, note = null }) {
+  await db.query(
+    `INSERT INTO quote_status_history (quote_id, from_status, to_status, actor_id, actor_type, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [quoteId, fromStatus, toStatus, actorId, actorType, note]
+  );
+}
+
+// Move a quote to a new status inside the caller's transaction.
+// Returns { quote, fromStatus } or { error, notFound } when the move is not allowed.
+async function transitionQuote(db, quoteId, toStatus, actor) {
+  const quoteResult = await db.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [quoteId]);
+  if (quoteResult.rows.length === 0) {
+    return { error: 'Quote not found', notFound: true };
+  }
+
+  const fromStatus = quoteResult.rows[0].status;
+  if (!canTransition(fromStatus, toStatus)) {
+    return { error: `A ${fromStatus} quote cannot be moved to ${toStatus}` };
+  }
+
+  const updatedResult = await db.query(
+    'UPDATE quotes SET status = $1 WHERE id = $2 RETURNING *',
+    [toStatus, quoteId]
+  );
+  await recordStatusChange(db, quoteId, fromStatus, toStatus, actor);
+
+  return { quote: updatedResult.rows[0], fromStatus };
+}
+
+async function getStatusHistory(db, quoteId) {
+  const historyResult = await db.query(
+    `SELECT h.*, u.name AS actor_name
+     FROM quote_status_history h
+     LEFT JOIN users u ON h.actor_id = u.id
+     WHERE h.quote_id = $1
+     ORDER BY h.created_at, h.id`,
+    [quoteId]
+  );
+
+  return historyResult.rows.map(entry => ({
+    fromStatus: entry.from_status,
+    toStatus: entry.to_status,
+    actor: {
+      type: entry.actor_type,
+      id: entry.actor_id,
+      name: entry.actor_name
+    },
+    note: entry.note,
+    createdAt: entry.created_at
+  }));
+}
+
+module.exports = {
+  QUOTE_STATUSES,
+  TRANSITIONS,
+  SYSTEM_STATUSES,
+  LEGACY_STATUSES,
+  canTransition,
+  recordStatusChange,
+  transitionQuote,
+  getStatusHistory
+};
@@ -0,0 +1,182 @@
+// Request rate limiting and login lockout, with counters in memory or in Postgres
+const { tooManyRequests } = require('./errors');
+
+// Fixed-window counters kept in this process; fine for a single instance
+function createMemoryStore({ pruneIntervalMs = 10 * 60 * 1000 } = {}) {
+  const counters = new Map();
+  let timer = null;
+
+  const live = (key, now = Date.now()) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? counter : null;
+  };
+
+  async function increment(key, windowMs) {
+    const now = Date.now();
+    const counter = live(key, now) || { count: 0, resetAt: now + windowMs };
+    counter.count += 1;
+    counters.set(key, counter);
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async function get(key) {
+    const counter = live(key);
+    return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+  }
+
+  async function reset(key) {
+    counters.delete(key);
+  }
+
+  async function prune() {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+    increment,
+    get,
+    reset,
+    prune,
+    start() {
+      if (!timer) timer = setInterval(prune, pruneIntervalMs).unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+// The same counters in the rate_limits table, shared by every instance
+function createPostgresStore({ pool, pruneIntervalMs = 10 * 60 * 1000 }) {
+  let timer = null;
+
+  async function increment(key, windowMs) {
+    const now = new Date();
+    const counterResult = await pool.query(
+      `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $3)
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= $2 THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= $2 THEN $3 ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, now, new Date(now.getTime() + windowMs)]
+    );
+    const counter = counterResult.rows[0];
+    return { count: counter.count, resetAt: new Date(counter.reset_at) };
+  }
+
+  async function get(key) {
+    const counterResult = await pool.query(
+      'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > $2',
+      [key, new Date()]
+    );
+    const counter = counterResult.rows[0];
+    return counter ? { count: counter.count, resetAt: new Date(counter.reset_at) } : null;
+  }
+
+  async function reset(key) {
+    await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+  }
+
+  async function prune() {
+    await pool.query('DELETE FROM rate_limits WHERE reset_at <= $1', [new Date()]);
+  }
+
+  return {
+    name: 'postgres',
+    increment,
+    get,
+    reset,
+    prune,
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        prune().catch(error => console.error('Rate limit prune error:', error));
+      }, pruneIntervalMs).unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+function createRateLimitStore(env = process.env, { pool }) {
+  return env.RATE_LIMIT_STORE === 'postgres' ? createPostgresStore({ pool }) : createMemoryStore();
+}
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Express middleware counting requests per client IP and, when `accountKey`
+// finds one, per account. Either limit can be left out.
+function createRateLimiter({ store, name, windowMs, perIp, perAccount, accountKey, message = 'Too many requests. Please try again later' }) {
+  return async (req, res, next) => {
+    const checks = [];
+    if (perIp) {
+      checks.push({ key: `${name}:ip:${req.ip}`, max: perIp });
+    }
+    const account = perAccount && accountKey ? accountKey(req) : null;
+    if (account) {
+      checks.push({ key: `${name}:account:${account}`, max: perAccount });
+    }
+
+    try {
+      for (const check of checks) {
+        const { count, resetAt } = await store.increment(check.key, windowMs);
+        if (count > check.max) {
+          return next(tooManyRequests(message, secondsUntil(resetAt)));
+        }
+      }
+    } catch (error) {
+      // A broken counter store should not take sign-in and payments down with it
+      console.error('Rate limit store error:', error);
+    }
+    next();
+  };
+}
+
+// Locks an account after `threshold` failed sign-ins in a row. Each further
+// failure doubles the lock, from `baseDelayMs` up to `maxDelayMs`.
+function createLoginLockout({ store, threshold = 5, baseDelayMs = 60 * 1000, maxDelayMs = 60 * 60 * 1000, failureWindowMs = 24 * 60 * 60 * 1000 }) {
+  const failureKey = (account) => `login-failures:${account}`;
+  const lockKey = (account) => `login-lock:${account}`;
+
+  const lockDelay = (failures) => Math.min(baseDelayMs * 2 ** (failures - threshold), maxDelayMs);
+
+  // { locked, retryAfterSeconds } for an account about to sign in
+  async function check(account) {
+    const lock = await store.get(lockKey(account));
+    return lock ? { locked: true, retryAfterSeconds: secondsUntil(lock.resetAt) } : { locked: false };
+  }
+
+  async function recordFailure(account) {
+    const { count } = await store.increment(failureKey(account), failureWindowMs);
+    if (count < threshold) {
+      return { locked: false, failures: count };
+    }
+
+    const delay = lockDelay(count);
+    await store.reset(lockKey(account));
+    await store.increment(lockKey(account), delay);
+    return { locked: true, failures: count, retryAfterSeconds: Math.ceil(delay / 1000) };
+  }
+
+  async function recordSuccess(account) {
+    await store.reset(failureKey(account));
+    await store.reset(lockKey(account));
+  }
+
+  return { check, recordFailure, recordSuccess, lockDelay };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  createRateLimitStore,
+  createRateLimiter,
+  createLoginLockout
+};
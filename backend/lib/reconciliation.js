@@ -0,0 +1,226 @@
+// M-Pesa reconciliation - settles stale STK payments and matches statement exports
+
+// Minimal RFC 4180 parser; M-Pesa statement exports quote fields containing commas
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Column aliases seen across M-Pesa org portal and customer statement exports
+const STATEMENT_COLUMNS = {
+  receipt: ['receiptno', 'receipt', 'receiptnumber', 'transactionid'],
+  completedAt: ['completiontime', 'completedtime', 'transactiondate', 'date'],
+  details: ['details', 'description'],
+  status: ['transactionstatus', 'status'],
+  paidIn: ['paidin', 'amount', 'credit'],
+  otherParty: ['otherpartyinfo', 'otherparty'],
+  accountNumber: ['acno', 'accountno', 'accountnumber', 'billreferencenumber']
+};
+
+// Turn a statement CSV into incoming transactions
+function parseStatement(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+
+  // Portal exports start with a few lines of account details before the header row
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => STATEMENT_COLUMNS.receipt.includes(normalizeHeader(cell)))
+  );
+  if (headerIndex === -1) {
+    throw new Error('Statement has no receipt number column');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const columnIndex = {};
+  Object.keys(STATEMENT_COLUMNS).forEach(key => {
+    columnIndex[key] = headers.findIndex(header => STATEMENT_COLUMNS[key].includes(header));
+  });
+
+  const valueOf = (row, key) => (columnIndex[key] === -1 ? '' : (row[columnIndex[key]] || '').trim());
+
+  return rows.slice(headerIndex + 1)
+    .map((row, index) => ({
+      line: headerIndex + index + 2,
+      receipt: valueOf(row, 'receipt').toUpperCase(),
+      completedAt: valueOf(row, 'completedAt'),
+      details: valueOf(row, 'details'),
+      status: valueOf(row, 'status'),
+      amount: parseFloat(valueOf(row, 'paidIn').replace(/,/g, '')) || 0,
+      otherParty: valueOf(row, 'otherParty'),
+      accountNumber: valueOf(row, 'accountNumber')
+    }))
+    .filter(entry => entry.receipt && entry.amount > 0 &&
+      (!entry.status || entry.status.toLowerCase() === 'completed'));
+}
+
+// Nairobi calendar dates (YYYY-MM-DD) the statement covers, or null when no dates parse.
+// Statement times are Nairobi wall-clock time without a zone; reading the parsed date
+// back in the zone it was parsed in keeps that calendar date on any server.
+function statementDateRange(entries) {
+  const pad = (number) => String(number).padStart(2, '0');
+  const dates = entries
+    .map(entry => new Date(entry.completedAt))
+    .filter(date => !Number.isNaN(date.getTime()))
+    .map(date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`)
+    .sort();
+  if (dates.length === 0) return null;
+
+  return { from: dates[0], to: dates[dates.length - 1] };
+}
+
+// Match statement entries to payment rows by receipt number, comparing amounts
+function matchStatement(entries, payments) {
+  const paymentsByCode = new Map();
+  payments.forEach(payment => {
+    if (payment.mpesa_code) paymentsByCode.set(payment.mpesa_code.toUpperCase(), payment);
+  });
+
+  const matched = [];
+  const amountMismatches = [];
+  const unmatchedStatement = [];
+  const seenPaymentIds = new Set();
+
+  entries.forEach(entry => {
+    const payment = paymentsByCode.get(entry.receipt);
+    if (!payment) {
+      unmatchedStatement.push(entry);
+      return;
+    }
+
+    seenPaymentIds.add(payment.id);
+    const pair = { receipt: entry.receipt, paymentId: payment.id, quoteId: payment.quote_id, statementAmount: entry.amount, paymentAmount: parseFloat(payment.amount) };
+    if (Math.abs(entry.amount - parseFloat(payment.amount)) >= 0.01 || payment.status !== 'completed') {
+      amountMismatches.push({ ...pair, paymentStatus: payment.status });
+    } else {
+      matched.push(pair);
+    }
+  });
+
+  const unmatchedPayments = payments.filter(payment =>
+    payment.status === 'completed' && !seenPaymentIds.has(payment.id)
+  );
+
+  return {
+    summary: {
+      statementRows: entries.length,
+      matched: matched.length,
+      amountMismatches: amountMismatches.length,
+      unmatchedStatement: unmatchedStatement.length,
+      unmatchedPayments: unmatchedPayments.length
+    },
+    matched,
+    amountMismatches,
+    unmatchedStatement,
+    unmatchedPayments
+  };
+}
+
+// Background worker that asks M-Pesa about payments whose callback never arrived
+function createReconciliationWorker({ pool, provider, settlePayment, staleAfterMs = 5 * 60 * 1000, intervalMs = 60 * 1000, batchSize = 20 }) {
+  let timer = null;
+  let running = false;
+
+  async function reconcileStalePayments() {
+    if (running) return { checked: 0, settled: 0 };
+    running = true;
+
+    let checked = 0;
+    let settled = 0;
+    try {
+      const staleResult = await pool.query(
+        `SELECT * FROM payments
+         WHERE status = 'initiated' AND created_at < $1
+         ORDER BY created_at ASC
+         LIMIT $2`,
+        [new Date(Date.now() - staleAfterMs), batchSize]
+      );
+
+      for (const payment of staleResult.rows) {
+        checked++;
+        try {
+          // The prompt never reached Safaricom, so there is nothing to query
+          const result = payment.checkout_request_id
+            ? await provider.queryStkStatus({ checkoutRequestId: payment.checkout_request_id })
+            : { pending: false, status: 'failed', resultCode: null, resultDesc: 'STK Push was never accepted' };
+
+          if (result.pending) continue;
+
+          const updated = await settlePayment(payment.id, result);
+          if (updated && updated.status !== 'initiated') settled++;
+        } catch (error) {
+          console.error(`Reconciliation failed for payment ${payment.id}:`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    if (settled > 0) {
+      console.log(`🔄 Reconciled ${settled} of ${checked} stale M-Pesa payments`);
+    }
+    return { checked, settled };
+  }
+
+  function start() {
+    if (timer || intervalMs <= 0) return;
+    timer = setInterval(() => {
+      reconcileStalePayments().catch(error => {
+        console.error('Reconciliation run failed:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, reconcileStalePayments };
+}
+
+module.exports = {
+  parseCsv,
+  parseStatement,
+  statementDateRange,
+  matchStatement,
+  createReconciliationWorker
+};
@@ -0,0 +1,216 @@
+// Installation scheduling - bookable slots from technician working hours
+
+// Working hours are entered in Nairobi time (EAT, UTC+3, no daylight saving)
+const NAIROBI_UTC_OFFSET = '+03:00';
+
+// Furthest ahead a customer can book
+const MAX_BOOKING_DAYS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function isValidDate(date) {
+  return DATE_PATTERN.test(date) && !Number.isNaN(new Date(`${date}T00:00:00${NAIROBI_UTC_OFFSET}`).getTime());
+}
+
+function nairobiDateTime(date, time) {
+  return new Date(`${date}T${time.length === 5 ? `${time}:00` : time}${NAIROBI_UTC_OFFSET}`);
+}
+
+// Day of the week (0 = Sunday) of a calendar date in Nairobi
+function weekdayOf(date) {
+  return new Date(`${date}T12:00:00${NAIROBI_UTC_OFFSET}`).getUTCDay();
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in Nairobi
+function nairobiDateOf(instant) {
+  return new Date(new Date(instant).getTime() + 3 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+function addDays(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+}
+
+// Calendar dates from `from` to `to` inclusive
+function dateRange(from, to) {
+  const dates = [];
+  const cursor = new Date(`${from}T12:00:00Z`);
+  const end = new Date(`${to}T12:00:00Z`);
+  while (cursor <= end) {
+    dates.push(cursor.toISOString().substring(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Check admin-submitted working hours; returns an error message or null
+function validateWorkingHours(hours) {
+  if (!Array.isArray(hours)) return 'hours must be an array';
+
+  const weekdays = new Set();
+  for (const entry of hours) {
+    if (!entry || !Number.isInteger(entry.weekday) || entry.weekday < 0 || entry.weekday > 6) {
+      return 'weekday must be a whole number from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (!TIME_PATTERN.test(entry.startTime || '') || !TIME_PATTERN.test(entry.endTime || '')) {
+      return 'startTime and endTime must be HH:MM';
+    }
+    if (entry.endTime <= entry.startTime) {
+      return `endTime must be after startTime on weekday ${entry.weekday}`;
+    }
+    if (weekdays.has(entry.weekday)) {
+      return `weekday ${entry.weekday} is listed more than once`;
+    }
+    weekdays.add(entry.weekday);
+  }
+
+  return null;
+}
+
+// Fixed-length slots that fit inside one technician's hours on one date
+function buildDaySlots(date, hours, slotMinutes) {
+  if (!hours) return [];
+
+  const slots = [];
+  const dayEnd = nairobiDateTime(date, hours.end_time);
+  let start = nairobiDateTime(date, hours.start_time);
+
+  while (start.getTime() + slotMinutes * 60000 <= dayEnd.getTime()) {
+    const end = new Date(start.getTime() + slotMinutes * 60000);
+    slots.push({ startsAt: start, endsAt: end });
+    start = end;
+  }
+
+  return slots;
+}
+
+const overlaps = (slot, booking) =>
+  slot.startsAt < new Date(booking.ends_at) && new Date(booking.starts_at) < slot.endsAt;
+
+// Free slots per technician over a date range
+function technicianAvailability({ dates, technicians, workingHours, bookings, slotMinutes, earliestStart }) {
+  const available = [];
+
+  technicians.forEach(technician => {
+    const hoursByWeekday = new Map(
+      workingHours
+        .filter(hours => hours.technician_id === technician.id)
+        .map(hours => [hours.weekday, hours])
+    );
+    const technicianBookings = bookings.filter(booking => booking.technician_id === technician.id);
+
+    dates.forEach(date => {
+      buildDaySlots(date, hoursByWeekday.get(weekdayOf(date)), slotMinutes)
+        .filter(slot => slot.startsAt >= earliestStart)
+        .filter(slot => !technicianBookings.some(booking => overlaps(slot, booking)))
+        .forEach(slot => available.push({ technicianId: technician.id, ...slot }));
+    });
+  });
+
+  return available;
+}
+
+// Customer view: start times with at least one free technician
+function groupSlots(technicianSlots) {
+  const byStart = new Map();
+
+  technicianSlots.forEach(slot => {
+    const key = slot.startsAt.toISOString();
+    if (!byStart.has(key)) {
+      byStart.set(key, { startsAt: slot.startsAt, endsAt: slot.endsAt, technicians: 0 });
+    }
+    byStart.get(key).technicians++;
+  });
+
+  return [...byStart.values()].sort((a, b) => a.startsAt - b.startsAt);
+}
+
+// Background worker that sends one reminder per booking as its start time approaches
+function createReminderWorker({ pool, notify, leadMs = 24 * 60 * 60 * 1000, intervalMs = 10 * 60 * 1000 }) {
+  let timer = null;
+  let running = false;
+
+  async function sendDueReminders() {
+    if (running) return { reminded: 0 };
+    running = true;
+
+    let reminded = 0;
+    try {
+      const now = Date.now();
+      const dueResult = await pool.query(
+        `SELECT b.*, t.name AS technician_name
+         FROM installation_bookings b
+         JOIN technicians t ON b.technician_id = t.id
+         WHERE b.status = 'scheduled' AND b.reminder_sent_at IS NULL
+           AND b.starts_at > $1 AND b.starts_at <= $2
+         ORDER BY b.starts_at`,
+        [new Date(now), new Date(now + leadMs)]
+      );
+
+      for (const booking of dueResult.rows) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          // Marking first means a booking is never reminded twice, even across processes
+          const claimed = await client.query(
+            `UPDATE installation_bookings SET reminder_sent_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND reminder_sent_at IS NULL
+             RETURNING id`,
+            [booking.id]
+          );
+          if (claimed.rows.length > 0) {
+            await notify(booking, client);
+            reminded++;
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`Installation reminder failed for booking ${booking.id}:`, error.message);
+        } finally {
+          client.release();
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return { reminded };
+  }
+
+  function start() {
+    if (timer || intervalMs <= 0) return;
+    timer = setInterval(() => {
+      sendDueReminders().catch(error => {
+        console.error('Reminder run failed:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, sendDueReminders };
+}
+
+module.exports = {
+  NAIROBI_UTC_OFFSET,
+  TIME_PATTERN,
+  MAX_BOOKING_DAYS,
+  isValidDate,
+  weekdayOf,
+  nairobiDateOf,
+  addDays,
+  dateRange,
+  validateWorkingHours,
+  buildDaySlots,
+  technicianAvailability,
+  groupSlots,
+  createReminderWorker
+};
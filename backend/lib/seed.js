@@ -0,0 +1,457 @@
+// Development data - Nairobi customers, quotes, payments and messages from a seeded random generator
+const pricing = require('./pricing');
+const paymentPlans = require('./paymentPlans');
+const quoteLifecycle = require('./quoteLifecycle');
+
+// Everything seeded uses this email domain, so a new run can find and replace it
+const SEED_EMAIL_DOMAIN = 'seed.expertpolyhomes.test';
+
+const DEFAULT_SEED = 2024;
+const CUSTOMER_COUNT = 24;
+const QUOTE_COUNT = 48;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIRST_NAMES = [
+  'Wanjiru', 'Otieno', 'Achieng', 'Kamau', 'Njeri', 'Mwangi', 'Wambui', 'Kiprono', 'Chebet', 'Omondi',
+  'Akinyi', 'Mutua', 'Nduta', 'Kiptoo', 'Atieno', 'Njoroge', 'Muthoni', 'Ouma', 'Wairimu', 'Barasa'
+];
+const LAST_NAMES = [
+  'Kariuki', 'Odhiambo', 'Mwangi', 'Kipchumba', 'Wafula', 'Njoroge', 'Otieno', 'Mutiso', 'Kimani',
+  'Onyango', 'Chege', 'Macharia', 'Wekesa', 'Ndungu', 'Korir'
+];
+
+// Mostly areas our crews cover, plus a few that pay the remote transport fee
+const LOCATIONS = [
+  'Westlands, Nairobi', 'Kilimani, Nairobi', 'Kileleshwa, Nairobi', 'Lavington, Nairobi',
+  'South B, Nairobi', 'Kasarani, Nairobi', 'Karen', 'Langata', 'Thika', 'Ruaka, Kiambu',
+  'Kitengela', 'Syokimau, Machakos', 'Ngong'
+];
+
+const ROOMS = ['Living room', 'Kitchen', 'Master bedroom', 'Kids bedroom', 'Sliding door', 'Study', 'Guest room'];
+
+const CONTACT_MESSAGES = [
+  'Do you install on aluminium sliding windows?',
+  'I need nets for a 3 bedroom apartment in Kilimani. When can someone come to measure?',
+  'What is the difference between the polyester and stainless mesh?',
+  'Can I pay the deposit in two parts?',
+  'Our roller net is stuck halfway. Do you do repairs?',
+  'Please call me about nets for a school dormitory in Thika.',
+  'Do you serve Kitengela? I would like a quote for 8 windows.',
+  'Is there a warranty on the magnetic door screens?'
+];
+
+const STAFF = [
+  { role: 'admin', name: 'Grace Admin' },
+  { role: 'sales', name: 'Brian Sales' },
+  { role: 'finance', name: 'Faith Finance' },
+  { role: 'technician', name: 'Peter Fundi' },
+  { role: 'technician', name: 'James Fundi' }
+];
+
+// mulberry32: small, fast and the same on every machine for a given seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    next,
+    int,
+    pick: (values) => values[int(0, values.length - 1)],
+    chance: (probability) => next() < probability,
+    // Rounded to 5 cm, the way windows are measured on site
+    metres: (min, max) => Math.round((min + next() * (max - min)) * 20) / 20,
+    code: (length) => Array.from({ length }, () => 'ABCDEFGHJKLMNPQRSTUVWXYZ0123456789'[int(0, 33)]).join('')
+  };
+}
+
+// Statuses a quote passes through to reach `status`
+function statusPath(status, random) {
+  const forward = ['pending', 'surveyed', 'confirmed', 'deposit_paid', 'scheduled', 'installed', 'completed'];
+  if (status === 'cancelled') {
+    return random.chance(0.5) ? ['pending', 'cancelled'] : ['pending', 'surveyed', 'cancelled'];
+  }
+  return forward.slice(0, forward.indexOf(status) + 1);
+}
+
+// Who moves a quote into each status, for the history
+const STATUS_ACTORS = {
+  pending: { actorType: 'customer', note: 'Quote submitted' },
+  surveyed: { actorType: 'sales', note: 'Site survey done' },
+  confirmed: { actorType: 'sales', note: 'Measurements confirmed with customer' },
+  deposit_paid: { actorType: 'system', note: 'Deposit received via M-Pesa' },
+  scheduled: { actorType: 'sales', note: 'Installation assigned' },
+  installed: { actorType: 'technician', note: 'Installation completed' },
+  completed: { actorType: 'sales', note: 'Balance received, job closed' },
+  cancelled: { actorType: 'sales', note: 'Customer went with another supplier' }
+};
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+// Why `env` may point at a hosted database rather than a local one, or null when it looks local
+function unsafeSeedTarget(env) {
+  let host = env.PGHOST || 'localhost';
+  let sslMode = env.PGSSLMODE;
+  if (env.DATABASE_URL) {
+    let url;
+    try {
+      url = new URL(env.DATABASE_URL);
+    } catch (error) {
+      return 'DATABASE_URL is not a valid URL';
+    }
+    host = url.hostname || url.searchParams.get('host') || host;
+    sslMode = url.searchParams.get('sslmode') || (url.searchParams.get('ssl') === 'true' ? 'require' : sslMode);
+  }
+
+  if (sslMode && !['disable', 'allow', 'prefer'].includes(sslMode)) {
+    return `the database connection uses SSL (sslmode=${sslMode})`;
+  }
+  // A path is a Unix socket on this machine
+  if (!LOCAL_HOSTS.includes(host) && !host.startsWith('/')) {
+    return `the database host ${host} is not local`;
+  }
+  return null;
+}
+
+// Removes rows left by an earlier run, including everything hanging off seeded users
+async function clearSeedData(db) {
+  const seededUsers = `SELECT id FROM users WHERE email LIKE '%@${SEED_EMAIL_DOMAIN}'`;
+  const seededQuotes = `SELECT id FROM quotes WHERE user_id IN (${seededUsers})`;
+  const seededTechnicians = `SELECT id FROM technicians WHERE user_id IN (${seededUsers})`;
+
+  await db.query(`DELETE FROM installation_bookings WHERE quote_id IN (${seededQuotes}) OR technician_id IN (${seededTechnicians})`);
+  await db.query(`UPDATE installation_bookings SET created_by = NULL WHERE created_by IN (${seededUsers})`);
+  await db.query(`DELETE FROM technicians WHERE id IN (${seededTechnicians})`);
+  await db.query(`DELETE FROM quote_status_history WHERE quote_id IN (${seededQuotes})`);
+  await db.query(`UPDATE quote_status_history SET actor_id = NULL WHERE actor_id IN (${seededUsers})`);
+  await db.query(`DELETE FROM payments WHERE quote_id IN (${seededQuotes}) OR user_id IN (${seededUsers})`);
+  await db.query(`DELETE FROM payment_instalments WHERE quote_id IN (${seededQuotes})`);
+  await db.query(`DELETE FROM quotes WHERE id IN (${seededQuotes})`);
+  await db.query(`UPDATE price_lists SET created_by = NULL WHERE created_by IN (${seededUsers})`);
+  await db.query(`DELETE FROM users WHERE id IN (${seededUsers})`);
+  await db.query(`DELETE FROM contact_messages WHERE email LIKE '%@${SEED_EMAIL_DOMAIN}'`);
+}
+
+const emailFor = (name, index) => `${name.toLowerCase().replace(/\s+/g, '.')}${index}@${SEED_EMAIL_DOMAIN}`;
+
+async function insertUser(db, { name, email, phone, role, passwordHash, createdAt }) {
+  const userResult = await db.query(
+    `INSERT INTO users (name, email, password, phone, role, email_verified, phone_verified, created_at)
+     VALUES ($1, $2, $3, $4, $5, TRUE, TRUE, $6)
+     RETURNING id`,
+    [name, email, passwordHash, phone, role, createdAt]
+  );
+  return userResult.rows[0].id;
+}
+
+async function seedStaff(db, random, passwordHash, now) {
+  const staff = {};
+  for (const [index, member] of STAFF.entries()) {
+    const id = await insertUser(db, {
+      name: member.name,
+      email: emailFor(member.name, index + 1),
+      phone: `2547${String(random.int(0, 99999999)).padStart(8, '0')}`,
+      role: member.role,
+      passwordHash,
+      createdAt: new Date(now - 365 * DAY_MS)
+    });
+    (staff[member.role] = staff[member.role] || []).push({ id, name: member.name });
+  }
+
+  // Technicians work Monday to Saturday, with a short Saturday
+  for (const technician of staff.technician) {
+    const technicianResult = await db.query(
+      'INSERT INTO technicians (user_id, name, phone) SELECT id, name, phone FROM users WHERE id = $1 RETURNING id',
+      [technician.id]
+    );
+    technician.technicianId = technicianResult.rows[0].id;
+    for (let weekday = 1; weekday <= 6; weekday++) {
+      await db.query(
+        `INSERT INTO technician_working_hours (technician_id, weekday, start_time, end_time)
+         VALUES ($1, $2, $3, $4)`,
+        [technician.technicianId, weekday, '08:00', weekday === 6 ? '13:00' : '17:00']
+      );
+    }
+  }
+  return staff;
+}
+
+async function seedCustomers(db, random, passwordHash, now) {
+  const customers = [];
+  for (let index = 1; index <= CUSTOMER_COUNT; index++) {
+    const name = `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+    const customer = {
+      name,
+      email: emailFor(name, index),
+      phone: `2547${String(random.int(0, 99999999)).padStart(8, '0')}`,
+      location: random.pick(LOCATIONS)
+    };
+    customer.id = await insertUser(db, {
+      ...customer,
+      role: 'user',
+      passwordHash,
+      createdAt: new Date(now - random.int(190, 300) * DAY_MS)
+    });
+    customers.push(customer);
+  }
+  return customers;
+}
+
+async function insertPayment(db, { quote, customer, instalmentId, amount, status, createdAt, random }) {
+  const results = {
+    completed: { code: 0, desc: 'The service request is processed successfully.' },
+    failed: { code: 1, desc: 'The balance is insufficient for the transaction.' },
+    cancelled: { code: 1032, desc: 'Request cancelled by user' },
+    initiated: { code: null, desc: null }
+  };
+  await db.query(
+    `INSERT INTO payments (
+      user_id, quote_id, instalment_id, amount, amount_received, phone, status, mpesa_code,
+      merchant_request_id, checkout_request_id, result_code, result_desc, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)`,
+    [
+      customer.id,
+      quote.id,
+      instalmentId,
+      amount,
+      status === 'completed' ? amount : null,
+      customer.phone,
+      status,
+      status === 'completed' ? `S${random.code(9)}` : null,
+      `SEED-${random.code(8)}`,
+      `ws_CO_SEED_${random.code(12)}`,
+      results[status].code,
+      results[status].desc,
+      createdAt
+    ]
+  );
+}
+
+async function seedQuote(db, { index, customer, combination, status, priceList, staff, random, now }) {
+  const items = [{ ...combination, width: random.metres(0.6, 2.4), height: random.metres(0.6, 2.1), quantity: random.int(1, 4), label: random.pick(ROOMS) }];
+  for (let extra = random.int(0, 2); extra > 0; extra--) {
+    const other = random.pick(priceList.items);
+    items.push({
+      meshType: other.meshType,
+      materialType: other.materialType,
+      width: random.metres(0.6, 2.4),
+      height: random.metres(0.6, 2.1),
+      quantity: random.int(1, 3),
+      label: random.pick(ROOMS)
+    });
+  }
+
+  const estimate = pricing.estimateQuote(priceList, items, { location: customer.location });
+  const { lines } = estimate;
+  const single = lines.length === 1 ? lines[0] : null;
+  const commonValue = (key) => (lines.every(line => line[key] === lines[0][key]) ? lines[0][key] : 'mixed');
+
+  // Each step lands 1-3 days after the one before and the last one is in the past
+  const path = statusPath(status, random);
+  const createdAt = new Date(now - (path.length * 3 + random.int(1, 150)) * DAY_MS - random.int(0, 36000) * 1000);
+  const stepTimes = [createdAt];
+  path.slice(1).forEach(() => {
+    stepTimes.push(new Date(stepTimes[stepTimes.length - 1].getTime() + random.int(1, 3) * DAY_MS));
+  });
+
+  const quoteResult = await db.query(
+    `INSERT INTO quotes (
+      user_id, window_width, window_height, window_count, mesh_type, material_type, total_price,
+      status, install_location, price_list_id, transport_fee, vat_amount, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *`,
+    [
+      customer.id,
+      single ? single.width : null,
+      single ? single.height : null,
+      lines.reduce((sum, line) => sum + line.quantity, 0),
+      commonValue('meshType'),
+      commonValue('materialType'),
+      estimate.total,
+      status,
+      customer.location,
+      priceList.id,
+      estimate.transport.fee,
+      estimate.vat,
+      createdAt
+    ]
+  );
+  const quote = quoteResult.rows[0];
+
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO quote_items (
+        quote_id, line_number, label, mesh_type, material_type,
+        width, height, quantity, unit_price, installation, line_total
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [quote.id, line.lineNumber, line.label, line.meshType, line.materialType,
+        line.width, line.height, line.quantity, line.unitPrice, line.installation, line.lineTotal]
+    );
+  }
+
+  const technician = staff.technician[Math.floor(index / 8) % staff.technician.length];
+  const actorIds = {
+    customer: customer.id,
+    sales: staff.sales[0].id,
+    technician: technician.id,
+    system: null
+  };
+  for (const [step, toStatus] of path.entries()) {
+    const { actorType, note } = STATUS_ACTORS[toStatus];
+    await db.query(
+      `INSERT INTO quote_status_history (quote_id, from_status, to_status, actor_id, actor_type, note, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [quote.id, step === 0 ? null : path[step - 1], toStatus, actorIds[actorType], actorType, note, stepTimes[step]]
+    );
+  }
+
+  // Payment plan, with the deposit paid from deposit_paid on and the balance once installed
+  const instalments = [];
+  for (const instalment of paymentPlans.buildInstalments(quote.total_price)) {
+    const instalmentResult = await db.query(
+      `INSERT INTO payment_instalments (quote_id, sequence, kind, amount_due, created_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [quote.id, instalment.sequence, instalment.kind, instalment.amountDue, createdAt]
+    );
+    instalments.push(instalmentResult.rows[0]);
+  }
+
+  const paid = (kind) => path.includes(kind === 'deposit' ? 'deposit_paid' : 'completed');
+  for (const instalment of instalments) {
+    const paidAt = instalment.kind === 'deposit'
+      ? stepTimes[path.indexOf('deposit_paid')]
+      : stepTimes[path.indexOf('completed')];
+
+    if (paid(instalment.kind)) {
+      // Some customers needed a second try
+      if (random.chance(0.25)) {
+        await insertPayment(db, {
+          quote, customer, random,
+          instalmentId: instalment.id,
+          amount: instalment.amount_due,
+          status: random.pick(['failed', 'cancelled']),
+          createdAt: new Date(paidAt.getTime() - 30 * 60 * 1000)
+        });
+      }
+      await insertPayment(db, {
+        quote, customer, random,
+        instalmentId: instalment.id,
+        amount: instalment.amount_due,
+        status: 'completed',
+        createdAt: paidAt
+      });
+      await db.query(
+        "UPDATE payment_instalments SET amount_paid = amount_due, status = 'paid' WHERE id = $1",
+        [instalment.id]
+      );
+    }
+  }
+
+  // Open quotes show every other payment outcome on their deposit
+  const deposit = instalments[0];
+  if (['pending', 'surveyed', 'confirmed'].includes(status) && deposit) {
+    const outcome = ['initiated', 'failed', 'cancelled', null][index % 4];
+    if (outcome) {
+      await insertPayment(db, {
+        quote, customer, random,
+        instalmentId: deposit.id,
+        amount: deposit.amount_due,
+        status: outcome,
+        createdAt: outcome === 'initiated' ? new Date(now) : stepTimes[stepTimes.length - 1]
+      });
+    }
+  }
+
+  // Bookings: upcoming for scheduled quotes, done for installed and completed ones
+  if (['scheduled', 'installed', 'completed'].includes(status)) {
+    // Upcoming jobs get a day each (Sundays move to Monday) so no technician is double-booked
+    const day = status === 'scheduled'
+      ? new Date(now + (2 + Math.floor(index / 8) * 3) * DAY_MS)
+      : stepTimes[path.indexOf('installed')];
+    if (day.getUTCDay() === 0) day.setTime(day.getTime() + DAY_MS);
+    // 08:00 in Nairobi (UTC+3)
+    const startsAt = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 5));
+    await db.query(
+      `INSERT INTO installation_bookings (quote_id, technician_id, starts_at, ends_at, status, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [quote.id, technician.technicianId, startsAt, new Date(startsAt.getTime() + 3 * 60 * 60 * 1000),
+        status === 'scheduled' ? 'scheduled' : 'completed', staff.sales[0].id, stepTimes[path.indexOf('scheduled')]]
+    );
+    await db.query('UPDATE quotes SET install_date = $1 WHERE id = $2', [startsAt, quote.id]);
+  }
+
+  return quote;
+}
+
+async function seedContactMessages(db, random, customers, now) {
+  for (const [index, message] of CONTACT_MESSAGES.entries()) {
+    const customer = customers[(index * 5) % customers.length];
+    await db.query(
+      'INSERT INTO contact_messages (name, email, phone, message, created_at) VALUES ($1, $2, $3, $4, $5)',
+      [customer.name, customer.email, random.chance(0.7) ? customer.phone : null, message,
+        new Date(now - random.int(0, 120) * DAY_MS)]
+    );
+  }
+}
+
+// Replaces any earlier seed data; the same seed gives the same rows, dated relative to `now`.
+// Every customer and staff account gets the password behind `passwordHash`.
+async function seedDevelopmentData(db, { seed = DEFAULT_SEED, passwordHash, now = Date.now() }) {
+  const random = createRandom(seed);
+  const priceList = await pricing.getActivePriceList(db);
+  if (!priceList) {
+    throw new Error('No price list is in effect; run the migrations and start the server once first');
+  }
+
+  await clearSeedData(db);
+  const staff = await seedStaff(db, random, passwordHash, now);
+  const customers = await seedCustomers(db, random, passwordHash, now);
+
+  // Walking both lists together covers every mesh/material pair and every status
+  const combinations = priceList.items.map(({ meshType, materialType }) => ({ meshType, materialType }));
+  const quotes = [];
+  for (let index = 0; index < QUOTE_COUNT; index++) {
+    quotes.push(await seedQuote(db, {
+      index,
+      customer: customers[index % customers.length],
+      combination: combinations[index % combinations.length],
+      status: quoteLifecycle.QUOTE_STATUSES[index % quoteLifecycle.QUOTE_STATUSES.length],
+      priceList,
+      staff,
+      random,
+      now
+    }));
+  }
+
+  await seedContactMessages(db, random, customers, now);
+
+  const countResult = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM payments WHERE quote_id = ANY($1::int[]))::int AS payments,
+       (SELECT COUNT(*) FROM contact_messages WHERE email LIKE $2)::int AS messages`,
+    [quotes.map(quote => quote.id), `%@${SEED_EMAIL_DOMAIN}`]
+  );
+
+  return {
+    staff: Object.values(staff).flat().length,
+    customers: customers.length,
+    quotes: quotes.length,
+    ...countResult.rows[0]
+  };
+}
+
+module.exports = {
+  SEED_EMAIL_DOMAIN,
+  DEFAULT_SEED,
+  createRandom,
+  unsafeSeedTarget,
+  clearSeedData,
+  seedDevelopmentData
+};
@@ -0,0 +1,139 @@
+// Sign-in sessions - short-lived JWT access tokens plus rotating refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+function createSessionManager({ jwtSecret, accessTokenTtl = '15m', refreshTokenTtlMs = 30 * 24 * 60 * 60 * 1000 }) {
+  function signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+      jwtSecret,
+      { expiresIn: accessTokenTtl }
+    );
+  }
+
+  function tokensFor(user, sessionId, refreshToken) {
+    return {
+      token: signAccessToken(user, sessionId),
+      refreshToken,
+      sessionId
+    };
+  }
+
+  // Start a session for a user who has just proved who they are
+  async function createSession(db, user, { userAgent = null, ipAddress = null } = {}) {
+    const refreshToken = newRefreshToken();
+    const sessionResult = await db.query(
+      `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [user.id, hashToken(refreshToken), userAgent, ipAddress, new Date(Date.now() + refreshTokenTtlMs)]
+    );
+    return tokensFor(user, sessionResult.rows[0].id, refreshToken);
+  }
+
+  // Swap a refresh token for a new pair. Presenting a token that was already
+  // rotated means it was copied, so the whole session is revoked.
+  async function refreshSession(db, refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const sessionResult = await db.query(
+      `SELECT s.*, u.email, u.role
+       FROM sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+       FOR UPDATE OF s`,
+      [tokenHash]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    const session = sessionResult.rows[0];
+    if (session.revoked_at) {
+      return { error: 'Session has been revoked' };
+    }
+    if (session.refresh_token_hash !== tokenHash) {
+      await revokeSession(db, session.id);
+      return { error: 'Refresh token was already used; the session has been revoked' };
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      return { error: 'Session has expired' };
+    }
+
+    const nextToken = newRefreshToken();
+    await db.query(
+      `UPDATE sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+           last_used_at = CURRENT_TIMESTAMP, expires_at = $2
+       WHERE id = $3`,
+      [hashToken(nextToken), new Date(Date.now() + refreshTokenTtlMs), session.id]
+    );
+
+    const user = { id: session.user_id, email: session.email, role: session.role };
+    return tokensFor(user, session.id, nextToken);
+  }
+
+  // Revoke one session, or only if it belongs to `userId` when given
+  async function revokeSession(db, sessionId, userId = null) {
+    const revokedResult = await db.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR user_id = $2)
+       RETURNING id`,
+      [sessionId, userId]
+    );
+    return revokedResult.rows.length > 0;
+  }
+
+  // Revoke every session of a user, optionally keeping the one in use
+  async function revokeUserSessions(db, userId, { exceptSessionId = null } = {}) {
+    await db.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+      [userId, exceptSessionId]
+    );
+  }
+
+  // The session behind an access token while it is still usable, with the
+  // user's current role so role changes apply without signing in again
+  async function findActiveSession(db, sessionId) {
+    if (!sessionId) return null;
+    const sessionResult = await db.query(
+      `SELECT s.id, s.user_id, u.role, u.must_change_password
+       FROM sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > $2`,
+      [sessionId, new Date()]
+    );
+    return sessionResult.rows[0] || null;
+  }
+
+  async function listSessions(db, userId) {
+    const sessionsResult = await db.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [userId, new Date()]
+    );
+    return sessionsResult.rows;
+  }
+
+  return {
+    signAccessToken,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    findActiveSession,
+    listSessions
+  };
+}
+
+module.exports = {
+  hashToken,
+  createSessionManager
+};
@@ -0,0 +1,130 @@
+// SMS notifications - message templates and providers (Africa's Talking or a local mock)
+const { normalizeKenyanPhone } = require('./phone');
+
+const BRAND = 'Expert Polyhomes';
+
+const AFRICAS_TALKING_URLS = {
+  sandbox: 'https://api.sandbox.africastalking.com/version1/messaging',
+  production: 'https://api.africastalking.com/version1/messaging'
+};
+
+// Africa's Talking per-recipient status codes that mean the message was accepted
+const AT_ACCEPTED_CODES = [100, 101, 102];
+
+const formatKes = (amount) => `KES ${Number(amount || 0).toLocaleString('en-KE', { maximumFractionDigits: 2 })}`;
+
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+const formatInstallTime = (date) => new Date(date).toLocaleString('en-KE', {
+  timeZone: 'Africa/Nairobi',
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Kept short: one SMS segment is 160 characters
+const SMS_TEMPLATES = {
+  quote_received: ({ quote }) =>
+    `${BRAND}: We received quote #${quote.id} for ${formatKes(quote.total_price)}. We will call you to arrange a site survey.`,
+
+  quote_status_update: ({ quote }) =>
+    `${BRAND}: Your quote #${quote.id} is now ${formatStatus(quote.status)}.`,
+
+  payment_receipt: ({ quote, payment }) =>
+    `${BRAND}: Received ${formatKes(payment.amount_received || payment.amount)} for quote #${quote.id}. M-Pesa ref ${payment.mpesa_code || 'pending'}. Thank you!`,
+
+  installation_reminder: ({ quote, booking }) =>
+    `${BRAND}: Reminder - installation for quote #${quote.id} is on ${formatInstallTime(booking.starts_at)}. Technician: ${booking.technician_name}.`
+};
+
+// Events that send an SMS and the template each one uses
+const SMS_ROUTES = {
+  new_quote: 'quote_received',
+  quote_status_update: 'quote_status_update',
+  quote_cancelled: 'quote_status_update',
+  payment_confirmation: 'payment_receipt',
+  installation_reminder: 'installation_reminder'
+};
+
+function renderSms(template, data) {
+  const render = SMS_TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+  return render(data);
+}
+
+function createAfricasTalkingProvider(config) {
+  const url = AFRICAS_TALKING_URLS[config.environment] || AFRICAS_TALKING_URLS.sandbox;
+
+  async function send({ to, message }) {
+    const body = new URLSearchParams({ username: config.username, to: `+${to}`, message });
+    if (config.senderId) body.set('from', config.senderId);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        apiKey: config.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body
+    });
+
+    if (!response.ok) {
+      throw new Error(`Africa's Talking returned status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const recipient = data.SMSMessageData && data.SMSMessageData.Recipients && data.SMSMessageData.Recipients[0];
+    if (!recipient || !AT_ACCEPTED_CODES.includes(Number(recipient.statusCode))) {
+      throw new Error(`SMS rejected: ${recipient ? recipient.status : data.SMSMessageData && data.SMSMessageData.Message}`);
+    }
+
+    return { messageId: recipient.messageId, cost: recipient.cost };
+  }
+
+  return { name: 'africastalking', send };
+}
+
+// Local stand-in that logs messages and keeps them for inspection
+function createMockSmsProvider() {
+  const sent = [];
+
+  async function send({ to, message }) {
+    sent.push({ to, message, sentAt: new Date() });
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { messageId: `MOCK${sent.length}` };
+  }
+
+  return { name: 'mock', send, sent };
+}
+
+function createSmsProvider(env = process.env) {
+  if (env.SMS_PROVIDER === 'africastalking') {
+    return createAfricasTalkingProvider({
+      environment: env.AT_ENV || 'sandbox',
+      username: env.AT_USERNAME,
+      apiKey: env.AT_API_KEY,
+      senderId: env.AT_SENDER_ID
+    });
+  }
+  return createMockSmsProvider();
+}
+
+// Customer number for SMS: their profile phone, else the number they paid from
+function smsRecipient({ customer, payment }) {
+  return normalizeKenyanPhone(customer && customer.phone) || normalizeKenyanPhone(payment && payment.phone);
+}
+
+module.exports = {
+  SMS_TEMPLATES,
+  SMS_ROUTES,
+  renderSms,
+  smsRecipient,
+  createAfricasTalkingProvider,
+  createMockSmsProvider,
+  createSmsProvider
+};
@@ -0,0 +1,150 @@
+// Spreadsheet exports - query results streamed to the response as CSV or XLSX,
+// a batch of rows at a time, so large exports never sit in memory
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const BATCH_SIZE = 500;
+
+// Spreadsheets have no time zones, so times are written as Nairobi wall-clock time.
+// The query formats them, since only the database knows the zone its timestamps are in
+const nairobiWallClock = (column) => `to_char(${column}::timestamptz AT TIME ZONE 'Africa/Nairobi', 'YYYY-MM-DD HH24:MI')`;
+
+// A column is { header, value: row => ..., type: 'text' | 'number' | 'money' | 'datetime' | 'boolean' },
+// where a datetime value is nairobiWallClock() text
+function cellValue(column, row) {
+  const value = column.value(row);
+  if (value === null || value === undefined) return null;
+
+  switch (column.type) {
+    case 'number':
+    case 'money':
+      return Number(value);
+    case 'datetime':
+      // Both writers read the Date's UTC fields, so the wall-clock text is kept as UTC
+      return new Date(`${value.replace(' ', 'T')}:00Z`);
+    case 'boolean':
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+}
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(column, value) {
+  if (value === null) return '';
+  if (column.type === 'datetime') return value.toISOString().substring(0, 16).replace('T', ' ');
+  if (column.type === 'money') return value.toFixed(2);
+
+  let text = String(value);
+  if (column.type !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (fields) => `${fields.join(',')}\r\n`;
+
+// Resolves once the response can take more, or rejects if the client went away
+function writeWithBackpressure(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { res.off('close', onClose); resolve(); };
+    const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+// One writer per format: start(), row(values), finish()
+function createCsvWriter(res, columns) {
+  return {
+    // The byte order mark makes Excel read the file as UTF-8
+    start: () => writeWithBackpressure(res, `\uFEFF${csvLine(columns.map(column => csvField({ type: 'text' }, column.header)))}`),
+    row: (values) => writeWithBackpressure(res, csvLine(values.map((value, index) => csvField(columns[index], value)))),
+    finish: async () => { res.end(); }
+  };
+}
+
+const XLSX_FORMATS = { money: '#,##0.00', datetime: 'yyyy-mm-dd hh:mm' };
+
+function createXlsxWriter(res, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  return {
+    start: async () => {
+      sheet.columns = columns.map((column, index) => ({
+        header: column.header,
+        key: String(index),
+        width: column.width || Math.max(12, column.header.length + 2),
+        style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+    },
+    row: async (values) => {
+      sheet.addRow(values).commit();
+    },
+    finish: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+// Streams every row of `sql` to the response as a download named `fileName`.<format>.
+// Headers are sent before the first row, so errors after that end the response
+// early instead of producing an error body.
+async function streamExport({ pool, res, format, fileName, sheetName = 'Export', sql, params = [], columns, batchSize = BATCH_SIZE }) {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, params));
+
+  try {
+    // Read the first batch before answering, so a bad query still gets a proper error response
+    let rows = await cursor.read(batchSize);
+
+    res.status(200);
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${fileName}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const writer = format === 'xlsx' ? createXlsxWriter(res, columns, sheetName) : createCsvWriter(res, columns);
+    await writer.start();
+
+    while (rows.length > 0) {
+      for (const row of rows) {
+        await writer.row(columns.map(column => cellValue(column, row)));
+      }
+      rows = await cursor.read(batchSize);
+    }
+
+    await writer.finish();
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    console.error(`Export ${fileName} stopped:`, error.message);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  BATCH_SIZE,
+  nairobiWallClock,
+  csvField,
+  streamExport
+};
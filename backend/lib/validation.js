@@ -0,0 +1,205 @@
+// Request validation - small composable rules and the middleware that applies them
+const { validationFailed } = require('./errors');
+const { normalizeKenyanPhone } = require('./phone');
+
+// Thrown by a rule; the message is completed with the field path
+class RuleError extends Error {}
+
+const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// A rule checks one value and returns its clean form. Containers (object,
+// array) pass `path` and `errors` down so nested problems are all reported.
+const rule = (check) => ({ check, optional: false });
+
+// Lets the value be left out; `defaultValue` (if any) stands in for it
+const optional = (base, defaultValue) => ({ ...base, optional: true, defaultValue });
+
+function apply(fieldRule, value, path, errors) {
+  if (isMissing(value)) {
+    if (!fieldRule.optional) {
+      errors[path || 'value'] = 'is required';
+    }
+    return fieldRule.defaultValue;
+  }
+
+  try {
+    return fieldRule.check(value, path, errors);
+  } catch (error) {
+    if (!(error instanceof RuleError)) throw error;
+    errors[path || 'value'] = error.message;
+    return undefined;
+  }
+}
+
+function string({ min = 1, max = 255, pattern, patternMessage = 'has an invalid format', trim = true } = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string') throw new RuleError('must be text');
+    const text = trim ? value.trim() : value;
+    if (text.length < min) throw new RuleError(`must be at least ${min} characters`);
+    if (text.length > max) throw new RuleError(`must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) throw new RuleError(patternMessage);
+    return text;
+  });
+}
+
+function oneOf(values) {
+  return rule((value) => {
+    if (!values.includes(value)) throw new RuleError(`must be one of ${values.join(', ')}`);
+    return value;
+  });
+}
+
+// Accepts numbers and numeric strings (query and route parameters are strings)
+function number({ min, max, greaterThan, integer = false } = {}) {
+  return rule((value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) throw new RuleError('must be a number');
+    if (integer && !Number.isInteger(parsed)) throw new RuleError('must be a whole number');
+    if (greaterThan !== undefined && parsed <= greaterThan) throw new RuleError(`must be greater than ${greaterThan}`);
+    if (min !== undefined && parsed < min) throw new RuleError(`must be at least ${min}`);
+    if (max !== undefined && parsed > max) throw new RuleError(`must be at most ${max}`);
+    return parsed;
+  });
+}
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+// Database ids in routes and bodies
+const id = () => integer({ min: 1, max: 2147483647 });
+
+function boolean() {
+  return rule((value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new RuleError('must be true or false');
+  });
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function email() {
+  return rule((value) => {
+    if (typeof value !== 'string' || value.length > 255 || !EMAIL_PATTERN.test(value.trim())) {
+      throw new RuleError('must be a valid email address');
+    }
+    return value.trim().toLowerCase();
+  });
+}
+
+// At least 8 characters with a letter and a digit
+function password({ min = 8, max = 128 } = {}) {
+  return rule((value) => {
+    if (typeof value !== 'string') throw new RuleError('must be text');
+    if (value.length < min) throw new RuleError(`must be at least ${min} characters`);
+    if (value.length > max) throw new RuleError(`must be at most ${max} characters`);
+    if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) throw new RuleError('must contain a letter and a number');
+    return value;
+  });
+}
+
+// Returned as 2547XXXXXXXX
+function phone() {
+  return rule((value) => {
+    const normalized = normalizeKenyanPhone(value);
+    if (!normalized) throw new RuleError('must be a Kenyan mobile number (07XXXXXXXX or 2547XXXXXXXX)');
+    return normalized;
+  });
+}
+
+// Calendar date, YYYY-MM-DD
+function date() {
+  return rule((value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      throw new RuleError('must be a date (YYYY-MM-DD)');
+    }
+    return value;
+  });
+}
+
+// Any timestamp Date can parse, returned as a Date
+function datetime() {
+  return rule((value) => {
+    const parsed = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(parsed.getTime())) {
+      throw new RuleError('must be a date and time (ISO 8601)');
+    }
+    return parsed;
+  });
+}
+
+function array(item, { min = 0, max = 100 } = {}) {
+  return rule((value, path, errors) => {
+    if (!Array.isArray(value)) throw new RuleError('must be a list');
+    if (value.length < min) throw new RuleError(`must have at least ${min} item${min === 1 ? '' : 's'}`);
+    if (value.length > max) throw new RuleError(`must have at most ${max} items`);
+    return value.map((element, index) => apply(item, element, `${path}[${index}]`, errors));
+  });
+}
+
+// Only the keys in `shape` are kept; anything else in the input is dropped
+function object(shape) {
+  return rule((value, path, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) throw new RuleError('must be an object');
+    const clean = {};
+    for (const [key, fieldRule] of Object.entries(shape)) {
+      const fieldValue = apply(fieldRule, value[key], path ? `${path}.${key}` : key, errors);
+      if (fieldValue !== undefined) clean[key] = fieldValue;
+    }
+    return clean;
+  });
+}
+
+const isRule = (schema) => typeof schema.check === 'function' && typeof schema.optional === 'boolean';
+
+// Check a plain value against a shape or a rule: { value, errors } (errors is null when valid)
+function check(schema, input) {
+  const errors = {};
+  const value = apply(isRule(schema) ? schema : object(schema), input || {}, '', errors);
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Express middleware: validates and replaces each of req.params, req.query and
+// req.body that has a schema, or passes a 400 validation_failed error on
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) continue;
+      const { value, errors } = check(schemas[part], req[part]);
+      if (errors) {
+        Object.assign(fields, errors);
+      } else {
+        req[part] = value;
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return next(validationFailed(fields));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  RuleError,
+  rule,
+  optional,
+  string,
+  oneOf,
+  number,
+  integer,
+  id,
+  boolean,
+  email,
+  password,
+  phone,
+  date,
+  datetime,
+  array,
+  object,
+  check,
+  validate
+};
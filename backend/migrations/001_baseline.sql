@@ -0,0 +1,54 @@
+-- The four tables the API started with. IF NOT EXISTS lets databases created
+-- before migrations existed adopt this version without changes.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  phone VARCHAR(20),
+  role VARCHAR(20) DEFAULT 'user',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quotes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  window_width DECIMAL(10,2) NOT NULL,
+  window_height DECIMAL(10,2) NOT NULL,
+  window_count INTEGER NOT NULL,
+  mesh_type VARCHAR(50) NOT NULL,
+  material_type VARCHAR(50) NOT NULL,
+  total_price DECIMAL(10,2) NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  install_location TEXT,
+  install_date TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  quote_id INTEGER REFERENCES quotes(id),
+  amount DECIMAL(10,2) NOT NULL,
+  mpesa_code VARCHAR(50),
+  phone VARCHAR(20) NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS contact_messages (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(20),
+  message TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE contact_messages;
+DROP TABLE payments;
+DROP TABLE quotes;
+DROP TABLE users;
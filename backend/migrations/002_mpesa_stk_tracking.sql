@@ -0,0 +1,21 @@
+-- Daraja STK Push request ids and results on each payment
+
+-- migrate:up
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS merchant_request_id VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS checkout_request_id VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS result_code INTEGER,
+  ADD COLUMN IF NOT EXISTS result_desc TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS payments_checkout_request_id_idx ON payments (checkout_request_id);
+
+-- migrate:down
+DROP INDEX payments_checkout_request_id_idx;
+
+ALTER TABLE payments
+  DROP COLUMN merchant_request_id,
+  DROP COLUMN checkout_request_id,
+  DROP COLUMN result_code,
+  DROP COLUMN result_desc,
+  DROP COLUMN updated_at;
@@ -0,0 +1,25 @@
+-- Deposit and balance instalments per quote
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS payment_instalments (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id),
+  sequence INTEGER NOT NULL,
+  kind VARCHAR(20) NOT NULL,
+  amount_due DECIMAL(10,2) NOT NULL,
+  amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'due',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (quote_id, sequence)
+);
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS instalment_id INTEGER REFERENCES payment_instalments(id),
+  ADD COLUMN IF NOT EXISTS amount_received DECIMAL(10,2);
+
+-- migrate:down
+ALTER TABLE payments
+  DROP COLUMN instalment_id,
+  DROP COLUMN amount_received;
+
+DROP TABLE payment_instalments;
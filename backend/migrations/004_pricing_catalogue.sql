@@ -0,0 +1,40 @@
+-- Versioned price lists with per-m² rates and job-level fees
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS price_lists (
+  id SERIAL PRIMARY KEY,
+  version INTEGER UNIQUE NOT NULL,
+  name VARCHAR(100),
+  effective_from TIMESTAMP NOT NULL,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS price_list_items (
+  id SERIAL PRIMARY KEY,
+  price_list_id INTEGER NOT NULL REFERENCES price_lists(id) ON DELETE CASCADE,
+  mesh_type VARCHAR(50) NOT NULL,
+  material_type VARCHAR(50) NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price > 0),
+  UNIQUE (price_list_id, mesh_type, material_type)
+);
+
+ALTER TABLE price_lists
+  ADD COLUMN IF NOT EXISTS installation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS transport_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS remote_transport_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS vat_rate DECIMAL(5,4) NOT NULL DEFAULT 0;
+
+ALTER TABLE quotes
+  ADD COLUMN IF NOT EXISTS price_list_id INTEGER REFERENCES price_lists(id),
+  ADD COLUMN IF NOT EXISTS transport_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS vat_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE quotes
+  DROP COLUMN price_list_id,
+  DROP COLUMN transport_fee,
+  DROP COLUMN vat_amount;
+
+DROP TABLE price_list_items;
+DROP TABLE price_lists;
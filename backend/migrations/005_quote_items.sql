@@ -0,0 +1,32 @@
+-- Several windows and doors per quote, each priced on its own line
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS quote_items (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  label VARCHAR(100),
+  mesh_type VARCHAR(50) NOT NULL,
+  material_type VARCHAR(50) NOT NULL,
+  width DECIMAL(10,2) NOT NULL,
+  height DECIMAL(10,2) NOT NULL,
+  quantity INTEGER NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL,
+  line_total DECIMAL(10,2) NOT NULL,
+  UNIQUE (quote_id, line_number)
+);
+
+ALTER TABLE quote_items ADD COLUMN IF NOT EXISTS installation DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Multi-item quotes have no single width/height
+ALTER TABLE quotes
+  ALTER COLUMN window_width DROP NOT NULL,
+  ALTER COLUMN window_height DROP NOT NULL;
+
+-- migrate:down
+-- Fails while multi-item quotes exist, rather than inventing their dimensions
+ALTER TABLE quotes
+  ALTER COLUMN window_width SET NOT NULL,
+  ALTER COLUMN window_height SET NOT NULL;
+
+DROP TABLE quote_items;
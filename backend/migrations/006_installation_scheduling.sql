@@ -0,0 +1,53 @@
+-- Technicians, their weekly hours and installation bookings
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS technicians (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE REFERENCES users(id),
+  name VARCHAR(100) NOT NULL,
+  phone VARCHAR(20),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS technician_working_hours (
+  id SERIAL PRIMARY KEY,
+  technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  CHECK (end_time > start_time),
+  UNIQUE (technician_id, weekday)
+);
+
+-- btree_gist lets the exclusion constraint below compare technician ids
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- The database itself refuses overlapping bookings for one technician
+CREATE TABLE IF NOT EXISTS installation_bookings (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id),
+  technician_id INTEGER NOT NULL REFERENCES technicians(id),
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at),
+  CONSTRAINT installation_bookings_no_overlap EXCLUDE USING gist (
+    technician_id WITH =,
+    tsrange(starts_at, ends_at) WITH &&
+  ) WHERE (status = 'scheduled')
+);
+
+ALTER TABLE installation_bookings ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS installation_bookings_one_active_per_quote
+  ON installation_bookings (quote_id) WHERE status = 'scheduled';
+
+-- migrate:down
+DROP TABLE installation_bookings;
+DROP TABLE technician_working_hours;
+DROP TABLE technicians;
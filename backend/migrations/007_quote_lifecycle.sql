@@ -0,0 +1,19 @@
+-- Every quote status change, who made it and why
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS quote_status_history (
+  id SERIAL PRIMARY KEY,
+  quote_id INTEGER NOT NULL REFERENCES quotes(id),
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  actor_id INTEGER REFERENCES users(id),
+  actor_type VARCHAR(20) NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 'paid' predates the lifecycle; it meant the deposit was in
+UPDATE quotes SET status = 'deposit_paid' WHERE status = 'paid';
+
+-- migrate:down
+DROP TABLE quote_status_history;
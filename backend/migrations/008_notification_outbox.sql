@@ -0,0 +1,29 @@
+-- Email and SMS waiting to be delivered, with retry state
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(20) NOT NULL DEFAULT 'email',
+  template VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject TEXT,
+  body_text TEXT NOT NULL,
+  body_html TEXT,
+  reply_to VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS notification_outbox_due
+  ON notification_outbox (next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- migrate:down
+ALTER TABLE users DROP COLUMN sms_opt_out;
+
+DROP TABLE notification_outbox;
@@ -0,0 +1,31 @@
+-- Phone sign-in codes (HMAC of phone and code, never the code itself)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS login_otps (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS login_otps_phone ON login_otps (phone, created_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Customers who sign in by phone code may have neither email nor password
+ALTER TABLE users
+  ALTER COLUMN email DROP NOT NULL,
+  ALTER COLUMN password DROP NOT NULL;
+
+-- migrate:down
+-- Fails while phone-only customers exist, rather than deleting them
+ALTER TABLE users
+  ALTER COLUMN email SET NOT NULL,
+  ALTER COLUMN password SET NOT NULL;
+
+ALTER TABLE users DROP COLUMN phone_verified;
+
+DROP TABLE login_otps;
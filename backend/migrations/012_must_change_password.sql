@@ -0,0 +1,7 @@
+-- Accounts (such as a new admin) that must choose a password at next sign-in
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- migrate:down
+ALTER TABLE users DROP COLUMN must_change_password;
@@ -0,0 +1,11 @@
+-- Rate limit counters when RATE_LIMIT_STORE=postgres
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP NOT NULL
+);
+
+-- migrate:down
+DROP TABLE rate_limits;
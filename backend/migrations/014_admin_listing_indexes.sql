@@ -0,0 +1,15 @@
+-- Indexes for the paginated admin quote and user listings
+
+-- migrate:up
+CREATE INDEX IF NOT EXISTS quotes_created_at ON quotes (created_at);
+CREATE INDEX IF NOT EXISTS quotes_status_created_at ON quotes (status, created_at);
+CREATE INDEX IF NOT EXISTS quotes_user_id ON quotes (user_id);
+CREATE INDEX IF NOT EXISTS users_created_at ON users (created_at);
+CREATE INDEX IF NOT EXISTS users_role ON users (role);
+
+-- migrate:down
+DROP INDEX users_role;
+DROP INDEX users_created_at;
+DROP INDEX quotes_user_id;
+DROP INDEX quotes_status_created_at;
+DROP INDEX quotes_created_at;
@@ -6,7 +6,42 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
-const nodemailer = require('nodemailer');
+const mpesa = require('./lib/mpesa');
+const reconciliation = require('./lib/reconciliation');
+const paymentPlans = require('./lib/paymentPlans');
+const pricing = require('./lib/pricing');
+const scheduling = require('./lib/scheduling');
+const quoteLifecycle = require('./lib/quoteLifecycle');
+const email = require('./lib/email');
+const outbox = require('./lib/outbox');
+const sms = require('./lib/sms');
+const { normalizeKenyanPhone, phoneVariants } = require('./lib/phone');
+const authTokens = require('./lib/authTokens');
+const sessions = require('./lib/sessions');
+const otp = require('./lib/otp');
+const permissions = require('./lib/permissions');
+const config = require('./lib/config');
+const { createPrompt } = require('./lib/prompt');
+const rateLimit = require('./lib/rateLimit');
+const migrations = require('./lib/migrations');
+const seed = require('./lib/seed');
+const listing = require('./lib/listing');
+const analytics = require('./lib/analytics');
+const spreadsheets = require('./lib/spreadsheets');
+const documents = require('./lib/documents');
+const {
+  ApiError,
+  asyncHandler,
+  errorHandler,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  tooManyRequests,
+  badGateway
+} = require('./lib/errors');
+const v = require('./lib/validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,70 +64,13 @@ pool.on('error', (err) => {
   console.error('❌ PostgreSQL pool error:', err);
 });
 
-// Initialize database tables
+const migrator = migrations.createMigrator({ pool });
+
+// Bring the schema up to date (see migrations/), then add the data the app cannot run without
 async function initializeDatabase() {
-  try {
-    // Users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        phone VARCHAR(20),
-        role VARCHAR(20) DEFAULT 'user',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Quotes table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS quotes (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        window_width DECIMAL(10,2) NOT NULL,
-        window_height DECIMAL(10,2) NOT NULL,
-        window_count INTEGER NOT NULL,
-        mesh_type VARCHAR(50) NOT NULL,
-        material_type VARCHAR(50) NOT NULL,
-        total_price DECIMAL(10,2) NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
-        install_location TEXT,
-        install_date TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Payments table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS payments (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        quote_id INTEGER REFERENCES quotes(id),
-        amount DECIMAL(10,2) NOT NULL,
-        mpesa_code VARCHAR(50),
-        phone VARCHAR(20) NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Contact messages table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS contact_messages (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        phone VARCHAR(20),
-        message TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    console.log('✅ Database tables initialized successfully');
-  } catch (error) {
-    console.error('❌ Error initializing database:', error);
-  }
+  await migrator.up();
+  await pricing.seedDefaultPriceList(pool);
+  console.log('✅ Database is up to date');
 }
 
 // Middleware
@@ -100,34 +78,137 @@ app.use(helmet());
 app.use(cors());
 app.use(express.json());
 
+// Behind a load balancer req.ip must come from X-Forwarded-For, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Rate limiting
+
+const rateLimitStore = rateLimit.createRateLimitStore(process.env, { pool });
+
+// Defaults per endpoint; override any number with RATE_LIMIT_<NAME>_<SETTING>,
+// e.g. RATE_LIMIT_LOGIN_PER_IP=50 or RATE_LIMIT_CONTACT_WINDOW_MINUTES=30
+const RATE_LIMITS = {
+  login: { windowMinutes: 15, perIp: 20, perAccount: 10 },
+  register: { windowMinutes: 60, perIp: 5 },
+  otp_request: { windowMinutes: 60, perIp: 10 },
+  password_forgot: { windowMinutes: 60, perIp: 5, perAccount: 3 },
+  contact: { windowMinutes: 60, perIp: 5, perAccount: 3 },
+  payment: { windowMinutes: 10, perIp: 10, perAccount: 5 }
+};
+
+const RATE_LIMIT_SETTINGS = { windowMinutes: 'WINDOW_MINUTES', perIp: 'PER_IP', perAccount: 'PER_ACCOUNT' };
+
+// Accounts are keyed by email address or signed-in user
+const emailKey = (req) => typeof req.body.email === 'string' && req.body.email.trim().toLowerCase();
+const userKey = (req) => req.user && String(req.user.userId);
+
+function rateLimitFor(name, accountKey) {
+  const limits = { ...RATE_LIMITS[name] };
+  for (const [setting, suffix] of Object.entries(RATE_LIMIT_SETTINGS)) {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}_${suffix}`];
+    if (override !== undefined) limits[setting] = parseInt(override);
+  }
+
+  return rateLimit.createRateLimiter({
+    store: rateLimitStore,
+    name,
+    windowMs: limits.windowMinutes * 60 * 1000,
+    perIp: limits.perIp,
+    perAccount: limits.perAccount,
+    accountKey
+  });
+}
+
+// Repeated wrong passwords lock the account, for twice as long after each further failure
+const loginLockout = rateLimit.createLoginLockout({
+  store: rateLimitStore,
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5'),
+  baseDelayMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '60') * 1000,
+  maxDelayMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60') * 60 * 1000
+});
+
+const lockoutMessage = (retryAfterSeconds) =>
+  `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute${retryAfterSeconds > 60 ? 's' : ''}.`;
+
+const JWT_SECRET = config.secretFrom(process.env, 'JWT_SECRET');
+
+// Access tokens are short-lived; clients renew them with POST /api/token/refresh
+const sessionManager = sessions.createSessionManager({
+  jwtSecret: JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60 * 1000
+});
+
+const sessionMetadata = (req) => ({
+  userAgent: (req.get('user-agent') || '').substring(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+// Routes still open to a user who has to change their password first
+const PASSWORD_CHANGE_ROUTES = ['/api/password/change', '/api/logout', '/api/verify-token', '/api/profile'];
+
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return next(unauthorized('Access token required'));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'expert_polyhomes_secret_2024', (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      // 401 tells the client to refresh; 403 means the token is not ours at all
+      if (err.name === 'TokenExpiredError') {
+        return next(unauthorized('Access token expired', 'token_expired'));
+      }
+      return next(forbidden('Invalid or expired token', { code: 'invalid_token' }));
+    }
+
+    try {
+      const session = await sessionManager.findActiveSession(pool, user.sid);
+      if (!session) {
+        return next(unauthorized('Session has ended. Please sign in again.', 'session_ended'));
+      }
+      // The role in the token may be stale; the database has the current one
+      user.role = session.role;
+
+      // Until a required password change is done, only the change itself is allowed
+      if (session.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+        return next(forbidden('Please choose a new password to continue', { code: 'password_change_required' }));
+      }
+    } catch (error) {
+      return next(error);
     }
+
     req.user = user;
     next();
   });
 };
 
-// Admin Middleware
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Permission Middleware - passes when the user's role grants any of the named permissions
+const requirePermission = (...names) => (req, res, next) => {
+  if (!permissions.hasAnyPermission(req.user.role, names)) {
+    return next(forbidden());
   }
   next();
 };
 
+const can = (req, permission) => permissions.hasPermission(req.user.role, permission);
+
+const isOwner = (req, ownerId) => ownerId === parseInt(req.user.userId);
+
+// Status history records which kind of account made a change
+const actorTypeOf = (req) => permissions.isStaff(req.user.role) ? req.user.role : 'customer';
+
+// Routes addressing one record by :id
+const ID_PARAMS = { id: v.id() };
+
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
+app.get('/api/health', asyncHandler(async (req, res) => {
   try {
     // Test database connection
     await pool.query('SELECT NOW()');
@@ -138,16 +219,23 @@ app.get('/api/health', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ 
+    res.status(503).json({ 
       status: 'Error', 
-      message: 'Database connection failed',
-      error: error.message 
+      database: 'Disconnected',
+      error: { code: 'database_unavailable', message: 'Database connection failed' }
     });
   }
-});
+}));
 
 // User Registration
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimitFor('register'), v.validate({
+  body: {
+    name: v.string({ max: 100 }),
+    email: v.email(),
+    password: v.password(),
+    phone: v.optional(v.phone(), null)
+  }
+}), asyncHandler(async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -155,13 +243,12 @@ app.post('/api/register', async (req, res) => {
 
     // Check if user exists
     const userExists = await client.query(
-      'SELECT id FROM users WHERE email = $1',
+      'SELECT id FROM users WHERE LOWER(email) = $1',
       [email]
     );
 
     if (userExists.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'User already exists' });
+      throw conflict('An account with this email already exists', { code: 'email_taken' });
     }
 
     // Hash password
@@ -171,18 +258,16 @@ app.post('/api/register', async (req, res) => {
     const userResult = await client.query(
       `INSERT INTO users (name, email, password, phone, role) 
        VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, name, email, role, phone, created_at`,
+       RETURNING id, name, email, role, phone, email_verified, created_at`,
       [name, email, hashedPassword, phone, 'user']
     );
 
     const user = userResult.rows[0];
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'expert_polyhomes_secret_2024',
-      { expiresIn: '7d' }
-    );
+    await sendVerificationEmail(client, user);
+
+    // Start a session
+    const { token, refreshToken } = await sessionManager.createSession(client, user, sessionMetadata(req));
 
     await client.query('COMMIT');
 
@@ -190,531 +275,3263 @@ app.post('/api/register', async (req, res) => {
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: { 
         id: user.id, 
         name: user.name, 
         email: user.email, 
         role: user.role,
-        phone: user.phone
+        phone: user.phone,
+        emailVerified: user.email_verified
       }
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Something went wrong' });
+    throw error;
   } finally {
     client.release();
   }
-});
+}));
 
 // User Login
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+app.post('/api/login', rateLimitFor('login', emailKey), v.validate({
+  body: {
+    email: v.email(),
+    password: v.string({ max: 128, trim: false })
+  }
+}), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Find user
-    const userResult = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
-      [email]
-    );
+  const lock = await loginLockout.check(email);
+  if (lock.locked) {
+    throw tooManyRequests(lockoutMessage(lock.retryAfterSeconds), lock.retryAfterSeconds, 'account_locked');
+  }
 
-    if (userResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+  // Unknown emails count as failures too, so lockouts do not reveal which accounts exist
+  const rejectLogin = async () => {
+    const failure = await loginLockout.recordFailure(email);
+    if (failure.locked) {
+      throw tooManyRequests(lockoutMessage(failure.retryAfterSeconds), failure.retryAfterSeconds, 'account_locked');
     }
+    throw badRequest('Invalid credentials', { code: 'invalid_credentials' });
+  };
 
-    const user = userResult.rows[0];
+  // Find user
+  const userResult = await pool.query(
+    'SELECT * FROM users WHERE LOWER(email) = $1',
+    [email]
+  );
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: 'Invalid credentials' });
-    }
+  if (userResult.rows.length === 0) {
+    return rejectLogin();
+  }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'expert_polyhomes_secret_2024',
-      { expiresIn: '7d' }
-    );
+  const user = userResult.rows[0];
 
-    res.json({
-      success: true,
-      message: 'Logged in successfully',
-      token,
-      user: { 
-        id: user.id, 
-        name: user.name, 
-        email: user.email, 
-        role: user.role,
-        phone: user.phone
-      }
-    });
+  // Phone-only accounts have no password to check
+  if (!user.password) {
+    return rejectLogin();
+  }
 
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Something went wrong' });
+  // Check password
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    return rejectLogin();
   }
-});
 
-// Get user profile
-app.get('/api/profile', authenticateToken, async (req, res) => {
-  try {
-    const userResult = await pool.query(
-      'SELECT id, name, email, role, phone, created_at FROM users WHERE id = $1',
-      [req.user.userId]
-    );
+  await loginLockout.recordSuccess(email);
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+  // Start a session
+  const { token, refreshToken } = await sessionManager.createSession(pool, user, sessionMetadata(req));
+
+  res.json({
+    success: true,
+    message: 'Logged in successfully',
+    token,
+    refreshToken,
+    user: { 
+      id: user.id, 
+      name: user.name, 
+      email: user.email, 
+      role: user.role,
+      phone: user.phone,
+      emailVerified: user.email_verified,
+      mustChangePassword: user.must_change_password
     }
+  });
+}));
+
+// Phone OTP sign-in
+
+const otpService = otp.createOtpService({
+  secret: JWT_SECRET,
+  ttlMs: parseInt(process.env.OTP_TTL_MINUTES || '5') * 60 * 1000,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5')
+});
 
-    res.json(userResult.rows[0]);
+// Send a sign-in code to a phone number
+app.post('/api/auth/otp/request', rateLimitFor('otp_request'), v.validate({
+  body: { phone: v.phone() }
+}), asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  const issued = await otpService.issueCode(pool, phone);
+  if (issued.error) {
+    throw tooManyRequests(issued.error, issued.retryAfterSeconds);
+  }
+
+  // Sent straight away rather than through the outbox: a late code is useless
+  try {
+    await smsProvider.send({
+      to: phone,
+      message: `Your Expert Polyhomes sign-in code is ${issued.code}. It expires in ${Math.round((issued.expiresAt - Date.now()) / 60000)} minutes. Do not share it.`
+    });
   } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    console.error('OTP SMS error:', error);
+    throw badGateway('Could not send the code. Please try again.');
   }
-});
 
-// Submit quote (protected)
-app.post('/api/quotes', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    message: 'We sent a sign-in code by SMS',
+    expiresAt: issued.expiresAt
+  });
+}));
+
+// Sign in (or sign up) with a code; new customers may pass a name
+app.post('/api/auth/otp/verify', v.validate({
+  body: {
+    phone: v.phone(),
+    code: v.string({ pattern: /^\d{6}$/, patternMessage: 'must be the 6 digits from the SMS' }),
+    name: v.optional(v.string({ max: 100 }), 'Customer')
+  }
+}), asyncHandler(async (req, res) => {
+  const { phone, code, name } = req.body;
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    const quoteData = req.body;
-    
-    const priceMatrix = {
-      'fixed': { 'fiberglass': 1500, 'polyester': 1800, 'stainless': 2200 },
-      'roller': { 'fiberglass': 2800, 'polyester': 3200, 'stainless': 4500 },
-      'slider': { 'fiberglass': 2600, 'polyester': 3000, 'stainless': 4200 },
-      'magnetic': { 'fiberglass': 1800, 'polyester': 2000, 'stainless': 2500 }
-    };
-    
-    const area = quoteData.windowWidth * quoteData.windowHeight;
-    const unitPrice = priceMatrix[quoteData.meshType]?.[quoteData.materialType] || 2000;
-    const totalPrice = area * unitPrice * quoteData.windowCount;
-    
-    const quoteResult = await client.query(
-      `INSERT INTO quotes (
-        user_id, window_width, window_height, window_count, 
-        mesh_type, material_type, total_price, install_location
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *`,
-      [
-        req.user.userId,
-        quoteData.windowWidth,
-        quoteData.windowHeight,
-        quoteData.windowCount,
-        quoteData.meshType,
-        quoteData.materialType,
-        totalPrice,
-        quoteData.installLocation
-      ]
+
+    const verification = await otpService.verifyCode(client, phone, code);
+    if (verification.error) {
+      // Commit so the failed attempt counts
+      await client.query('COMMIT');
+      throw badRequest(verification.error, { code: 'invalid_code' });
+    }
+
+    // Only customers whose number was proven by an earlier code. A number typed in
+    // at registration proves nothing, and staff always sign in with their password.
+    const userResult = await client.query(
+      `SELECT * FROM users
+       WHERE phone = ANY($1::text[]) AND phone_verified = TRUE AND role = 'user'`,
+      [phoneVariants(phone)]
     );
-    
-    const quote = quoteResult.rows[0];
-    
-    // Send email notification
-    await sendEmailNotification('new_quote', quote);
-    
+
+    if (userResult.rows.length > 1) {
+      throw conflict('More than one account uses this phone number. Please sign in with your email and password.', {
+        code: 'phone_ambiguous'
+      });
+    }
+
+    let user = userResult.rows[0];
+    if (!user) {
+      const createdResult = await client.query(
+        `INSERT INTO users (name, phone, role, phone_verified)
+         VALUES ($1, $2, 'user', TRUE)
+         RETURNING *`,
+        [name, phone]
+      );
+      user = createdResult.rows[0];
+    }
+
+    const { token, refreshToken } = await sessionManager.createSession(client, user, sessionMetadata(req));
+
     await client.query('COMMIT');
-    
-    res.json({
+
+    res.status(userResult.rows.length > 0 ? 200 : 201).json({
       success: true,
-      message: 'Quote received successfully!',
-      quoteId: quote.id,
-      totalPrice: totalPrice
+      message: 'Signed in successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        emailVerified: user.email_verified,
+        mustChangePassword: user.must_change_password
+      }
     });
-    
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Quote submission error:', error);
-    res.status(500).json({ error: 'Something went wrong' });
+    throw error;
   } finally {
     client.release();
   }
-});
+}));
 
-// Get user quotes
-app.get('/api/my-quotes', authenticateToken, async (req, res) => {
-  try {
-    const quotesResult = await pool.query(
-      `SELECT * FROM quotes 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC`,
-      [req.user.userId]
-    );
+// Sessions
 
-    res.json(quotesResult.rows);
-  } catch (error) {
-    console.error('Fetch quotes error:', error);
-    res.status(500).json({ error: 'Failed to fetch quotes' });
-  }
-});
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/token/refresh', v.validate({
+  body: { refreshToken: v.string({ max: 200 }) }
+}), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
 
-// Contact form
-app.post('/api/contact', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { name, email, message, phone } = req.body;
-    
-    await pool.query(
-      'INSERT INTO contact_messages (name, email, message, phone) VALUES ($1, $2, $3, $4)',
-      [name, email, message, phone]
-    );
-    
-    // Send email notification
-    await sendEmailNotification('contact_form', { name, email, message, phone });
-    
+    await client.query('BEGIN');
+
+    const result = await sessionManager.refreshSession(client, refreshToken);
+
+    await client.query('COMMIT');
+
+    if (result.error) {
+      throw unauthorized(result.error, 'invalid_refresh_token');
+    }
+
     res.json({
       success: true,
-      message: 'Message received! We will contact you soon.'
+      token: result.token,
+      refreshToken: result.refreshToken
     });
-    
   } catch (error) {
-    console.error('Contact form error:', error);
-    res.status(500).json({ error: 'Failed to send message' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Sign out this device
+app.post('/api/logout', authenticateToken, requirePermission('account:manage'), asyncHandler(async (req, res) => {
+  await sessionManager.revokeSession(pool, req.user.sid, req.user.userId);
+  res.json({ success: true, message: 'Signed out' });
+}));
+
+// List the signed-in user's active sessions
+app.get('/api/sessions', authenticateToken, requirePermission('account:manage'), asyncHandler(async (req, res) => {
+  const activeSessions = await sessionManager.listSessions(pool, req.user.userId);
+
+  res.json(activeSessions.map(session => ({
+    id: session.id,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at || session.created_at,
+    current: session.id === req.user.sid
+  })));
+}));
+
+// Sign out one of the user's devices
+app.delete('/api/sessions/:id', authenticateToken, requirePermission('account:manage'), v.validate({
+  params: ID_PARAMS
+}), asyncHandler(async (req, res) => {
+  const revoked = await sessionManager.revokeSession(pool, req.params.id, req.user.userId);
+
+  if (!revoked) {
+    throw notFound('Session not found');
   }
-});
 
-// Service check
-app.get('/api/service-check', (req, res) => {
-  const location = req.query.location || '';
-  const servedAreas = ['nairobi', 'westlands', 'karen', 'langata', 'thika', 'kiambu'];
-  
-  const isServed = servedAreas.some(area => 
-    location.toLowerCase().includes(area)
-  );
-  
-  res.json({
-    served: isServed,
-    estimate: isServed ? '24 hours' : '2-3 days',
-    message: isServed ? 'We serve your area!' : 'Contact us for special arrangements'
-  });
-});
+  res.json({ success: true, message: 'Session revoked' });
+}));
 
-// Admin Routes
+// Password reset and email verification
 
-// Get all quotes (admin only)
-app.get('/api/admin/quotes', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const quotesResult = await pool.query(`
-      SELECT q.*, u.name as user_name, u.email as user_email, u.phone as user_phone
-      FROM quotes q
-      JOIN users u ON q.user_id = u.id
-      ORDER BY q.created_at DESC
-    `);
+// Where the links in account emails point; the frontend reads ?reset= and ?verify=
+const APP_URL = (process.env.APP_URL || 'http://localhost:5500').replace(/\/$/, '');
 
-    res.json(quotesResult.rows);
-  } catch (error) {
-    console.error('Admin quotes fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch quotes' });
-  }
-});
+async function sendVerificationEmail(db, user) {
+  const token = await authTokens.issueToken(db, user.id, authTokens.TOKEN_PURPOSES.emailVerification);
+  await sendEmailNotification('email_verification', {
+    user,
+    link: `${APP_URL}/?verify=${token}`
+  }, db);
+}
 
-// Get all users (admin only)
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+// Request a reset link; the response is the same whether or not the email is registered
+app.post('/api/password/forgot', rateLimitFor('password_forgot', emailKey), v.validate({
+  body: { email: v.email() }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
   try {
-    const usersResult = await pool.query(
-      'SELECT id, name, email, role, phone, created_at FROM users ORDER BY created_at DESC'
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id, name, email FROM users WHERE LOWER(email) = $1',
+      [req.body.email]
     );
-    res.json(usersResult.rows);
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      const token = await authTokens.issueToken(client, user.id, authTokens.TOKEN_PURPOSES.passwordReset);
+      await sendEmailNotification('password_reset', {
+        user,
+        link: `${APP_URL}/?reset=${token}`
+      }, client);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link is on its way.'
+    });
   } catch (error) {
-    console.error('Admin users fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-});
+}));
 
-// Update quote status (admin only)
-app.patch('/api/admin/quotes/:id', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { status } = req.body;
-    const quoteId = req.params.id;
+// Set a new password with a reset token
+app.post('/api/password/reset', v.validate({
+  body: {
+    token: v.string({ max: 200 }),
+    password: v.password()
+  }
+}), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
 
-    const quoteResult = await pool.query(
-      'UPDATE quotes SET status = $1 WHERE id = $2 RETURNING *',
-      [status, quoteId]
-    );
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-    if (quoteResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Quote not found' });
+    const userId = await authTokens.consumeToken(client, token, authTokens.TOKEN_PURPOSES.passwordReset);
+    if (!userId) {
+      throw badRequest('This reset link is invalid or has expired', { code: 'invalid_token' });
     }
 
-    const quote = quoteResult.rows[0];
-
-    // Get user info for notification
-    const userResult = await pool.query(
-      'SELECT name, email, phone FROM users WHERE id = $1',
-      [quote.user_id]
+    // Receiving the link proves the address too
+    const hashedPassword = await bcrypt.hash(password, 12);
+    await client.query(
+      'UPDATE users SET password = $1, email_verified = TRUE, must_change_password = FALSE WHERE id = $2',
+      [hashedPassword, userId]
     );
 
-    const quoteWithUser = {
-      ...quote,
-      user: userResult.rows[0] || {}
-    };
+    // Whoever knew the old password is signed out everywhere
+    await sessionManager.revokeUserSessions(client, userId);
 
-    // Send status update notification
-    await sendEmailNotification('quote_status_update', quoteWithUser);
+    await client.query('COMMIT');
 
-    res.json(quoteWithUser);
+    res.json({ success: true, message: 'Password updated. You can now sign in.' });
   } catch (error) {
-    console.error('Quote status update error:', error);
-    res.status(500).json({ error: 'Failed to update quote' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-});
+}));
+
+// Change the password of the signed-in user (also clears a forced change)
+app.post('/api/password/change', authenticateToken, requirePermission('account:manage'), v.validate({
+  body: {
+    currentPassword: v.string({ max: 128, trim: false }),
+    newPassword: v.password()
+  }
+}), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-// M-Pesa Payment Integration
-app.post('/api/mpesa/payment', authenticateToken, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    const { phone, amount, quoteId } = req.body;
 
-    // Validate phone number
-    if (!phone.match(/^(2547\d{8}|07\d{8}|\+2547\d{8})$/)) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Invalid phone number format. Use 2547XXXXXXXX or 07XXXXXXXX' });
-    }
+    const userResult = await client.query(
+      'SELECT id, password FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.userId]
+    );
+    const user = userResult.rows[0];
 
-    // Format phone number
-    let formattedPhone = phone.replace(/\s/g, '');
-    if (formattedPhone.startsWith('0')) {
-      formattedPhone = '254' + formattedPhone.substring(1);
-    } else if (formattedPhone.startsWith('+254')) {
-      formattedPhone = formattedPhone.substring(1);
+    if (!user || !user.password) {
+      throw badRequest('This account signs in with a phone code and has no password');
     }
 
-    // Verify quote exists and belongs to user
-    const quoteResult = await client.query(
-      'SELECT id, user_id FROM quotes WHERE id = $1',
-      [quoteId]
-    );
-
-    if (quoteResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Quote not found' });
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      throw badRequest('Current password is incorrect', { code: 'invalid_credentials' });
     }
 
-    if (quoteResult.rows[0].user_id !== parseInt(req.user.userId) && req.user.role !== 'admin') {
-      await client.query('ROLLBACK');
-      return res.status(403).json({ error: 'Access denied' });
+    if (await bcrypt.compare(newPassword, user.password)) {
+      throw badRequest('Choose a password different from the current one');
     }
 
-    // Create payment record
-    const paymentResult = await client.query(
-      `INSERT INTO payments (user_id, quote_id, amount, phone, status) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING *`,
-      [req.user.userId, quoteId, amount, formattedPhone, 'initiated']
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await client.query(
+      'UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2',
+      [hashedPassword, user.id]
     );
 
-    const payment = paymentResult.rows[0];
+    // Other devices signed in with the old password are signed out
+    await sessionManager.revokeUserSessions(client, user.id, { exceptSessionId: req.user.sid });
 
     await client.query('COMMIT');
 
-    // Simulate M-Pesa STK Push (Replace with actual Daraja API)
-    setTimeout(async () => {
-      const updateClient = await pool.connect();
-      try {
-        await updateClient.query('BEGIN');
-        
-        // In real implementation, this would be callback from Safaricom
-        await updateClient.query(
-          'UPDATE payments SET status = $1, mpesa_code = $2 WHERE id = $3',
-          ['completed', 'MPE' + Date.now(), payment.id]
-        );
-
-        // Update quote status
-        await updateClient.query(
-          'UPDATE quotes SET status = $1 WHERE id = $2',
-          ['paid', quoteId]
-        );
-
-        await updateClient.query('COMMIT');
-
-        // Send payment confirmation
-        await sendEmailNotification('payment_confirmation', { payment: { ...payment, status: 'completed' }, quoteId });
-        
-        console.log(`Payment completed for quote ${quoteId}`);
-      } catch (updateError) {
-        await updateClient.query('ROLLBACK');
-        console.error('Error updating payment status:', updateError);
-      } finally {
-        updateClient.release();
-      }
-    }, 3000);
-
-    res.json({
-      success: true,
-      message: 'M-Pesa prompt sent to your phone',
-      paymentId: payment.id
-    });
-
+    res.json({ success: true, message: 'Password updated' });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Payment initiation error:', error);
-    res.status(500).json({ error: 'Payment initiation failed' });
+    throw error;
   } finally {
     client.release();
   }
-});
+}));
 
-// Get payment status
-app.get('/api/payment-status/:paymentId', authenticateToken, async (req, res) => {
+// Confirm an email address from the link sent at registration
+app.get('/api/verify-email/:token', v.validate({
+  params: { token: v.string({ max: 200 }) }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
   try {
-    const paymentResult = await pool.query(
-      'SELECT * FROM payments WHERE id = $1',
-      [req.params.paymentId]
-    );
+    await client.query('BEGIN');
 
-    if (paymentResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Payment not found' });
+    const userId = await authTokens.consumeToken(client, req.params.token, authTokens.TOKEN_PURPOSES.emailVerification);
+    if (!userId) {
+      throw badRequest('This verification link is invalid or has expired', { code: 'invalid_token' });
     }
 
-    const payment = paymentResult.rows[0];
+    await client.query('UPDATE users SET email_verified = TRUE WHERE id = $1', [userId]);
 
-    // Check if user owns this payment
-    if (payment.user_id !== parseInt(req.user.userId) && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Email address confirmed' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Send a fresh verification link to the signed-in user
+app.post('/api/verify-email/resend', authenticateToken, requirePermission('account:manage'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id, name, email, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      throw notFound('User not found');
+    }
+
+    if (userResult.rows[0].email_verified) {
+      throw conflict('Email address is already confirmed');
+    }
+
+    await sendVerificationEmail(client, userResult.rows[0]);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Get user profile
+app.get('/api/profile', authenticateToken, requirePermission('account:manage'), asyncHandler(async (req, res) => {
+  const userResult = await pool.query(
+    'SELECT id, name, email, role, phone, sms_opt_out, email_verified, created_at FROM users WHERE id = $1',
+    [req.user.userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw notFound('User not found');
+  }
+
+  res.json(userResult.rows[0]);
+}));
+
+// Update notification preferences
+app.put('/api/profile/notifications', authenticateToken, requirePermission('account:manage'), v.validate({
+  body: { sms: v.boolean() }
+}), asyncHandler(async (req, res) => {
+  const { sms: smsEnabled } = req.body;
+
+  const userResult = await pool.query(
+    'UPDATE users SET sms_opt_out = $1 WHERE id = $2 RETURNING sms_opt_out',
+    [!smsEnabled, req.user.userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw notFound('User not found');
+  }
+
+  res.json({ sms: !userResult.rows[0].sms_opt_out });
+}));
+
+// Payment plan helpers - callers pass a client inside a transaction
+
+// Create a quote's instalments, crediting payments made before plans existed
+async function ensurePaymentPlan(client, quote) {
+  const existing = await client.query(
+    'SELECT * FROM payment_instalments WHERE quote_id = $1 ORDER BY sequence FOR UPDATE',
+    [quote.id]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows;
+  }
+
+  for (const instalment of paymentPlans.buildInstalments(quote.total_price)) {
+    await client.query(
+      `INSERT INTO payment_instalments (quote_id, sequence, kind, amount_due)
+       VALUES ($1, $2, $3, $4)`,
+      [quote.id, instalment.sequence, instalment.kind, instalment.amountDue]
+    );
+  }
+
+  const totalPaid = await getTotalPaid(client, quote.id);
+  if (totalPaid > 0) {
+    await applyPaymentToPlan(client, quote.id, totalPaid);
+  }
+
+  const created = await client.query(
+    'SELECT * FROM payment_instalments WHERE quote_id = $1 ORDER BY sequence',
+    [quote.id]
+  );
+  return created.rows;
+}
+
+async function getTotalPaid(client, quoteId) {
+  const paidResult = await client.query(
+    `SELECT COALESCE(SUM(COALESCE(amount_received, amount)), 0) AS total
+     FROM payments WHERE quote_id = $1 AND status = 'completed'`,
+    [quoteId]
+  );
+  return parseFloat(paidResult.rows[0].total);
+}
+
+async function applyPaymentToPlan(client, quoteId, amount) {
+  const instalmentsResult = await client.query(
+    'SELECT * FROM payment_instalments WHERE quote_id = $1 ORDER BY sequence FOR UPDATE',
+    [quoteId]
+  );
+
+  const { updates, unallocated } = paymentPlans.allocatePayment(instalmentsResult.rows, amount);
+  for (const update of updates) {
+    await client.query(
+      'UPDATE payment_instalments SET amount_paid = $1, status = $2 WHERE id = $3',
+      [update.amountPaid, update.status, update.id]
+    );
+  }
+
+  if (unallocated > 0) {
+    console.log(`Quote ${quoteId} overpaid by KES ${unallocated}`);
+  }
+}
+
+async function getQuoteBalance(client, quote) {
+  const instalments = await ensurePaymentPlan(client, quote);
+  const totalPaid = await getTotalPaid(client, quote.id);
+  return paymentPlans.summarizePlan(quote, instalments, totalPaid);
+}
+
+// Re-cut the instalments of a quote nothing has been paid on after its total changed.
+// Failed attempts still point at their instalment, so rows are updated in place.
+async function resetPaymentPlan(client, quote) {
+  const instalments = paymentPlans.buildInstalments(quote.total_price);
+
+  for (const instalment of instalments) {
+    await client.query(
+      `INSERT INTO payment_instalments (quote_id, sequence, kind, amount_due)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (quote_id, sequence)
+       DO UPDATE SET kind = EXCLUDED.kind, amount_due = EXCLUDED.amount_due, amount_paid = 0, status = 'due'`,
+      [quote.id, instalment.sequence, instalment.kind, instalment.amountDue]
+    );
+  }
+
+  await client.query(
+    `DELETE FROM payment_instalments i
+     WHERE i.quote_id = $1 AND i.sequence > $2
+       AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.instalment_id = i.id)`,
+    [quote.id, instalments.length]
+  );
+
+  return ensurePaymentPlan(client, quote);
+}
+
+// Quote item helpers
+
+function formatPricedLine(line) {
+  return {
+    lineNumber: line.lineNumber,
+    label: line.label,
+    meshType: line.meshType,
+    materialType: line.materialType,
+    width: line.width,
+    height: line.height,
+    quantity: line.quantity,
+    area: line.area,
+    unitPrice: line.unitPrice,
+    materials: line.materials,
+    installation: line.installation,
+    lineTotal: line.lineTotal
+  };
+}
+
+// Job-level part of an estimate, shared by /estimate and quote submission
+function formatEstimateTotals(estimate) {
+  return {
+    materialsTotal: estimate.materialsTotal,
+    installationTotal: estimate.installationTotal,
+    transport: estimate.transport,
+    subtotal: estimate.subtotal,
+    vatRate: estimate.vatRate,
+    vat: estimate.vat,
+    total: estimate.total
+  };
+}
+
+function formatQuoteItem(item) {
+  const width = parseFloat(item.width);
+  const height = parseFloat(item.height);
+  const installation = parseFloat(item.installation || 0);
+  return {
+    lineNumber: item.line_number,
+    label: item.label,
+    meshType: item.mesh_type,
+    materialType: item.material_type,
+    width,
+    height,
+    quantity: item.quantity,
+    area: Math.round(width * height * 100) / 100,
+    unitPrice: item.unit_price === null ? null : parseFloat(item.unit_price),
+    materials: Math.round((parseFloat(item.line_total) - installation) * 100) / 100,
+    installation,
+    lineTotal: parseFloat(item.line_total)
+  };
+}
+
+// Quotes from before quote_items existed are read back as one line
+function legacyQuoteItem(quote) {
+  return formatQuoteItem({
+    line_number: 1,
+    label: null,
+    mesh_type: quote.mesh_type,
+    material_type: quote.material_type,
+    width: quote.window_width,
+    height: quote.window_height,
+    quantity: quote.window_count,
+    unit_price: null,
+    line_total: quote.total_price
+  });
+}
+
+// Add an items[] breakdown to each quote row
+async function attachQuoteItems(db, quotes) {
+  if (quotes.length === 0) return quotes;
+
+  const itemsResult = await db.query(
+    'SELECT * FROM quote_items WHERE quote_id = ANY($1::int[]) ORDER BY quote_id, line_number',
+    [quotes.map(quote => quote.id)]
+  );
+
+  const itemsByQuote = new Map();
+  itemsResult.rows.forEach(item => {
+    if (!itemsByQuote.has(item.quote_id)) itemsByQuote.set(item.quote_id, []);
+    itemsByQuote.get(item.quote_id).push(formatQuoteItem(item));
+  });
+
+  return quotes.map(quote => ({
+    ...quote,
+    items: itemsByQuote.get(quote.id) || [legacyQuoteItem(quote)]
+  }));
+}
+
+// Window sizes are in metres
+const dimension = () => v.number({ greaterThan: 0, max: 20 });
+
+const QUOTE_ITEM = v.object({
+  meshType: v.string({ max: 50 }),
+  materialType: v.string({ max: 50 }),
+  width: dimension(),
+  height: dimension(),
+  quantity: v.optional(v.integer({ min: 1, max: 500 }), 1),
+  label: v.optional(v.string({ max: 100 }), null)
+});
+
+const QUOTE_FIELDS = {
+  installLocation: v.optional(v.string({ max: 255 }), null)
+};
+
+// Either an items[] list or the single-window fields the first quote form sent
+const QUOTE_BODY = v.rule((value, path, errors) => {
+  const shape = value && value.items !== undefined
+    ? { ...QUOTE_FIELDS, items: v.array(QUOTE_ITEM, { min: 1, max: 50 }) }
+    : {
+        ...QUOTE_FIELDS,
+        meshType: v.string({ max: 50 }),
+        materialType: v.string({ max: 50 }),
+        windowWidth: dimension(),
+        windowHeight: dimension(),
+        windowCount: v.integer({ min: 1, max: 500 })
+      };
+  return v.object(shape).check(value, path, errors);
+});
+
+const pricingUnavailable = () => new ApiError(503, 'pricing_unavailable', 'Pricing is not available right now');
+
+// Lines the active price list has no rate for
+const unpricedItems = (errors) => badRequest(errors[0], { code: 'unpriced_items', details: { errors } });
+
+// Price estimate without saving a quote (public)
+app.post('/api/quotes/estimate', v.validate({ body: QUOTE_BODY }), asyncHandler(async (req, res) => {
+  const priceList = await pricing.getActivePriceList(pool);
+  if (!priceList) {
+    throw pricingUnavailable();
+  }
+
+  const estimate = pricing.estimateQuote(priceList, pricing.normalizeQuoteItems(req.body), {
+    location: req.body.installLocation
+  });
+
+  if (estimate.errors.length > 0) {
+    throw unpricedItems(estimate.errors);
+  }
+
+  res.json({
+    priceListVersion: priceList.version,
+    currency: 'KES',
+    items: estimate.lines.map(formatPricedLine),
+    ...formatEstimateTotals(estimate),
+    deposit: paymentPlans.buildInstalments(estimate.total)[0].amountDue
+  });
+}));
+
+// Price a quote body against the active price list, refusing lines it cannot price
+async function priceQuote(db, quoteData) {
+  const priceList = await pricing.getActivePriceList(db);
+  if (!priceList) {
+    throw pricingUnavailable();
+  }
+
+  const estimate = pricing.estimateQuote(priceList, pricing.normalizeQuoteItems(quoteData), {
+    location: quoteData.installLocation
+  });
+
+  if (estimate.errors.length > 0) {
+    throw unpricedItems(estimate.errors);
+  }
+
+  return { priceList, estimate };
+}
+
+// The quote row keeps a summary; a single line fills the original columns exactly
+function quoteSummaryValues(quoteData, { priceList, estimate }) {
+  const { lines } = estimate;
+  const single = lines.length === 1 ? lines[0] : null;
+  const commonValue = (key) => (lines.every(line => line[key] === lines[0][key]) ? lines[0][key] : 'mixed');
+
+  return [
+    single ? single.width : null,
+    single ? single.height : null,
+    lines.reduce((sum, line) => sum + line.quantity, 0),
+    commonValue('meshType'),
+    commonValue('materialType'),
+    estimate.total,
+    quoteData.installLocation,
+    priceList.id,
+    estimate.transport.fee,
+    estimate.vat
+  ];
+}
+
+async function insertQuoteItems(db, quoteId, lines) {
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO quote_items (
+        quote_id, line_number, label, mesh_type, material_type,
+        width, height, quantity, unit_price, installation, line_total
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        quoteId,
+        line.lineNumber,
+        line.label,
+        line.meshType,
+        line.materialType,
+        line.width,
+        line.height,
+        line.quantity,
+        line.unitPrice,
+        line.installation,
+        line.lineTotal
+      ]
+    );
+  }
+}
+
+// What submitting or changing a quote answers with
+function pricedQuoteResponse(message, quote, { priceList, estimate }, instalments) {
+  return {
+    success: true,
+    message,
+    quoteId: quote.id,
+    totalPrice: estimate.total,
+    items: estimate.lines.map(formatPricedLine),
+    breakdown: formatEstimateTotals(estimate),
+    priceListVersion: priceList.version,
+    depositAmount: Number(instalments[0].amount_due)
+  };
+}
+
+// Submit quote (protected)
+app.post('/api/quotes', authenticateToken, requirePermission('quotes:create'), v.validate({ body: QUOTE_BODY }), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const quoteData = req.body;
+    
+    const priced = await priceQuote(client, quoteData);
+
+    const quoteResult = await client.query(
+      `INSERT INTO quotes (
+        user_id, window_width, window_height, window_count, 
+        mesh_type, material_type, total_price, install_location, price_list_id,
+        transport_fee, vat_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [req.user.userId, ...quoteSummaryValues(quoteData, priced)]
+    );
+
+    const quote = quoteResult.rows[0];
+    await insertQuoteItems(client, quote.id, priced.estimate.lines);
+
+    const instalments = await ensurePaymentPlan(client, quote);
+    await quoteLifecycle.recordStatusChange(client, quote.id, null, quote.status, {
+      actorId: req.user.userId,
+      actorType: 'customer',
+      note: 'Quote submitted'
+    });
+    
+    // Send email notification
+    await sendEmailNotification('new_quote', { quote }, client);
+    await sendSmsNotification('new_quote', { quote }, client);
+    
+    await client.query('COMMIT');
+    
+    res.json(pricedQuoteResponse('Quote received successfully!', quote, priced, instalments));
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Get user quotes
+app.get('/api/my-quotes', authenticateToken, requirePermission('quotes:read_own'), asyncHandler(async (req, res) => {
+  const quotesResult = await pool.query(
+    `SELECT * FROM quotes 
+     WHERE user_id = $1 
+     ORDER BY created_at DESC`,
+    [req.user.userId]
+  );
+
+  res.json(await attachQuoteItems(pool, quotesResult.rows));
+}));
+
+// A refused transitionQuote() as an API error
+const transitionFailed = (transition) => transition.notFound
+  ? notFound(transition.error)
+  : conflict(transition.error, { code: 'invalid_transition' });
+
+// A customer may cancel until money is taken or an installation is booked
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'surveyed', 'confirmed'];
+
+// Load a quote for its owner or for staff holding `staffPermission`
+async function getAccessibleQuote(db, req, staffPermission, { lock = false } = {}) {
+  const quoteResult = await db.query(
+    `SELECT * FROM quotes WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [req.params.id]
+  );
+
+  if (quoteResult.rows.length === 0) {
+    throw notFound('Quote not found');
+  }
+
+  const quote = quoteResult.rows[0];
+
+  if (!isOwner(req, quote.user_id) && !can(req, staffPermission)) {
+    throw forbidden('Access denied');
+  }
+
+  return quote;
+}
+
+async function getQuotePayments(db, quoteId) {
+  const paymentsResult = await db.query(
+    `SELECT p.*, i.kind AS instalment_kind
+     FROM payments p
+     LEFT JOIN payment_instalments i ON p.instalment_id = i.id
+     WHERE p.quote_id = $1
+     ORDER BY p.created_at, p.id`,
+    [quoteId]
+  );
+  return paymentsResult.rows;
+}
+
+function formatQuotePayment(payment) {
+  return {
+    id: payment.id,
+    instalment: payment.instalment_kind,
+    amount: parseFloat(payment.amount),
+    amountReceived: payment.amount_received === null ? null : parseFloat(payment.amount_received),
+    status: payment.status,
+    mpesaCode: payment.mpesa_code,
+    phone: payment.phone,
+    createdAt: payment.created_at
+  };
+}
+
+// Money taken, or an M-Pesa prompt that may still complete, freezes the quote
+const hasActivePayment = (payments) => payments.some(payment => ['initiated', 'completed'].includes(payment.status));
+
+// What the owner can still do with their quote
+function quoteActions(quote, payments) {
+  const unpaid = !hasActivePayment(payments);
+  return {
+    update: quote.status === 'pending' && unpaid,
+    cancel: CUSTOMER_CANCELLABLE_STATUSES.includes(quote.status) && unpaid
+  };
+}
+
+const quoteHasPayments = () => conflict('This quote has a payment against it and can no longer be changed. Please contact us.', {
+  code: 'quote_has_payments'
+});
+
+// Get one quote with its lines, status history, payments and balance
+app.get('/api/quotes/:id', authenticateToken, requirePermission('quotes:read_own', 'quotes:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const quote = await getAccessibleQuote(client, req, 'quotes:read');
+    const [withItems] = await attachQuoteItems(client, [quote]);
+    const history = await quoteLifecycle.getStatusHistory(client, quote.id);
+    const payments = await getQuotePayments(client, quote.id);
+    const balance = await getQuoteBalance(client, quote);
+
+    await client.query('COMMIT');
+
+    res.json({
+      ...withItems,
+      history,
+      payments: payments.map(formatQuotePayment),
+      balance,
+      actions: quoteActions(quote, payments)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Change a pending quote's lines and location; it is repriced on the active price list
+app.put('/api/quotes/:id', authenticateToken, requirePermission('quotes:create', 'quotes:manage'), v.validate({
+  params: ID_PARAMS,
+  body: QUOTE_BODY
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await getAccessibleQuote(client, req, 'quotes:manage', { lock: true });
+
+    if (current.status !== 'pending') {
+      throw conflict(`A ${current.status} quote can no longer be changed`, { code: 'quote_not_editable' });
+    }
+    if (hasActivePayment(await getQuotePayments(client, current.id))) {
+      throw quoteHasPayments();
+    }
+
+    const priced = await priceQuote(client, req.body);
+
+    const quoteResult = await client.query(
+      `UPDATE quotes SET
+        window_width = $2, window_height = $3, window_count = $4,
+        mesh_type = $5, material_type = $6, total_price = $7, install_location = $8, price_list_id = $9,
+        transport_fee = $10, vat_amount = $11
+      WHERE id = $1
+      RETURNING *`,
+      [current.id, ...quoteSummaryValues(req.body, priced)]
+    );
+
+    const quote = quoteResult.rows[0];
+    await client.query('DELETE FROM quote_items WHERE quote_id = $1', [quote.id]);
+    await insertQuoteItems(client, quote.id, priced.estimate.lines);
+    const instalments = await resetPaymentPlan(client, quote);
+
+    await client.query('COMMIT');
+
+    res.json(pricedQuoteResponse('Quote updated successfully!', quote, priced, instalments));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Cancel a quote before anything has been paid or booked
+app.post('/api/quotes/:id/cancel', authenticateToken, requirePermission('quotes:create', 'quotes:manage'), v.validate({
+  params: ID_PARAMS,
+  body: { reason: v.optional(v.string({ max: 1000 }), null) }
+}), asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await getAccessibleQuote(client, req, 'quotes:manage', { lock: true });
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(current.status)) {
+      throw conflict(`A ${current.status} quote can no longer be cancelled online. Please contact us.`, {
+        code: 'quote_not_cancellable'
+      });
+    }
+    if (hasActivePayment(await getQuotePayments(client, current.id))) {
+      throw quoteHasPayments();
+    }
+
+    const transition = await quoteLifecycle.transitionQuote(client, current.id, 'cancelled', {
+      actorId: req.user.userId,
+      actorType: actorTypeOf(req),
+      note: reason
+    });
+
+    if (transition.error) {
+      throw transitionFailed(transition);
+    }
+
+    const quote = transition.quote;
+
+    await sendEmailNotification('quote_cancelled', { quote, note: reason }, client);
+    await sendSmsNotification('quote_cancelled', { quote }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Quote cancelled',
+      quote
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Get quote payment plan and outstanding balance
+app.get('/api/quotes/:id/balance', authenticateToken, requirePermission('quotes:read_own', 'quotes:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const quoteResult = await client.query(
+      'SELECT * FROM quotes WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (quoteResult.rows.length === 0) {
+      throw notFound('Quote not found');
+    }
+
+    const quote = quoteResult.rows[0];
+
+    if (!isOwner(req, quote.user_id) && !can(req, 'quotes:read')) {
+      throw forbidden('Access denied');
+    }
+
+    const balance = await getQuoteBalance(client, quote);
+
+    await client.query('COMMIT');
+
+    res.json(balance);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Get a quote's status history
+app.get('/api/quotes/:id/history', authenticateToken, requirePermission('quotes:read_own', 'quotes:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const quoteResult = await pool.query(
+    'SELECT id, user_id, status FROM quotes WHERE id = $1',
+    [req.params.id]
+  );
+
+  if (quoteResult.rows.length === 0) {
+    throw notFound('Quote not found');
+  }
+
+  const quote = quoteResult.rows[0];
+
+  if (!isOwner(req, quote.user_id) && !can(req, 'quotes:read')) {
+    throw forbidden('Access denied');
+  }
+
+  res.json({
+    quoteId: quote.id,
+    status: quote.status,
+    allowedTransitions: quoteLifecycle.TRANSITIONS[quote.status] || [],
+    history: await quoteLifecycle.getStatusHistory(pool, quote.id)
+  });
+}));
+
+// Quotation and receipt PDFs
+
+// Streams a rendered PDF; browsers show it inline with `fileName` for saving
+function sendPdf(res, fileName, pdf) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${fileName}.pdf"`,
+    'Cache-Control': 'private, no-store'
+  });
+  pdf.pipe(res);
+}
+
+// Customer, lines and payment plan of a quote, as the documents print them
+async function loadQuoteDocument(client, quote) {
+  const customerResult = await client.query('SELECT name, email, phone FROM users WHERE id = $1', [quote.user_id]);
+  const priceListResult = await client.query('SELECT vat_rate FROM price_lists WHERE id = $1', [quote.price_list_id]);
+  const [withItems] = await attachQuoteItems(client, [quote]);
+
+  return {
+    quote,
+    items: withItems.items,
+    customer: customerResult.rows[0] || {},
+    plan: await getQuoteBalance(client, quote),
+    vatRate: priceListResult.rows.length > 0 ? parseFloat(priceListResult.rows[0].vat_rate) : 0
+  };
+}
+
+// Printable quotation for the quote's owner or staff
+app.get('/api/quotes/:id/pdf', authenticateToken, requirePermission('quotes:read_own', 'quotes:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  let quoteDocument;
+  try {
+    await client.query('BEGIN');
+
+    const quoteResult = await client.query('SELECT * FROM quotes WHERE id = $1', [req.params.id]);
+
+    if (quoteResult.rows.length === 0) {
+      throw notFound('Quote not found');
+    }
+
+    const quote = quoteResult.rows[0];
+
+    if (!isOwner(req, quote.user_id) && !can(req, 'quotes:read')) {
+      throw forbidden('Access denied');
+    }
+
+    quoteDocument = await loadQuoteDocument(client, quote);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  sendPdf(res, `quotation-${documents.documentNumber('Q', quoteDocument.quote.id)}`, documents.quotationPdf(quoteDocument));
+}));
+
+// Receipt for a completed payment, for whoever paid, the quote's owner or staff
+app.get('/api/payments/:id/receipt.pdf', authenticateToken, requirePermission('payments:create', 'payments:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  let receipt;
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      `SELECT p.*, i.kind AS instalment_kind
+       FROM payments p
+       LEFT JOIN payment_instalments i ON p.instalment_id = i.id
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+
+    if (paymentResult.rows.length === 0) {
+      throw notFound('Payment not found');
+    }
+
+    const payment = paymentResult.rows[0];
+    const quoteResult = await client.query('SELECT * FROM quotes WHERE id = $1', [payment.quote_id]);
+    const quote = quoteResult.rows[0];
+
+    if (!isOwner(req, payment.user_id) && !(quote && isOwner(req, quote.user_id)) && !can(req, 'payments:read')) {
+      throw forbidden('Access denied');
+    }
+
+    if (payment.status !== 'completed') {
+      throw conflict('A receipt is only issued once the payment has completed', { code: 'payment_not_completed' });
+    }
+
+    // Receipts are printed against a quotation
+    if (!quote) {
+      throw conflict('This payment is not linked to a quote', { code: 'payment_without_quote' });
+    }
+
+    const { customer, plan } = await loadQuoteDocument(client, quote);
+    receipt = { payment, quote, customer, plan };
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  sendPdf(res, `receipt-${documents.documentNumber('R', receipt.payment.id)}`, documents.receiptPdf(receipt));
+}));
+
+// Installation scheduling
+
+const INSTALL_SLOT_MINUTES = parseInt(process.env.INSTALL_SLOT_MINUTES || '180');
+const INSTALL_LEAD_HOURS = parseInt(process.env.INSTALL_LEAD_HOURS || '24');
+
+// Postgres error codes raised by the booking constraints
+const EXCLUSION_VIOLATION = '23P01';
+const UNIQUE_VIOLATION = '23505';
+
+// Free slots per technician between two Nairobi calendar dates
+async function loadTechnicianAvailability(db, from, to, earliestStart) {
+  const techniciansResult = await db.query('SELECT * FROM technicians WHERE active = TRUE ORDER BY id');
+  const technicianIds = techniciansResult.rows.map(technician => technician.id);
+
+  const hoursResult = await db.query(
+    'SELECT * FROM technician_working_hours WHERE technician_id = ANY($1::int[])',
+    [technicianIds]
+  );
+
+  const rangeStart = new Date(`${from}T00:00:00${scheduling.NAIROBI_UTC_OFFSET}`);
+  const rangeEnd = new Date(`${scheduling.addDays(to, 1)}T00:00:00${scheduling.NAIROBI_UTC_OFFSET}`);
+  const bookingsResult = await db.query(
+    `SELECT technician_id, starts_at, ends_at FROM installation_bookings
+     WHERE status = 'scheduled' AND starts_at < $2 AND ends_at > $1`,
+    [rangeStart, rangeEnd]
+  );
+
+  return scheduling.technicianAvailability({
+    dates: scheduling.dateRange(from, to),
+    technicians: techniciansResult.rows,
+    workingHours: hoursResult.rows,
+    bookings: bookingsResult.rows,
+    slotMinutes: INSTALL_SLOT_MINUTES,
+    earliestStart
+  });
+}
+
+function earliestCustomerStart() {
+  return new Date(Date.now() + INSTALL_LEAD_HOURS * 60 * 60 * 1000);
+}
+
+async function getScheduledBooking(db, quoteId) {
+  const bookingResult = await db.query(
+    `SELECT b.*, t.name AS technician_name, t.phone AS technician_phone
+     FROM installation_bookings b
+     JOIN technicians t ON b.technician_id = t.id
+     WHERE b.quote_id = $1 AND b.status = 'scheduled'`,
+    [quoteId]
+  );
+  return bookingResult.rows[0] || null;
+}
+
+function formatBooking(booking) {
+  return {
+    id: booking.id,
+    quoteId: booking.quote_id,
+    technician: {
+      id: booking.technician_id,
+      name: booking.technician_name,
+      phone: booking.technician_phone
+    },
+    startsAt: booking.starts_at,
+    endsAt: booking.ends_at,
+    status: booking.status,
+    notes: booking.notes
+  };
+}
+
+// Get bookable installation slots
+app.get('/api/installation-slots', authenticateToken, requirePermission('bookings:self_schedule', 'bookings:manage'), v.validate({
+  query: { from: v.optional(v.date()), to: v.optional(v.date()) }
+}), asyncHandler(async (req, res) => {
+  const today = scheduling.nairobiDateOf(new Date());
+  const from = req.query.from || today;
+  const to = req.query.to || scheduling.addDays(from, 6);
+
+  if (to < from) {
+    throw badRequest('to must not be before from', { fields: { to: 'must not be before from' } });
+  }
+
+  if (to > scheduling.addDays(today, scheduling.MAX_BOOKING_DAYS)) {
+    throw badRequest(`Bookings can be made up to ${scheduling.MAX_BOOKING_DAYS} days ahead`);
+  }
+
+  const technicianSlots = await loadTechnicianAvailability(pool, from, to, earliestCustomerStart());
+
+  res.json({
+    slotMinutes: INSTALL_SLOT_MINUTES,
+    slots: scheduling.groupSlots(technicianSlots)
+  });
+}));
+
+// Book an installation slot for a paid quote
+app.post('/api/quotes/:id/booking', authenticateToken, requirePermission('bookings:self_schedule', 'bookings:manage'), v.validate({
+  params: ID_PARAMS,
+  body: { startsAt: v.datetime() }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const quoteResult = await client.query(
+      'SELECT * FROM quotes WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (quoteResult.rows.length === 0) {
+      throw notFound('Quote not found');
+    }
+
+    const quote = quoteResult.rows[0];
+
+    if (!isOwner(req, quote.user_id) && !can(req, 'bookings:manage')) {
+      throw forbidden('Access denied');
+    }
+
+    if (quote.status === 'scheduled') {
+      throw conflict('This quote already has an installation booked. Contact us to reschedule.');
+    }
+
+    if (!quoteLifecycle.canTransition(quote.status, 'scheduled')) {
+      throw quoteLifecycle.canTransition(quote.status, 'deposit_paid')
+        ? conflict('Please pay the deposit before booking an installation', { code: 'deposit_required' })
+        : conflict(`A ${quote.status} quote cannot be scheduled`, { code: 'invalid_transition' });
+    }
+
+    const { startsAt } = req.body;
+
+    const date = scheduling.nairobiDateOf(startsAt);
+    const candidates = (await loadTechnicianAvailability(client, date, date, earliestCustomerStart()))
+      .filter(slot => slot.startsAt.getTime() === startsAt.getTime());
+
+    // Another customer may take a technician between reading and writing; the
+    // exclusion constraint rejects that insert and we try the next technician
+    let booking = null;
+    for (const slot of candidates) {
+      await client.query('SAVEPOINT book_slot');
+      try {
+        const bookingResult = await client.query(
+          `INSERT INTO installation_bookings (quote_id, technician_id, starts_at, ends_at, created_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [quote.id, slot.technicianId, slot.startsAt, slot.endsAt, req.user.userId]
+        );
+        booking = bookingResult.rows[0];
+        break;
+      } catch (insertError) {
+        await client.query('ROLLBACK TO SAVEPOINT book_slot');
+        if (insertError.code !== EXCLUSION_VIOLATION) throw insertError;
+      }
+    }
+
+    if (!booking) {
+      throw conflict('That slot is no longer available. Please choose another time.');
+    }
+
+    await client.query(
+      'UPDATE quotes SET install_date = $1 WHERE id = $2',
+      [startsAt, quote.id]
+    );
+    await quoteLifecycle.transitionQuote(client, quote.id, 'scheduled', {
+      actorId: req.user.userId,
+      actorType: actorTypeOf(req),
+      note: 'Installation slot booked'
+    });
+
+    const scheduled = await getScheduledBooking(client, quote.id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Installation booked',
+      booking: formatBooking(scheduled)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === UNIQUE_VIOLATION) {
+      throw conflict('This quote already has an installation booked');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Get the installation booked for a quote
+app.get('/api/quotes/:id/booking', authenticateToken, requirePermission('quotes:read_own', 'quotes:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const quoteResult = await pool.query(
+    'SELECT id, user_id FROM quotes WHERE id = $1',
+    [req.params.id]
+  );
+
+  if (quoteResult.rows.length === 0) {
+    throw notFound('Quote not found');
+  }
+
+  if (!isOwner(req, quoteResult.rows[0].user_id) && !can(req, 'quotes:read')) {
+    throw forbidden('Access denied');
+  }
+
+  const booking = await getScheduledBooking(pool, req.params.id);
+
+  if (!booking) {
+    throw notFound('No installation booked for this quote');
+  }
+
+  res.json(formatBooking(booking));
+}));
+
+// Contact form
+app.post('/api/contact', rateLimitFor('contact', emailKey), v.validate({
+  body: {
+    name: v.string({ max: 100 }),
+    email: v.email(),
+    message: v.string({ max: 5000 }),
+    phone: v.optional(v.string({ max: 30 }), null)
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, email, message, phone } = req.body;
+  
+  await pool.query(
+    'INSERT INTO contact_messages (name, email, message, phone) VALUES ($1, $2, $3, $4)',
+    [name, email, message, phone]
+  );
+  
+  // Send email notification
+  await sendEmailNotification('contact_form', { contact: { name, email, message, phone } });
+  
+  res.json({
+    success: true,
+    message: 'Message received! We will contact you soon.'
+  });
+  
+}));
+
+// Current price list (public)
+app.get('/api/pricing', asyncHandler(async (req, res) => {
+  const priceList = await pricing.getActivePriceList(pool);
+
+  if (!priceList) {
+    throw notFound('No price list is in effect');
+  }
+
+  res.json({
+    version: priceList.version,
+    effectiveFrom: priceList.effectiveFrom,
+    currency: 'KES',
+    unit: 'm2',
+    fees: priceList.fees,
+    items: priceList.items
+  });
+}));
+
+// Service check
+app.get('/api/service-check', v.validate({
+  query: { location: v.optional(v.string({ max: 255 }), '') }
+}), (req, res) => {
+  const isServed = pricing.isServedLocation(req.query.location);
+  
+  res.json({
+    served: isServed,
+    estimate: isServed ? '24 hours' : '2-3 days',
+    message: isServed ? 'We serve your area!' : 'Contact us for special arrangements'
+  });
+});
+
+// Admin Routes
+
+// Admin listings: ?page=&pageSize=&sort= plus the filters below
+
+// Dates are Nairobi calendar days, both ends included
+const DATE_RANGE_FILTERS = {
+  from: v.optional(v.date()),
+  to: v.optional(v.date())
+};
+
+// Name, email or phone; a full mobile number matches however it was stored
+const SEARCH_FILTER = { search: v.optional(v.string({ max: 100 })) };
+
+function addDateRange(conditions, column, { from, to }) {
+  if (from && to && to < from) {
+    throw badRequest('to must not be before from', { fields: { to: 'must not be before from' } });
+  }
+  // Timestamps are stored without a zone, in the database's own, so the day is worked out in SQL
+  const nairobiDay = `(${column}::timestamptz AT TIME ZONE 'Africa/Nairobi')::date`;
+  if (from) {
+    conditions.add((start) => `${nairobiDay} >= ${start}::date`, from);
+  }
+  if (to) {
+    conditions.add((end) => `${nairobiDay} <= ${end}::date`, to);
+  }
+}
+
+function addCustomerSearch(conditions, alias, search) {
+  if (!search) return;
+  const normalizedPhone = normalizeKenyanPhone(search);
+  conditions.add(
+    (pattern, phones) => `(${alias}.name ILIKE ${pattern} OR ${alias}.email ILIKE ${pattern} OR ${alias}.phone ILIKE ${pattern} OR ${alias}.phone = ANY(${phones}))`,
+    listing.containsPattern(search),
+    normalizedPhone ? phoneVariants(normalizedPhone) : []
+  );
+}
+
+const ADMIN_QUOTE_FILTERS = {
+  status: v.optional(v.oneOf(quoteLifecycle.QUOTE_STATUSES)),
+  meshType: v.optional(v.string({ max: 50 })),
+  materialType: v.optional(v.string({ max: 50 })),
+  location: v.optional(v.string({ max: 255 })),
+  minPrice: v.optional(v.number({ min: 0 })),
+  maxPrice: v.optional(v.number({ min: 0 })),
+  ...DATE_RANGE_FILTERS,
+  ...SEARCH_FILTER
+};
+
+const ADMIN_QUOTE_SORTS = {
+  createdAt: 'q.created_at',
+  totalPrice: 'q.total_price',
+  status: 'q.status',
+  customerName: 'LOWER(u.name)'
+};
+
+// WHERE conditions for the admin quote filters; the query aliases quotes as q and users as u
+function adminQuoteConditions(query) {
+  const conditions = listing.createConditions();
+
+  if (query.status) {
+    conditions.add((status) => `q.status = ${status}`, query.status);
+  }
+  // A quote matches when any of its lines does; quotes from before line items use their own columns
+  for (const [key, column] of [['meshType', 'mesh_type'], ['materialType', 'material_type']]) {
+    if (query[key]) {
+      conditions.add(
+        (value) => `(q.${column} = ${value} OR EXISTS (SELECT 1 FROM quote_items i WHERE i.quote_id = q.id AND i.${column} = ${value}))`,
+        query[key]
+      );
+    }
+  }
+  if (query.location) {
+    conditions.add((pattern) => `q.install_location ILIKE ${pattern}`, listing.containsPattern(query.location));
+  }
+  if (query.minPrice !== undefined) {
+    conditions.add((min) => `q.total_price >= ${min}`, query.minPrice);
+  }
+  if (query.maxPrice !== undefined) {
+    conditions.add((max) => `q.total_price <= ${max}`, query.maxPrice);
+  }
+  addDateRange(conditions, 'q.created_at', query);
+  addCustomerSearch(conditions, 'u', query.search);
+
+  return conditions;
+}
+
+// List quotes a page at a time, newest first by default (admin only)
+app.get('/api/admin/quotes', authenticateToken, requirePermission('quotes:read'), v.validate({
+  query: { ...ADMIN_QUOTE_FILTERS, ...listing.pageQuery(Object.keys(ADMIN_QUOTE_SORTS), '-createdAt') }
+}), asyncHandler(async (req, res) => {
+  const conditions = adminQuoteConditions(req.query);
+  const { limit, offset } = listing.pageWindow(req.query);
+  const from = `FROM quotes q JOIN users u ON q.user_id = u.id ${conditions.where()}`;
+
+  const [quotesResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT q.*, u.name as user_name, u.email as user_email, u.phone as user_phone
+       ${from}
+       ${listing.orderBy(req.query.sort, ADMIN_QUOTE_SORTS, 'q.id')}
+       LIMIT ${limit} OFFSET ${offset}`,
+      conditions.params
+    ),
+    pool.query(`SELECT COUNT(*) ${from}`, conditions.params)
+  ]);
+
+  res.json({
+    quotes: await attachQuoteItems(pool, quotesResult.rows),
+    pagination: listing.pagination(req.query, parseInt(countResult.rows[0].count))
+  });
+}));
+
+const ADMIN_USER_FILTERS = {
+  role: v.optional(v.oneOf(permissions.ROLES)),
+  ...DATE_RANGE_FILTERS,
+  ...SEARCH_FILTER
+};
+
+const ADMIN_USER_SORTS = {
+  createdAt: 'u.created_at',
+  name: 'LOWER(u.name)',
+  email: 'u.email',
+  role: 'u.role'
+};
+
+function adminUserConditions(query) {
+  const conditions = listing.createConditions();
+
+  if (query.role) {
+    conditions.add((role) => `u.role = ${role}`, query.role);
+  }
+  addDateRange(conditions, 'u.created_at', query);
+  addCustomerSearch(conditions, 'u', query.search);
+
+  return conditions;
+}
+
+// List users a page at a time, newest first by default (admin only)
+app.get('/api/admin/users', authenticateToken, requirePermission('users:read'), v.validate({
+  query: { ...ADMIN_USER_FILTERS, ...listing.pageQuery(Object.keys(ADMIN_USER_SORTS), '-createdAt') }
+}), asyncHandler(async (req, res) => {
+  const conditions = adminUserConditions(req.query);
+  const { limit, offset } = listing.pageWindow(req.query);
+
+  const [usersResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT u.id, u.name, u.email, u.role, u.phone, u.created_at
+       FROM users u ${conditions.where()}
+       ${listing.orderBy(req.query.sort, ADMIN_USER_SORTS, 'u.id')}
+       LIMIT ${limit} OFFSET ${offset}`,
+      conditions.params
+    ),
+    pool.query(`SELECT COUNT(*) FROM users u ${conditions.where()}`, conditions.params)
+  ]);
+
+  res.json({
+    users: usersResult.rows,
+    pagination: listing.pagination(req.query, parseInt(countResult.rows[0].count))
+  });
+}));
+
+// Roles and the permissions each one grants
+app.get('/api/admin/roles', authenticateToken, requirePermission('users:read'), (req, res) => {
+  res.json(permissions.ROLES.map(role => ({
+    role,
+    permissions: permissions.permissionsFor(role)
+  })));
+});
+
+// Change a user's role
+app.patch('/api/admin/users/:id/role', authenticateToken, requirePermission('users:manage'), v.validate({
+  params: ID_PARAMS,
+  body: { role: v.oneOf(permissions.ROLES) }
+}), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  // An admin who demotes themselves could leave nobody able to undo it
+  if (isOwner(req, req.params.id)) {
+    throw badRequest('You cannot change your own role', { code: 'own_role' });
+  }
+
+  const userResult = await pool.query(
+    `UPDATE users SET role = $1 WHERE id = $2
+     RETURNING id, name, email, role, phone, created_at`,
+    [role, req.params.id]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw notFound('User not found');
+  }
+
+  console.log(`👤 User ${req.params.id} is now ${role} (changed by user ${req.user.userId})`);
+
+  res.json(userResult.rows[0]);
+}));
+
+// Update quote status (admin only)
+app.patch('/api/admin/quotes/:id', authenticateToken, requirePermission('quotes:manage'), v.validate({
+  params: ID_PARAMS,
+  body: {
+    status: v.oneOf(quoteLifecycle.QUOTE_STATUSES),
+    note: v.optional(v.string({ max: 1000 }), null)
+  }
+}), asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const quoteId = req.params.id;
+
+  if (quoteLifecycle.SYSTEM_STATUSES.includes(status)) {
+    throw badRequest(`${status} is set by payments and bookings, not by hand`, { code: 'system_status' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const transition = await quoteLifecycle.transitionQuote(client, quoteId, status, {
+      actorId: req.user.userId,
+      actorType: actorTypeOf(req),
+      note
+    });
+
+    if (transition.error) {
+      throw transitionFailed(transition);
+    }
+
+    let quote = transition.quote;
+
+    // Keep the installation calendar in step with the quote
+    if (status === 'installed') {
+      await client.query(
+        `UPDATE installation_bookings SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+         WHERE quote_id = $1 AND status = 'scheduled'`,
+        [quoteId]
+      );
+    } else if (status === 'cancelled') {
+      await client.query(
+        `UPDATE installation_bookings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE quote_id = $1 AND status = 'scheduled'`,
+        [quoteId]
+      );
+      const clearedResult = await client.query(
+        'UPDATE quotes SET install_date = NULL WHERE id = $1 RETURNING *',
+        [quoteId]
+      );
+      quote = clearedResult.rows[0];
+    }
+
+    // Send status update notification
+    await sendEmailNotification('quote_status_update', { quote, note }, client);
+    await sendSmsNotification('quote_status_update', { quote }, client);
+
+    await client.query('COMMIT');
+
+    // Get user info for the response
+    const userResult = await pool.query(
+      'SELECT name, email, phone FROM users WHERE id = $1',
+      [quote.user_id]
+    );
+
+    const quoteWithUser = {
+      ...quote,
+      user: userResult.rows[0] || {}
+    };
+
+    res.json(quoteWithUser);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Technicians and installation calendar (admin only)
+
+function formatTechnician(technician, workingHours) {
+  return {
+    id: technician.id,
+    userId: technician.user_id,
+    name: technician.name,
+    phone: technician.phone,
+    active: technician.active,
+    workingHours: workingHours
+      .filter(hours => hours.technician_id === technician.id)
+      .sort((a, b) => a.weekday - b.weekday)
+      .map(hours => ({
+        weekday: hours.weekday,
+        startTime: hours.start_time.substring(0, 5),
+        endTime: hours.end_time.substring(0, 5)
+      }))
+  };
+}
+
+async function getTechnician(db, id) {
+  const technicianResult = await db.query('SELECT * FROM technicians WHERE id = $1', [id]);
+  if (technicianResult.rows.length === 0) return null;
+
+  const hoursResult = await db.query(
+    'SELECT * FROM technician_working_hours WHERE technician_id = $1',
+    [id]
+  );
+  return formatTechnician(technicianResult.rows[0], hoursResult.rows);
+}
+
+async function replaceWorkingHours(db, technicianId, hours) {
+  await db.query('DELETE FROM technician_working_hours WHERE technician_id = $1', [technicianId]);
+  for (const entry of hours) {
+    await db.query(
+      `INSERT INTO technician_working_hours (technician_id, weekday, start_time, end_time)
+       VALUES ($1, $2, $3, $4)`,
+      [technicianId, entry.weekday, entry.startTime, entry.endTime]
+    );
+  }
+}
+
+// Booking times from an admin request; endsAt defaults to one slot after startsAt
+function parseBookingTimes(body, fallback = {}) {
+  const startsAt = body.startsAt !== undefined ? new Date(body.startsAt) : fallback.startsAt;
+  let endsAt = body.endsAt !== undefined ? new Date(body.endsAt) : fallback.endsAt;
+
+  if (body.startsAt !== undefined && body.endsAt === undefined) {
+    endsAt = new Date(startsAt.getTime() + INSTALL_SLOT_MINUTES * 60000);
+  }
+
+  if (!startsAt || !endsAt || Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    return { error: 'startsAt and endsAt must be valid dates and times' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+  return { startsAt, endsAt };
+}
+
+const WORKING_HOURS = v.array(v.object({
+  weekday: v.integer({ min: 0, max: 6 }),
+  startTime: v.string({ pattern: scheduling.TIME_PATTERN, patternMessage: 'must be HH:MM' }),
+  endTime: v.string({ pattern: scheduling.TIME_PATTERN, patternMessage: 'must be HH:MM' })
+}), { max: 7 });
+
+app.get('/api/admin/technicians', authenticateToken, requirePermission('technicians:read'), asyncHandler(async (req, res) => {
+  const techniciansResult = await pool.query('SELECT * FROM technicians ORDER BY name');
+  const hoursResult = await pool.query('SELECT * FROM technician_working_hours');
+
+  res.json(techniciansResult.rows.map(technician => formatTechnician(technician, hoursResult.rows)));
+}));
+
+app.post('/api/admin/technicians', authenticateToken, requirePermission('technicians:manage'), v.validate({
+  body: {
+    name: v.string({ max: 100 }),
+    phone: v.optional(v.string({ max: 30 }), null),
+    userId: v.optional(v.id(), null),
+    workingHours: v.optional(WORKING_HOURS, [])
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, phone, userId, workingHours } = req.body;
+
+  const hoursError = scheduling.validateWorkingHours(workingHours);
+  if (hoursError) {
+    throw badRequest(hoursError);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const technicianResult = await client.query(
+      `INSERT INTO technicians (name, phone, user_id)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [name, phone, userId]
+    );
+    const technicianId = technicianResult.rows[0].id;
+
+    await replaceWorkingHours(client, technicianId, workingHours);
+
+    await client.query('COMMIT');
+
+    res.status(201).json(await getTechnician(pool, technicianId));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === UNIQUE_VIOLATION) {
+      throw conflict('That user is already linked to a technician');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+app.patch('/api/admin/technicians/:id', authenticateToken, requirePermission('technicians:manage'), v.validate({
+  params: ID_PARAMS,
+  body: {
+    name: v.optional(v.string({ max: 100 }), null),
+    phone: v.optional(v.string({ max: 30 }), null),
+    active: v.optional(v.boolean(), null)
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, phone, active } = req.body;
+
+  const technicianResult = await pool.query(
+    `UPDATE technicians
+     SET name = COALESCE($1, name), phone = COALESCE($2, phone), active = COALESCE($3, active)
+     WHERE id = $4
+     RETURNING id`,
+    [name, phone, active, req.params.id]
+  );
+
+  if (technicianResult.rows.length === 0) {
+    throw notFound('Technician not found');
+  }
+
+  res.json(await getTechnician(pool, req.params.id));
+}));
+
+// Replace a technician's weekly working hours
+app.put('/api/admin/technicians/:id/working-hours', authenticateToken, requirePermission('technicians:manage'), v.validate({
+  params: ID_PARAMS,
+  body: { workingHours: WORKING_HOURS }
+}), asyncHandler(async (req, res) => {
+  const { workingHours } = req.body;
+
+  const hoursError = scheduling.validateWorkingHours(workingHours);
+  if (hoursError) {
+    throw badRequest(hoursError);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const technicianResult = await client.query(
+      'SELECT id FROM technicians WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (technicianResult.rows.length === 0) {
+      throw notFound('Technician not found');
+    }
+
+    await replaceWorkingHours(client, req.params.id, workingHours);
+
+    await client.query('COMMIT');
+
+    res.json(await getTechnician(pool, req.params.id));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Installation calendar for a date range, optionally for one technician
+app.get('/api/admin/bookings', authenticateToken, requirePermission('bookings:read'), v.validate({
+  query: {
+    from: v.optional(v.date()),
+    to: v.optional(v.date()),
+    technicianId: v.optional(v.id())
+  }
+}), asyncHandler(async (req, res) => {
+  const from = req.query.from || scheduling.nairobiDateOf(new Date());
+  const to = req.query.to || scheduling.addDays(from, 6);
+
+  if (to < from) {
+    throw badRequest('to must not be before from', { fields: { to: 'must not be before from' } });
+  }
+
+  const params = [
+    new Date(`${from}T00:00:00${scheduling.NAIROBI_UTC_OFFSET}`),
+    new Date(`${scheduling.addDays(to, 1)}T00:00:00${scheduling.NAIROBI_UTC_OFFSET}`)
+  ];
+  let technicianFilter = '';
+  if (req.query.technicianId) {
+    params.push(req.query.technicianId);
+    technicianFilter = 'AND b.technician_id = $3';
+  }
+
+  const bookingsResult = await pool.query(
+    `SELECT b.*, t.name AS technician_name, t.phone AS technician_phone,
+            q.install_location, u.name AS customer_name, u.phone AS customer_phone
+     FROM installation_bookings b
+     JOIN technicians t ON b.technician_id = t.id
+     JOIN quotes q ON b.quote_id = q.id
+     JOIN users u ON q.user_id = u.id
+     WHERE b.status = 'scheduled' AND b.starts_at < $2 AND b.ends_at > $1 ${technicianFilter}
+     ORDER BY b.starts_at, t.name`,
+    params
+  );
+
+  res.json(bookingsResult.rows.map(booking => ({
+    ...formatBooking(booking),
+    installLocation: booking.install_location,
+    customer: { name: booking.customer_name, phone: booking.customer_phone }
+  })));
+}));
+
+// Assign a technician to a quote's installation
+app.post('/api/admin/quotes/:id/booking', authenticateToken, requirePermission('bookings:manage'), v.validate({
+  params: ID_PARAMS,
+  body: {
+    technicianId: v.id(),
+    startsAt: v.datetime(),
+    endsAt: v.optional(v.datetime()),
+    notes: v.optional(v.string({ max: 1000 }), null)
+  }
+}), asyncHandler(async (req, res) => {
+  const times = parseBookingTimes(req.body);
+  if (times.error) {
+    throw badRequest(times.error);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const transition = await quoteLifecycle.transitionQuote(client, req.params.id, 'scheduled', {
+      actorId: req.user.userId,
+      actorType: actorTypeOf(req),
+      note: req.body.notes || 'Installation assigned'
+    });
+    if (transition.error) {
+      throw transitionFailed(transition);
+    }
+
+    const technician = await getTechnician(client, req.body.technicianId);
+    if (!technician || !technician.active) {
+      throw badRequest('technicianId must be an active technician');
+    }
+
+    await client.query(
+      `INSERT INTO installation_bookings (quote_id, technician_id, starts_at, ends_at, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [req.params.id, technician.id, times.startsAt, times.endsAt, req.body.notes, req.user.userId]
+    );
+
+    await client.query(
+      'UPDATE quotes SET install_date = $1 WHERE id = $2',
+      [times.startsAt, req.params.id]
+    );
+
+    const booking = await getScheduledBooking(client, req.params.id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json(formatBooking(booking));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === EXCLUSION_VIOLATION) {
+      throw conflict('The technician already has an installation at that time');
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+      throw conflict('This quote already has an installation booked; reschedule it instead');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Quote status that follows each booking status
+const BOOKING_QUOTE_STATUS = {
+  scheduled: 'scheduled',
+  cancelled: 'deposit_paid',
+  completed: 'installed'
+};
+
+// Reschedule, reassign, cancel or complete a booking
+app.patch('/api/admin/bookings/:id', authenticateToken, requirePermission('bookings:manage'), v.validate({
+  params: ID_PARAMS,
+  body: {
+    status: v.optional(v.oneOf(Object.keys(BOOKING_QUOTE_STATUS))),
+    technicianId: v.optional(v.id()),
+    startsAt: v.optional(v.datetime()),
+    endsAt: v.optional(v.datetime()),
+    notes: v.optional(v.string({ max: 1000 }))
+  }
+}), asyncHandler(async (req, res) => {
+  const { status, technicianId, notes } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const bookingResult = await client.query(
+      'SELECT * FROM installation_bookings WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (bookingResult.rows.length === 0) {
+      throw notFound('Booking not found');
+    }
+
+    const current = bookingResult.rows[0];
+    const times = parseBookingTimes(req.body, {
+      startsAt: new Date(current.starts_at),
+      endsAt: new Date(current.ends_at)
+    });
+    if (times.error) {
+      throw badRequest(times.error);
+    }
+
+    if (technicianId !== undefined) {
+      const technician = await getTechnician(client, technicianId);
+      if (!technician || !technician.active) {
+        throw badRequest('technicianId must be an active technician');
+      }
+    }
+
+    const nextStatus = status || current.status;
+    if (nextStatus !== current.status) {
+      const transition = await quoteLifecycle.transitionQuote(client, current.quote_id, BOOKING_QUOTE_STATUS[nextStatus], {
+        actorId: req.user.userId,
+        actorType: actorTypeOf(req),
+        note: notes || `Installation ${nextStatus}`
+      });
+      if (transition.error) {
+        throw transitionFailed(transition);
+      }
+    }
+
+    await client.query(
+      `UPDATE installation_bookings
+       SET technician_id = $1, starts_at = $2, ends_at = $3, status = $4,
+           notes = COALESCE($5, notes), updated_at = CURRENT_TIMESTAMP,
+           reminder_sent_at = CASE WHEN starts_at = $2 THEN reminder_sent_at END
+       WHERE id = $6`,
+      [technicianId || current.technician_id, times.startsAt, times.endsAt, nextStatus, notes === undefined ? null : notes, current.id]
+    );
+
+    await client.query(
+      'UPDATE quotes SET install_date = $1 WHERE id = $2',
+      [nextStatus === 'cancelled' ? null : times.startsAt, current.quote_id]
+    );
+
+    const updatedResult = await client.query(
+      `SELECT b.*, t.name AS technician_name, t.phone AS technician_phone
+       FROM installation_bookings b
+       JOIN technicians t ON b.technician_id = t.id
+       WHERE b.id = $1`,
+      [current.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json(formatBooking(updatedResult.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === EXCLUSION_VIOLATION) {
+      throw conflict('The technician already has an installation at that time');
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+      throw conflict('This quote already has another installation booked');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Technician routes
+
+// Installations assigned to the signed-in technician
+app.get('/api/technician/jobs', authenticateToken, requirePermission('jobs:read_assigned'), v.validate({
+  query: { status: v.optional(v.oneOf(['scheduled', 'completed']), 'scheduled') }
+}), asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const jobsResult = await pool.query(
+    `SELECT b.*, t.name AS technician_name, t.phone AS technician_phone,
+            q.install_location, q.window_count, q.mesh_type, q.material_type,
+            u.name AS customer_name, u.phone AS customer_phone
+     FROM installation_bookings b
+     JOIN technicians t ON b.technician_id = t.id
+     JOIN quotes q ON b.quote_id = q.id
+     JOIN users u ON q.user_id = u.id
+     WHERE t.user_id = $1 AND b.status = $2
+     ORDER BY b.starts_at ${status === 'scheduled' ? 'ASC' : 'DESC'}`,
+    [req.user.userId, status]
+  );
+
+  res.json(jobsResult.rows.map(job => ({
+    ...formatBooking(job),
+    installLocation: job.install_location,
+    windowCount: job.window_count,
+    meshType: job.mesh_type,
+    materialType: job.material_type,
+    customer: { name: job.customer_name, phone: job.customer_phone }
+  })));
+}));
+
+// Mark an assigned installation as done; the quote moves to installed
+app.post('/api/technician/jobs/:id/complete', authenticateToken, requirePermission('jobs:complete'), v.validate({
+  params: ID_PARAMS,
+  body: { notes: v.optional(v.string({ max: 1000 }), null) }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const bookingResult = await client.query(
+      `SELECT b.*
+       FROM installation_bookings b
+       JOIN technicians t ON b.technician_id = t.id
+       WHERE b.id = $1 AND t.user_id = $2
+       FOR UPDATE OF b`,
+      [req.params.id, req.user.userId]
+    );
+
+    // Someone else's job looks the same as a missing one
+    if (bookingResult.rows.length === 0) {
+      throw notFound('Job not found');
+    }
+
+    const booking = bookingResult.rows[0];
+    if (booking.status !== 'scheduled') {
+      throw conflict(`This job is already ${booking.status}`);
+    }
+
+    const transition = await quoteLifecycle.transitionQuote(client, booking.quote_id, 'installed', {
+      actorId: req.user.userId,
+      actorType: actorTypeOf(req),
+      note: req.body.notes || 'Installation completed'
+    });
+    if (transition.error) {
+      throw transitionFailed(transition);
+    }
+
+    await client.query(
+      `UPDATE installation_bookings
+       SET status = 'completed', notes = COALESCE($1, notes), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [req.body.notes, booking.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Installation marked as completed', quoteStatus: transition.quote.status });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Pricing catalogue (admin only)
+// Price lists that are already in effect are immutable; publish a new version instead
+
+const PRICE_LIST_FIELDS = {
+  name: v.optional(v.string({ max: 100 }), null),
+  effectiveFrom: v.optional(v.datetime()),
+  fees: v.optional(v.object({
+    installationFee: v.optional(v.number({ min: 0 })),
+    transportFee: v.optional(v.number({ min: 0 })),
+    remoteTransportFee: v.optional(v.number({ min: 0 })),
+    vatRate: v.optional(v.number({ min: 0 }))
+  }))
+};
+
+const PRICE_ITEMS = v.array(v.object({
+  meshType: v.string({ max: 50 }),
+  materialType: v.string({ max: 50 }),
+  unitPrice: v.number({ greaterThan: 0 })
+}), { min: 1, max: 200 });
+
+app.get('/api/admin/pricing', authenticateToken, requirePermission('pricing:read'), asyncHandler(async (req, res) => {
+  const active = await pricing.getActivePriceList(pool);
+  const priceLists = await pricing.listPriceLists(pool);
+
+  res.json(priceLists.map(priceList => ({
+    ...priceList,
+    active: Boolean(active && active.id === priceList.id)
+  })));
+}));
+
+app.get('/api/admin/pricing/:id', authenticateToken, requirePermission('pricing:read'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const priceList = await pricing.getPriceList(pool, req.params.id);
+
+  if (!priceList) {
+    throw notFound('Price list not found');
+  }
+
+  res.json(priceList);
+}));
+
+app.post('/api/admin/pricing', authenticateToken, requirePermission('pricing:manage'), v.validate({
+  body: { ...PRICE_LIST_FIELDS, items: PRICE_ITEMS }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { name, effectiveFrom, items, fees = {} } = req.body;
+
+    // Duplicate items and out-of-range VAT are caught here rather than by the schema
+    const itemsError = pricing.validateItems(items) || pricing.validateFees(fees);
+    const effectiveDate = effectiveFrom || new Date();
+
+    if (itemsError) {
+      throw badRequest(itemsError);
+    }
+
+    // price_lists.version is UNIQUE, so a concurrent publish fails rather than sharing a number
+    const versionResult = await client.query('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM price_lists');
+
+    const listResult = await client.query(
+      `INSERT INTO price_lists (
+        version, name, effective_from, created_by,
+        installation_fee, transport_fee, remote_transport_fee, vat_rate
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id`,
+      [
+        versionResult.rows[0].next,
+        name,
+        effectiveDate,
+        req.user.userId,
+        fees.installationFee || 0,
+        fees.transportFee || 0,
+        fees.remoteTransportFee || 0,
+        fees.vatRate || 0
+      ]
+    );
+
+    await pricing.insertItems(client, listResult.rows[0].id, items);
+    const priceList = await pricing.getPriceList(client, listResult.rows[0].id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw conflict('Another price list was published at the same time. Please retry.');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+app.put('/api/admin/pricing/:id', authenticateToken, requirePermission('pricing:manage'), v.validate({
+  params: ID_PARAMS,
+  body: { ...PRICE_LIST_FIELDS, items: v.optional(PRICE_ITEMS) }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { name, effectiveFrom, items, fees } = req.body;
+
+    const listResult = await client.query(
+      'SELECT * FROM price_lists WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (listResult.rows.length === 0) {
+      throw notFound('Price list not found');
+    }
+
+    if (new Date(listResult.rows[0].effective_from) <= new Date()) {
+      throw conflict('Price list is already in effect; publish a new version instead');
+    }
+
+    const effectiveDate = effectiveFrom || new Date(listResult.rows[0].effective_from);
+    const itemsError = (items !== undefined ? pricing.validateItems(items) : null) || pricing.validateFees(fees);
+
+    if (itemsError) {
+      throw badRequest(itemsError);
+    }
+
+    const newFees = fees || {};
+    await client.query(
+      `UPDATE price_lists
+       SET name = COALESCE($1, name), effective_from = $2,
+           installation_fee = COALESCE($3, installation_fee),
+           transport_fee = COALESCE($4, transport_fee),
+           remote_transport_fee = COALESCE($5, remote_transport_fee),
+           vat_rate = COALESCE($6, vat_rate)
+       WHERE id = $7`,
+      [
+        name,
+        effectiveDate,
+        newFees.installationFee,
+        newFees.transportFee,
+        newFees.remoteTransportFee,
+        newFees.vatRate,
+        req.params.id
+      ]
+    );
+
+    if (items !== undefined) {
+      await client.query('DELETE FROM price_list_items WHERE price_list_id = $1', [req.params.id]);
+      await pricing.insertItems(client, req.params.id, items);
+    }
+
+    const priceList = await pricing.getPriceList(client, req.params.id);
+
+    await client.query('COMMIT');
+
+    res.json(priceList);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+app.delete('/api/admin/pricing/:id', authenticateToken, requirePermission('pricing:manage'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const deleteResult = await pool.query(
+    `DELETE FROM price_lists
+     WHERE id = $1 AND effective_from > CURRENT_TIMESTAMP
+       AND NOT EXISTS (SELECT 1 FROM quotes WHERE price_list_id = $1)
+     RETURNING id`,
+    [req.params.id]
+  );
+
+  if (deleteResult.rows.length === 0) {
+    const exists = await pool.query('SELECT id FROM price_lists WHERE id = $1', [req.params.id]);
+    throw exists.rows.length === 0
+      ? notFound('Price list not found')
+      : conflict('Only price lists that are not yet in effect can be deleted');
+  }
+
+  res.json({ success: true, message: 'Price list deleted' });
+}));
+
+// M-Pesa provider (Daraja in production, simulator for local testing)
+const MPESA_CALLBACK_URL = config.mpesaCallbackUrl(process.env, PORT);
+const MPESA_CALLBACK_SECRET = config.secretFrom(process.env, 'MPESA_CALLBACK_SECRET');
+
+const mpesaProvider = mpesa.createMpesaProvider(process.env, {
+  onSimulatedCallback: (body, callbackUrl) => processStkCallback(body, callbackUrl.searchParams.get('ref'))
+});
 
-    res.json({
-      status: payment.status,
-      mpesaCode: payment.mpesa_code,
-      amount: payment.amount,
-      createdAt: payment.created_at
-    });
+// Apply an STK callback to the payment it was signed for
+async function processStkCallback(body, paymentRef) {
+  return settlePayment(paymentRef, mpesa.parseStkCallback(body));
+}
+
+// Move an initiated payment to completed, failed or cancelled
+async function settlePayment(paymentId, result) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+      [paymentId]
+    );
+    const payment = paymentResult.rows[0];
+
+    if (!payment || (payment.checkout_request_id && result.checkoutRequestId &&
+        payment.checkout_request_id !== result.checkoutRequestId)) {
+      await client.query('ROLLBACK');
+      console.error(`M-Pesa result for unknown checkout request ${result.checkoutRequestId}`);
+      return null;
+    }
+
+    // Safaricom may retry callbacks and the reconciler may race them; only the first result settles the payment
+    if (payment.status !== 'initiated') {
+      await client.query('ROLLBACK');
+      return payment;
+    }
+
+    // Callbacks report what the customer actually paid; STK Query results do not
+    const amountReceived = result.status !== 'completed'
+      ? null
+      : (result.amount !== undefined && result.amount !== null ? Number(result.amount) : Number(payment.amount));
+
+    const updatedResult = await client.query(
+      `UPDATE payments
+       SET status = $1, mpesa_code = COALESCE($2, mpesa_code), result_code = $3, result_desc = $4,
+           checkout_request_id = COALESCE($5, checkout_request_id),
+           merchant_request_id = COALESCE($6, merchant_request_id),
+           amount_received = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        result.status,
+        result.mpesaReceiptNumber || null,
+        result.resultCode,
+        result.resultDesc,
+        result.checkoutRequestId || null,
+        result.merchantRequestId || null,
+        amountReceived,
+        payment.id
+      ]
+    );
+    const updatedPayment = updatedResult.rows[0];
+
+    if (result.status === 'completed') {
+      await applyPaymentToPlan(client, payment.quote_id, amountReceived);
+
+      // Only a fully paid deposit moves the quote forward; balance payments leave the status alone
+      const depositResult = await client.query(
+        `SELECT q.status, i.status AS deposit_status
+         FROM quotes q
+         JOIN payment_instalments i ON i.quote_id = q.id AND i.kind = 'deposit'
+         WHERE q.id = $1`,
+        [payment.quote_id]
+      );
+      const deposit = depositResult.rows[0];
+      if (deposit && deposit.deposit_status === 'paid' &&
+          quoteLifecycle.canTransition(deposit.status, 'deposit_paid')) {
+        await quoteLifecycle.transitionQuote(client, payment.quote_id, 'deposit_paid', {
+          actorType: 'system',
+          note: `Deposit received via M-Pesa ${updatedPayment.mpesa_code || ''}`.trim()
+        });
+      }
+    }
+
+    if (result.status === 'completed') {
+      await sendEmailNotification('payment_confirmation', { payment: updatedPayment, quoteId: payment.quote_id }, client);
+      await sendSmsNotification('payment_confirmation', { payment: updatedPayment, quoteId: payment.quote_id }, client);
+    }
+
+    await client.query('COMMIT');
+
+    if (result.status === 'completed') {
+      console.log(`Payment completed for quote ${payment.quote_id}`);
+    } else {
+      console.log(`Payment ${payment.id} ${result.status}: ${result.resultDesc}`);
+    }
+
+    return updatedPayment;
   } catch (error) {
-    console.error('Payment status fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch payment status' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
+}
+
+// Settles payments whose callback never arrived
+const reconciliationWorker = reconciliation.createReconciliationWorker({
+  pool,
+  provider: mpesaProvider,
+  settlePayment,
+  staleAfterMs: parseInt(process.env.MPESA_RECONCILE_STALE_MS || '300000'),
+  intervalMs: parseInt(process.env.MPESA_RECONCILE_INTERVAL_MS || '60000')
 });
 
-// Get dashboard stats (admin)
-app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const [
-      totalQuotes,
-      totalUsers,
-      totalRevenue,
-      pendingQuotes
-    ] = await Promise.all([
-      pool.query('SELECT COUNT(*) FROM quotes'),
-      pool.query('SELECT COUNT(*) FROM users'),
-      pool.query('SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE status = $1', ['completed']),
-      pool.query('SELECT COUNT(*) FROM quotes WHERE status = $1', ['pending'])
-    ]);
+// Payments follow the lifecycle: the deposit once the surveyed quote is confirmed,
+// then the balance until installation
+const PAYABLE_STATUSES = ['confirmed', 'deposit_paid', 'scheduled'];
+
+// M-Pesa Payment Integration
+app.post('/api/mpesa/payment', authenticateToken, requirePermission('payments:create', 'payments:manage'), rateLimitFor('payment', userKey), v.validate({
+  body: { phone: v.phone(), quoteId: v.id() }
+}), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // phone arrives as 2547XXXXXXXX
+    const { phone: formattedPhone, quoteId } = req.body;
+
+    // Verify quote exists and belongs to user
+    const quoteResult = await client.query(
+      'SELECT * FROM quotes WHERE id = $1 FOR UPDATE',
+      [quoteId]
+    );
+
+    if (quoteResult.rows.length === 0) {
+      throw notFound('Quote not found');
+    }
+
+    if (!isOwner(req, quoteResult.rows[0].user_id) && !can(req, 'payments:manage')) {
+      throw forbidden('Access denied');
+    }
+
+    const { status } = quoteResult.rows[0];
+    if (!PAYABLE_STATUSES.includes(status)) {
+      throw ['pending', 'surveyed'].includes(status)
+        ? conflict('This quote must be surveyed and confirmed before a deposit can be paid', { code: 'quote_not_confirmed' })
+        : conflict(`A ${status} quote takes no more payments`, { code: 'quote_not_payable' });
+    }
+
+    // The server decides what is owed: the outstanding part of the next instalment
+
+    const instalments = await ensurePaymentPlan(client, quoteResult.rows[0]);
+    const nextInstalment = paymentPlans.nextInstalmentDue(instalments);
+
+    if (!nextInstalment) {
+      throw conflict('This quote is already fully paid');
+    }
+
+    const pendingResult = await client.query(
+      `SELECT id FROM payments WHERE quote_id = $1 AND status = 'initiated'`,
+      [quoteId]
+    );
+
+    if (pendingResult.rows.length > 0) {
+      throw conflict('A payment for this quote is already awaiting confirmation', {
+        code: 'payment_pending',
+        details: { paymentId: pendingResult.rows[0].id }
+      });
+    }
+
+    const amount = nextInstalment.outstanding;
+
+    // Create payment record
+    const paymentResult = await client.query(
+      `INSERT INTO payments (user_id, quote_id, instalment_id, amount, phone, status) 
+       VALUES ($1, $2, $3, $4, $5, $6) 
+       RETURNING *`,
+      [req.user.userId, quoteId, nextInstalment.id, amount, formattedPhone, 'initiated']
+    );
+
+    const payment = paymentResult.rows[0];
+
+    await client.query('COMMIT');
+
+    // Send the STK Push prompt to the customer's phone
+    let stkResponse;
+    try {
+      stkResponse = await mpesaProvider.initiateStkPush({
+        phone: formattedPhone,
+        amount,
+        accountReference: `QUOTE${quoteId}`,
+        description: 'Mosquito nets',
+        callbackUrl: mpesa.buildCallbackUrl(MPESA_CALLBACK_URL, payment.id, MPESA_CALLBACK_SECRET)
+      });
+    } catch (stkError) {
+      console.error('STK Push error:', stkError);
+      await pool.query(
+        `UPDATE payments SET status = $1, result_desc = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+        ['failed', stkError.message, payment.id]
+      );
+      throw badGateway('Could not reach M-Pesa. Please try again.');
+    }
+
+    await pool.query(
+      `UPDATE payments SET merchant_request_id = $1, checkout_request_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND checkout_request_id IS NULL`,
+      [stkResponse.merchantRequestId, stkResponse.checkoutRequestId, payment.id]
+    );
 
     res.json({
-      totalQuotes: parseInt(totalQuotes.rows[0].count),
-      totalUsers: parseInt(totalUsers.rows[0].count),
-      totalRevenue: parseFloat(totalRevenue.rows[0].total),
-      pendingQuotes: parseInt(pendingQuotes.rows[0].count)
+      success: true,
+      message: 'M-Pesa prompt sent to your phone',
+      paymentId: payment.id,
+      amount,
+      instalment: nextInstalment.kind
     });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// M-Pesa STK Push callback (called by Safaricom)
+app.post('/api/mpesa/callback', asyncHandler(async (req, res) => {
+  const { ref, sig } = req.query;
+
+  if (!mpesa.verifyCallbackSignature(ref, sig, MPESA_CALLBACK_SECRET)) {
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid callback signature' });
+  }
+
+  try {
+    await processStkCallback(req.body, ref);
   } catch (error) {
-    console.error('Stats fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    console.error('M-Pesa callback error:', error);
+    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+}));
+
+// Run payment reconciliation now (admin only)
+app.post('/api/admin/mpesa/reconcile', authenticateToken, requirePermission('payments:reconcile'), asyncHandler(async (req, res) => {
+  const result = await reconciliationWorker.reconcileStalePayments();
+  res.json({ success: true, ...result });
+}));
+
+// Match an uploaded M-Pesa statement CSV against payments (admin only)
+app.post('/api/admin/mpesa/statement', authenticateToken, requirePermission('payments:reconcile'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), v.validate({
+  query: { from: v.optional(v.date()), to: v.optional(v.date()) }
+}), asyncHandler(async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw badRequest('Upload the statement as a text/csv request body');
+  }
+
+  let entries;
+  try {
+    entries = reconciliation.parseStatement(req.body);
+  } catch (parseError) {
+    throw badRequest(parseError.message);
+  }
+
+  const range = req.query.from && req.query.to
+    ? { from: req.query.from, to: req.query.to }
+    : reconciliation.statementDateRange(entries);
+
+  // Payments the statement names, plus every completed payment on the Nairobi days it covers
+  const paymentsResult = await pool.query(
+    `SELECT * FROM payments
+     WHERE UPPER(mpesa_code) = ANY($1)
+        OR (status = 'completed' AND $2::date IS NOT NULL
+            AND (created_at::timestamptz AT TIME ZONE 'Africa/Nairobi')::date BETWEEN $2::date AND $3::date)
+     ORDER BY created_at ASC`,
+    [entries.map(entry => entry.receipt), range ? range.from : null, range ? range.to : null]
+  );
+
+  res.json({
+    period: range,
+    ...reconciliation.matchStatement(entries, paymentsResult.rows)
+  });
+}));
+
+const PAYMENT_STATUSES = ['initiated', 'completed', 'failed', 'cancelled'];
+
+const ADMIN_PAYMENT_FILTERS = {
+  status: v.optional(v.oneOf(PAYMENT_STATUSES)),
+  quoteId: v.optional(v.id()),
+  ...DATE_RANGE_FILTERS,
+  ...SEARCH_FILTER
+};
+
+const ADMIN_PAYMENT_SORTS = {
+  createdAt: 'p.created_at',
+  amount: 'p.amount',
+  status: 'p.status'
+};
+
+// WHERE conditions for the admin payment filters; payments are p and their payer u
+function adminPaymentConditions(query) {
+  const conditions = listing.createConditions();
+
+  if (query.status) {
+    conditions.add((status) => `p.status = ${status}`, query.status);
+  }
+  if (query.quoteId) {
+    conditions.add((quoteId) => `p.quote_id = ${quoteId}`, query.quoteId);
+  }
+  addDateRange(conditions, 'p.created_at', query);
+  addCustomerSearch(conditions, 'u', query.search);
+
+  return conditions;
+}
+
+// Admin payment listing, filtered like the payments export
+app.get('/api/admin/payments', authenticateToken, requirePermission('payments:read'), v.validate({
+  query: { ...ADMIN_PAYMENT_FILTERS, ...listing.pageQuery(Object.keys(ADMIN_PAYMENT_SORTS), '-createdAt') }
+}), asyncHandler(async (req, res) => {
+  const conditions = adminPaymentConditions(req.query);
+  const { limit, offset } = listing.pageWindow(req.query);
+
+  const [paymentsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT p.id, p.quote_id, p.amount, p.amount_received, p.status, p.mpesa_code, p.phone,
+              p.instalment_id, p.created_at, p.updated_at,
+              u.name AS user_name, u.email AS user_email
+       FROM payments p
+       LEFT JOIN users u ON p.user_id = u.id
+       ${conditions.where()}
+       ${listing.orderBy(req.query.sort, ADMIN_PAYMENT_SORTS, 'p.id')}
+       LIMIT ${limit} OFFSET ${offset}`,
+      conditions.params
+    ),
+    pool.query(
+      `SELECT COUNT(*) FROM payments p LEFT JOIN users u ON p.user_id = u.id ${conditions.where()}`,
+      conditions.params
+    )
+  ]);
+
+  res.json({
+    payments: paymentsResult.rows,
+    pagination: listing.pagination(req.query, parseInt(countResult.rows[0].count))
+  });
+}));
+
+// Get payment status
+app.get('/api/payment-status/:paymentId', authenticateToken, requirePermission('payments:create', 'payments:read'), v.validate({
+  params: { paymentId: v.id() }
+}), asyncHandler(async (req, res) => {
+  const paymentResult = await pool.query(
+    'SELECT * FROM payments WHERE id = $1',
+    [req.params.paymentId]
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw notFound('Payment not found');
+  }
+
+  const payment = paymentResult.rows[0];
+
+  // Check if user owns this payment
+  if (!isOwner(req, payment.user_id) && !can(req, 'payments:read')) {
+    throw forbidden('Access denied');
+  }
+
+  res.json({
+    status: payment.status,
+    mpesaCode: payment.mpesa_code,
+    amount: payment.amount,
+    createdAt: payment.created_at
+  });
+}));
+
+// Get dashboard stats (admin)
+app.get('/api/admin/stats', authenticateToken, requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const [
+    totalQuotes,
+    totalUsers,
+    totalRevenue,
+    pendingQuotes
+  ] = await Promise.all([
+    pool.query('SELECT COUNT(*) FROM quotes'),
+    pool.query('SELECT COUNT(*) FROM users'),
+    pool.query('SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE status = $1', ['completed']),
+    pool.query('SELECT COUNT(*) FROM quotes WHERE status = $1', ['pending'])
+  ]);
+
+  res.json({
+    totalQuotes: parseInt(totalQuotes.rows[0].count),
+    totalUsers: parseInt(totalUsers.rows[0].count),
+    totalRevenue: parseFloat(totalRevenue.rows[0].total),
+    pendingQuotes: parseInt(pendingQuotes.rows[0].count)
+  });
+}));
+
+// Analytics (reports)
+
+// Longest range a report covers, so a daily series stays a reasonable size
+const MAX_ANALYTICS_DAYS = 3 * 366;
+
+// The last 30 days unless ?from=&to= say otherwise
+function analyticsRange({ from, to }) {
+  const end = to || scheduling.nairobiDateOf(new Date());
+  const start = from || scheduling.addDays(end, -29);
+
+  if (end < start) {
+    throw badRequest('to must not be before from', { fields: { to: 'must not be before from' } });
   }
+  if (scheduling.addDays(start, MAX_ANALYTICS_DAYS) <= end) {
+    throw badRequest(`A report can cover at most ${MAX_ANALYTICS_DAYS} days`, { code: 'range_too_long' });
+  }
+
+  return { from: start, to: end };
+}
+
+const analyticsReport = (query) => v.validate({ query: { ...DATE_RANGE_FILTERS, ...query } });
+
+// Conversion from quote to payment, average order value and median time to pay
+app.get('/api/admin/analytics/overview', authenticateToken, requirePermission('reports:read'), analyticsReport(), asyncHandler(async (req, res) => {
+  const range = analyticsRange(req.query);
+  res.json({ from: range.from, to: range.to, ...await analytics.overview(pool, range) });
+}));
+
+// Quotes and revenue per day, week or month
+app.get('/api/admin/analytics/timeseries', authenticateToken, requirePermission('reports:read'), analyticsReport({
+  interval: v.optional(v.oneOf(analytics.INTERVALS), 'day')
+}), asyncHandler(async (req, res) => {
+  const range = analyticsRange(req.query);
+  res.json({
+    from: range.from,
+    to: range.to,
+    interval: req.query.interval,
+    series: await analytics.timeSeries(pool, range, req.query.interval)
+  });
+}));
+
+// Revenue by mesh type, by material and by the two together
+app.get('/api/admin/analytics/revenue-by-product', authenticateToken, requirePermission('reports:read'), analyticsReport(), asyncHandler(async (req, res) => {
+  const range = analyticsRange(req.query);
+  res.json({ from: range.from, to: range.to, ...await analytics.revenueByProduct(pool, range) });
+}));
+
+// Install areas with the most quotes
+app.get('/api/admin/analytics/top-areas', authenticateToken, requirePermission('reports:read'), analyticsReport({
+  limit: v.optional(v.integer({ min: 1, max: 50 }), 10)
+}), asyncHandler(async (req, res) => {
+  const range = analyticsRange(req.query);
+  res.json({ from: range.from, to: range.to, areas: await analytics.topAreas(pool, range, { limit: req.query.limit }) });
+}));
+
+// Spreadsheet exports (admin): ?format=csv|xlsx with the same filters and sort as
+// the matching listing, every match in one streamed file
+
+const exportQuery = (filters, sorts) => ({
+  ...filters,
+  format: v.optional(v.oneOf(spreadsheets.FORMATS), 'csv'),
+  sort: listing.sortQuery(Object.keys(sorts), '-createdAt')
 });
 
+const exportFileName = (name) => `${name}-${scheduling.nairobiDateOf(new Date())}`;
+
+// One line per quote item, e.g. "2 x fixed/fiberglass 1.20x1.50m"; older quotes use their own columns
+const QUOTE_EXPORT_COLUMNS = [
+  { header: 'Quote ID', value: row => row.id, type: 'number' },
+  { header: 'Created', value: row => row.created_at_nairobi, type: 'datetime' },
+  { header: 'Status', value: row => row.status },
+  { header: 'Customer', value: row => row.user_name, width: 24 },
+  { header: 'Email', value: row => row.user_email, width: 28 },
+  { header: 'Phone', value: row => row.user_phone, width: 16 },
+  { header: 'Install location', value: row => row.install_location, width: 24 },
+  {
+    header: 'Items',
+    value: row => row.items_summary ||
+      `${row.window_count} x ${row.mesh_type}/${row.material_type} ${row.window_width}x${row.window_height}m`,
+    width: 40
+  },
+  { header: 'Transport', value: row => row.transport_fee, type: 'money' },
+  { header: 'VAT', value: row => row.vat_amount, type: 'money' },
+  { header: 'Total', value: row => row.total_price, type: 'money' },
+  { header: 'Paid', value: row => row.total_paid, type: 'money' },
+  { header: 'M-Pesa codes', value: row => row.mpesa_codes, width: 24 },
+  { header: 'Install date', value: row => row.install_date_nairobi, type: 'datetime' }
+];
+
+app.get('/api/admin/exports/quotes', authenticateToken, requirePermission('quotes:read'), v.validate({
+  query: exportQuery(ADMIN_QUOTE_FILTERS, ADMIN_QUOTE_SORTS)
+}), asyncHandler(async (req, res) => {
+  const conditions = adminQuoteConditions(req.query);
+
+  await spreadsheets.streamExport({
+    pool,
+    res,
+    format: req.query.format,
+    fileName: exportFileName('quotes'),
+    sheetName: 'Quotes',
+    columns: QUOTE_EXPORT_COLUMNS,
+    sql: `SELECT q.*, u.name AS user_name, u.email AS user_email, u.phone AS user_phone,
+                 ${spreadsheets.nairobiWallClock('q.created_at')} AS created_at_nairobi,
+                 ${spreadsheets.nairobiWallClock('q.install_date')} AS install_date_nairobi,
+                 (SELECT string_agg(i.quantity || ' x ' || i.mesh_type || '/' || i.material_type || ' ' ||
+                                    i.width || 'x' || i.height || 'm', '; ' ORDER BY i.line_number)
+                  FROM quote_items i WHERE i.quote_id = q.id) AS items_summary,
+                 COALESCE(paid.total_paid, 0) AS total_paid, paid.mpesa_codes
+          FROM quotes q
+          JOIN users u ON q.user_id = u.id
+          LEFT JOIN LATERAL (
+            SELECT SUM(COALESCE(p.amount_received, p.amount)) AS total_paid,
+                   string_agg(p.mpesa_code, ' ' ORDER BY p.created_at) AS mpesa_codes
+            FROM payments p WHERE p.quote_id = q.id AND p.status = 'completed'
+          ) paid ON TRUE
+          ${conditions.where()}
+          ${listing.orderBy(req.query.sort, ADMIN_QUOTE_SORTS, 'q.id')}`,
+    params: conditions.params
+  });
+}));
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: 'Payment ID', value: row => row.id, type: 'number' },
+  { header: 'Created', value: row => row.created_at_nairobi, type: 'datetime' },
+  { header: 'Status', value: row => row.status },
+  { header: 'M-Pesa code', value: row => row.mpesa_code, width: 16 },
+  { header: 'Amount requested', value: row => row.amount, type: 'money' },
+  { header: 'Amount received', value: row => row.amount_received, type: 'money' },
+  { header: 'Paying phone', value: row => row.phone, width: 16 },
+  { header: 'Quote ID', value: row => row.quote_id, type: 'number' },
+  { header: 'Instalment', value: row => row.instalment_kind },
+  { header: 'Quote total', value: row => row.quote_total, type: 'money' },
+  { header: 'Customer', value: row => row.user_name, width: 24 },
+  { header: 'Email', value: row => row.user_email, width: 28 },
+  { header: 'Customer phone', value: row => row.user_phone, width: 16 },
+  { header: 'Result', value: row => row.result_desc, width: 32 }
+];
+
+app.get('/api/admin/exports/payments', authenticateToken, requirePermission('payments:read'), v.validate({
+  query: exportQuery(ADMIN_PAYMENT_FILTERS, ADMIN_PAYMENT_SORTS)
+}), asyncHandler(async (req, res) => {
+  const conditions = adminPaymentConditions(req.query);
+
+  await spreadsheets.streamExport({
+    pool,
+    res,
+    format: req.query.format,
+    fileName: exportFileName('payments'),
+    sheetName: 'Payments',
+    columns: PAYMENT_EXPORT_COLUMNS,
+    sql: `SELECT p.*, i.kind AS instalment_kind, q.total_price AS quote_total,
+                 ${spreadsheets.nairobiWallClock('p.created_at')} AS created_at_nairobi,
+                 u.name AS user_name, u.email AS user_email, u.phone AS user_phone
+          FROM payments p
+          LEFT JOIN users u ON p.user_id = u.id
+          LEFT JOIN quotes q ON p.quote_id = q.id
+          LEFT JOIN payment_instalments i ON p.instalment_id = i.id
+          ${conditions.where()}
+          ${listing.orderBy(req.query.sort, ADMIN_PAYMENT_SORTS, 'p.id')}`,
+    params: conditions.params
+  });
+}));
+
+const USER_EXPORT_COLUMNS = [
+  { header: 'User ID', value: row => row.id, type: 'number' },
+  { header: 'Joined', value: row => row.created_at_nairobi, type: 'datetime' },
+  { header: 'Name', value: row => row.name, width: 24 },
+  { header: 'Email', value: row => row.email, width: 28 },
+  { header: 'Phone', value: row => row.phone, width: 16 },
+  { header: 'Role', value: row => row.role },
+  { header: 'Email verified', value: row => row.email_verified, type: 'boolean' },
+  { header: 'Quotes', value: row => row.quote_count, type: 'number' },
+  { header: 'Total paid', value: row => row.total_paid, type: 'money' }
+];
+
+// Finance sees customers through their payments, so reports:read may export them too
+app.get('/api/admin/exports/users', authenticateToken, requirePermission('users:read', 'reports:read'), v.validate({
+  query: exportQuery(ADMIN_USER_FILTERS, ADMIN_USER_SORTS)
+}), asyncHandler(async (req, res) => {
+  const conditions = adminUserConditions(req.query);
+
+  await spreadsheets.streamExport({
+    pool,
+    res,
+    format: req.query.format,
+    fileName: exportFileName('users'),
+    sheetName: 'Users',
+    columns: USER_EXPORT_COLUMNS,
+    sql: `SELECT u.id, u.name, u.email, u.phone, u.role, u.email_verified, u.created_at,
+                 ${spreadsheets.nairobiWallClock('u.created_at')} AS created_at_nairobi,
+                 (SELECT COUNT(*) FROM quotes q WHERE q.user_id = u.id) AS quote_count,
+                 (SELECT COALESCE(SUM(COALESCE(p.amount_received, p.amount)), 0)
+                  FROM payments p WHERE p.user_id = u.id AND p.status = 'completed') AS total_paid
+          FROM users u
+          ${conditions.where()}
+          ${listing.orderBy(req.query.sort, ADMIN_USER_SORTS, 'u.id')}`,
+    params: conditions.params
+  });
+}));
+
 // Email Notification System
-async function sendEmailNotification(type, data) {
-  try {
-    // For demo purposes, we'll just log the email
-    // In production, configure with real email service
-    
-    const emailConfig = {
-      'new_quote': {
-        subject: 'New Quote Request - Expert Polyhomes',
-        message: `New quote received: ${data.window_width}m x ${data.window_height}m, ${data.mesh_type} nets. Total: KES ${data.total_price}`
-      },
-      'payment_confirmation': {
-        subject: 'Payment Confirmed - Expert Polyhomes',
-        message: `Payment of KES ${data.payment.amount} confirmed. M-Pesa Code: ${data.payment.mpesa_code}`
-      },
-      'quote_status_update': {
-        subject: 'Quote Status Updated - Expert Polyhomes',
-        message: `Quote status updated to: ${data.status}`
-      },
-      'contact_form': {
-        subject: 'New Contact Form Submission - Expert Polyhomes',
-        message: `New message from ${data.name} (${data.email}): ${data.message}`
-      }
-    };
 
-    const config = emailConfig[type];
-    if (config) {
-      console.log(`📧 Email Notification [${type}]:`, config.subject);
-      console.log(`Message: ${config.message}`);
-      
-      // In production, uncomment and configure:
-      /*
-      const transporter = nodemailer.createTransporter({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD
-        }
-      });
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@expertpolyhomes.com';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Expert Polyhomes <no-reply@expertpolyhomes.com>';
 
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: process.env.ADMIN_EMAIL,
-        subject: config.subject,
-        text: config.message
-      });
-      */
-    }
+const emailTransport = email.createEmailTransport();
 
-  } catch (error) {
-    console.error('Email sending failed:', error);
+// Event data plus the quote and the customer it belongs to
+async function loadNotificationContext(db, data) {
+  const context = { ...data };
+
+  if (context.user) {
+    context.customer = context.user;
+  }
+  if (!context.quote && context.quoteId) {
+    const quoteResult = await db.query('SELECT * FROM quotes WHERE id = $1', [context.quoteId]);
+    context.quote = quoteResult.rows[0];
+  }
+  if (context.quote) {
+    const userResult = await db.query(
+      'SELECT name, email, phone, sms_opt_out FROM users WHERE id = $1',
+      [context.quote.user_id]
+    );
+    context.customer = userResult.rows[0];
+  }
+
+  return context;
+}
+
+// Queue the emails for an event. Pass the transaction's client so they are only
+// sent if the change commits.
+async function sendEmailNotification(type, data, db = pool) {
+  const context = await loadNotificationContext(db, data);
+
+  for (const route of email.EMAIL_ROUTES[type] || []) {
+    const recipient = route.to === 'admin' ? ADMIN_EMAIL : context.customer && context.customer.email;
+    if (!recipient) continue;
+
+    const message = email.renderEmail(route.template, context);
+    await outbox.enqueueMessage(db, {
+      channel: 'email',
+      template: route.template,
+      recipient,
+      subject: message.subject,
+      bodyText: message.text,
+      bodyHtml: message.html,
+      replyTo: route.replyTo ? context[route.replyTo].email : null
+    });
   }
 }
 
+// SMS Notification System
+
+const smsProvider = sms.createSmsProvider();
+
+// Queue the customer's SMS for an event unless they opted out
+async function sendSmsNotification(type, data, db = pool) {
+  const template = sms.SMS_ROUTES[type];
+  if (!template) return;
+
+  const context = await loadNotificationContext(db, data);
+  if (!context.customer || context.customer.sms_opt_out) return;
+
+  const recipient = sms.smsRecipient(context);
+  if (!recipient) return;
+
+  await outbox.enqueueMessage(db, {
+    channel: 'sms',
+    template,
+    recipient,
+    bodyText: sms.renderSms(template, context)
+  });
+}
+
+// Texts customers the day before their installation
+const installationReminderWorker = scheduling.createReminderWorker({
+  pool,
+  notify: (booking, client) => sendSmsNotification('installation_reminder', { quoteId: booking.quote_id, booking }, client),
+  leadMs: parseInt(process.env.INSTALL_REMINDER_LEAD_HOURS || '24') * 60 * 60 * 1000,
+  intervalMs: parseInt(process.env.INSTALL_REMINDER_INTERVAL_MS || '600000')
+});
+
+// Delivers queued notifications, retrying failures with backoff
+const outboxWorker = outbox.createOutboxWorker({
+  pool,
+  senders: {
+    sms: (message) => smsProvider.send({ to: message.recipient, message: message.body_text }),
+    email: (message) => emailTransport.send({
+      from: EMAIL_FROM,
+      to: message.recipient,
+      replyTo: message.reply_to || undefined,
+      subject: message.subject,
+      text: message.body_text,
+      html: message.body_html || undefined
+    })
+  },
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6'),
+  intervalMs: parseInt(process.env.OUTBOX_INTERVAL_MS || '10000')
+});
+
+// List outbox messages, e.g. ?status=failed (admin only)
+app.get('/api/admin/outbox', authenticateToken, requirePermission('notifications:manage'), v.validate({
+  query: { status: v.optional(v.oneOf(['pending', 'sent', 'failed'])) }
+}), asyncHandler(async (req, res) => {
+  const params = [];
+  let statusFilter = '';
+  if (req.query.status) {
+    params.push(req.query.status);
+    statusFilter = 'WHERE status = $1';
+  }
+
+  const messagesResult = await pool.query(
+    `SELECT id, channel, template, recipient, subject, status, attempts, last_error,
+            next_attempt_at, sent_at, created_at
+     FROM notification_outbox ${statusFilter}
+     ORDER BY created_at DESC
+     LIMIT 100`,
+    params
+  );
+
+  res.json(messagesResult.rows);
+}));
+
+// Send a failed message again on the next worker run (admin only)
+app.post('/api/admin/outbox/:id/retry', authenticateToken, requirePermission('notifications:manage'), v.validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const messageResult = await pool.query(
+    `UPDATE notification_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'failed'
+     RETURNING id, status`,
+    [req.params.id]
+  );
+
+  if (messageResult.rows.length === 0) {
+    throw notFound('No failed message with that id');
+  }
+
+  res.json(messageResult.rows[0]);
+}));
+
 // Simple token verification endpoint
-app.get('/api/verify-token', authenticateToken, (req, res) => {
+app.get('/api/verify-token', authenticateToken, requirePermission('account:manage'), (req, res) => {
   res.json({ valid: true, user: req.user });
 });
 
-// Create default admin user on startup
-async function createDefaultAdmin() {
+// Unknown API routes and every error thrown above end up here
+app.use('/api', (req, res, next) => next(notFound('Route not found')));
+app.use(errorHandler);
+
+// The first admin comes from `node server.js create-admin`; say so until one exists
+async function checkForAdmin() {
+  const adminResult = await pool.query("SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin'");
+  if (adminResult.rows[0].count === 0) {
+    console.warn('⚠️  No admin account yet. Create one with: node server.js create-admin');
+  }
+}
+
+// One-off command: create the first admin with a password typed at the terminal.
+// The admin is asked to choose a new password at first sign-in.
+async function createAdminCommand() {
+  const prompt = createPrompt();
   try {
-    const adminExists = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      ['admin@expertpolyhomes.com']
-    );
+    await initializeDatabase();
 
-    if (adminExists.rows.length === 0) {
-      const hashedPassword = await bcrypt.hash('admin123', 12);
-      await pool.query(
-        'INSERT INTO users (name, email, password, role) VALUES ($1, $2, $3, $4)',
-        ['System Administrator', 'admin@expertpolyhomes.com', hashedPassword, 'admin']
-      );
-      console.log('✅ Default admin user created');
+    const adminResult = await pool.query("SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin'");
+    if (adminResult.rows[0].count > 0) {
+      console.error('An admin account already exists. Other users can be promoted with PATCH /api/admin/users/:id/role.');
+      return 1;
     }
-  } catch (error) {
-    console.error('Error creating default admin:', error);
+
+    const name = (await prompt.ask('Name [Administrator]: ')) || 'Administrator';
+    const emailCheck = v.check({ email: v.email() }, { email: await prompt.ask('Email: ') });
+    if (emailCheck.errors) {
+      console.error('That is not a valid email address.');
+      return 1;
+    }
+    const emailAddress = emailCheck.value.email;
+
+    const existingResult = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [emailAddress]);
+    if (existingResult.rows.length > 0) {
+      console.error('A user with that email already exists.');
+      return 1;
+    }
+
+    const password = await prompt.ask('Password: ', { hidden: true });
+    const passwordCheck = v.check({ password: v.password() }, { password });
+    if (passwordCheck.errors) {
+      console.error(`The password ${passwordCheck.errors.password}.`);
+      return 1;
+    }
+    if ((await prompt.ask('Confirm password: ', { hidden: true })) !== password) {
+      console.error('The passwords do not match.');
+      return 1;
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    await pool.query(
+      `INSERT INTO users (name, email, password, role, email_verified, must_change_password)
+       VALUES ($1, $2, $3, 'admin', TRUE, TRUE)`,
+      [name, emailAddress, hashedPassword]
+    );
+
+    console.log(`✅ Admin ${emailAddress} created. A new password will be required at first sign-in.`);
+    return 0;
+  } finally {
+    prompt.close();
+    await pool.end();
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('Shutting down gracefully...');
-  await pool.end();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
+// Graceful shutdown: stop the workers and close the pool
+async function shutdown() {
   console.log('Shutting down gracefully...');
+  reconciliationWorker.stop();
+  outboxWorker.stop();
+  installationReminderWorker.stop();
+  rateLimitStore.stop();
   await pool.end();
   process.exit(0);
-});
+}
 
 // Initialize database and start server
 async function startServer() {
+  const { errors, warnings } = config.validateConfig(process.env);
+  warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    console.error('Refusing to start until the configuration is fixed.');
+    process.exit(1);
+  }
+
   try {
     await initializeDatabase();
-    await createDefaultAdmin();
-    
+    await checkForAdmin();
+    reconciliationWorker.start();
+    outboxWorker.start();
+    installationReminderWorker.start();
+    rateLimitStore.start();
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
     app.listen(PORT, () => {
       console.log(`🚀 Expert Polyhomes Server running on port ${PORT}`);
       console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
@@ -726,4 +3543,107 @@ async function startServer() {
   }
 }
 
-startServer();
+// One-off command: `node server.js migrate up [version] | down [steps] | status`
+async function migrateCommand([action = 'up', argument]) {
+  try {
+    if (action === 'up') {
+      const applied = await migrator.up({ to: argument ? parseInt(argument) : undefined });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Already up to date.');
+    } else if (action === 'down') {
+      const reverted = await migrator.down({ steps: argument ? parseInt(argument) : 1 });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s).` : 'Nothing to revert.');
+    } else if (action === 'status') {
+      for (const migration of await migrator.status()) {
+        const state = migration.missing ? 'applied, file missing' : (migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending');
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+      }
+    } else {
+      console.error('Usage: node server.js migrate up [version] | down [steps] | status');
+      return 1;
+    }
+    return 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Password shared by every seeded account
+const SEED_PASSWORD = 'Password123';
+
+// One-off command: `node server.js seed [seed]` fills a development database with sample data
+async function seedCommand(args) {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('Refusing to seed a production database.');
+      return 1;
+    }
+
+    const force = args.includes('--force');
+    const [seedArgument] = args.filter(arg => arg !== '--force');
+
+    const seedValue = seedArgument === undefined ? seed.DEFAULT_SEED : parseInt(seedArgument);
+    if (!Number.isInteger(seedValue)) {
+      console.error('Usage: node server.js seed [seed] [--force]   (seed is a whole number)');
+      return 1;
+    }
+
+    // NODE_ENV is easy to leave unset, so a hosted-looking database also needs --force
+    const unsafeTarget = seed.unsafeSeedTarget(process.env);
+    if (unsafeTarget && !force) {
+      console.error(`Refusing to seed: ${unsafeTarget}. Pass --force if this really is a development database.`);
+      return 1;
+    }
+
+    await initializeDatabase();
+    const passwordHash = await bcrypt.hash(SEED_PASSWORD, 12);
+
+    const client = await pool.connect();
+    let counts;
+    try {
+      await client.query('BEGIN');
+      counts = await seed.seedDevelopmentData(client, { seed: seedValue, passwordHash });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`🌱 Seeded with ${seedValue}: ${counts.staff} staff, ${counts.customers} customers, ${counts.quotes} quotes, ${counts.payments} payments, ${counts.messages} contact messages`);
+    console.log(`   Accounts use @${seed.SEED_EMAIL_DOMAIN} addresses and the password ${SEED_PASSWORD}, e.g. grace.admin1@${seed.SEED_EMAIL_DOMAIN}`);
+    return 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run as a command or server when started directly; tests require() the app instead
+if (require.main === module) {
+  if (process.argv[2] === 'migrate') {
+    migrateCommand(process.argv.slice(3))
+      .then(code => process.exit(code))
+      .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+      });
+  } else if (process.argv[2] === 'seed') {
+    seedCommand(process.argv.slice(3))
+      .then(code => process.exit(code))
+      .catch(error => {
+        console.error('Failed to seed the database:', error.message);
+        process.exit(1);
+      });
+  } else if (process.argv[2] === 'create-admin') {
+    createAdminCommand()
+      .then(code => process.exit(code))
+      .catch(error => {
+        console.error('Failed to create admin:', error.message);
+        process.exit(1);
+      });
+  } else {
+    startServer();
+  }
+}
+
+module.exports = { app, pool, initializeDatabase, startServer };
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const window = (meshType, materialType, quantity = 1) => ({ meshType, materialType, width: 1, height: 1, quantity });
+
+describe('admin analytics', () => {
+  let api;
+  let finance;
+  const MARCH = '?from=2024-03-01&to=2024-03-31';
+
+  async function createQuote(customer, items, installLocation, createdAt) {
+    const { body } = await api.request('POST', '/quotes', { token: customer.token, body: { items, installLocation } });
+    await api.pool.query('UPDATE quotes SET created_at = $2::timestamptz WHERE id = $1', [body.quoteId, createdAt]);
+    return body.quoteId;
+  }
+
+  async function recordPayment(customer, quoteId, amount, createdAt) {
+    await api.pool.query(
+      `INSERT INTO payments (user_id, quote_id, amount, amount_received, phone, status, created_at)
+       VALUES ($1, $2, $3, $3, '254712345678', 'completed', $4::timestamptz)`,
+      [customer.id, quoteId, amount, createdAt]
+    );
+  }
+
+  const report = (path) => api.request('GET', `/admin/analytics/${path}`, { token: finance.token });
+
+  before(async () => {
+    api = await startTestApp();
+    finance = await api.createUser({ role: 'finance' });
+    const customer = await api.createUser();
+
+    // 3000, paid in full six hours later
+    const karen = await createQuote(customer, [window('fixed', 'fiberglass', 2)], 'Karen, Nairobi', '2024-03-04T09:00:00Z');
+    await recordPayment(customer, karen, 3000, '2024-03-04T15:00:00Z');
+
+    // 2000 + 2800, half paid a day later
+    const westlands = await createQuote(customer, [window('magnetic', 'polyester'), window('roller', 'fiberglass')], 'Westlands', '2024-03-05T10:00:00Z');
+    await recordPayment(customer, westlands, 2400, '2024-03-06T10:00:00Z');
+
+    // 2200, unpaid; 00:30 on the 13th in Nairobi
+    await createQuote(customer, [window('fixed', 'stainless')], 'karen', '2024-03-12T21:30:00Z');
+
+    // Outside the range
+    const february = await createQuote(customer, [window('fixed', 'fiberglass')], 'Thika', '2024-02-20T09:00:00Z');
+    await recordPayment(customer, february, 1500, '2024-02-21T09:00:00Z');
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('summarises conversion, order value and time to payment', async () => {
+    const { status, body } = await report(`overview${MARCH}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      from: '2024-03-01',
+      to: '2024-03-31',
+      quotes: 3,
+      paidQuotes: 2,
+      conversionRate: 0.6667,
+      quotedValue: 10000,
+      averageOrderValue: 3900,
+      medianHoursToPayment: 15,
+      payments: 2,
+      revenue: 5400
+    });
+  });
+
+  it('reports nothing rather than dividing by zero for an empty range', async () => {
+    const { body } = await report('overview?from=2023-01-01&to=2023-01-31');
+    assert.equal(body.quotes, 0);
+    assert.equal(body.conversionRate, null);
+    assert.equal(body.averageOrderValue, null);
+    assert.equal(body.medianHoursToPayment, null);
+  });
+
+  it('buckets quotes and revenue by Nairobi day, including empty days', async () => {
+    const { body } = await report(`timeseries${MARCH}`);
+    assert.equal(body.interval, 'day');
+    assert.equal(body.series.length, 31);
+
+    const day = (date) => body.series.find(point => point.period === date);
+    assert.deepEqual(day('2024-03-04'), { period: '2024-03-04', quotes: 1, quotedValue: 3000, payments: 1, revenue: 3000 });
+    assert.deepEqual(day('2024-03-06'), { period: '2024-03-06', quotes: 0, quotedValue: 0, payments: 1, revenue: 2400 });
+    assert.equal(day('2024-03-12').quotes, 0);
+    assert.equal(day('2024-03-13').quotes, 1);
+  });
+
+  it('buckets by week from Monday and by month', async () => {
+    const weekly = await report(`timeseries${MARCH}&interval=week`);
+    assert.deepEqual(weekly.body.series.map(point => [point.period, point.quotes, point.revenue]), [
+      ['2024-02-26', 0, 0],
+      ['2024-03-04', 2, 5400],
+      ['2024-03-11', 1, 0],
+      ['2024-03-18', 0, 0],
+      ['2024-03-25', 0, 0]
+    ]);
+
+    const monthly = await report('timeseries?from=2024-02-01&to=2024-03-31&interval=month');
+    assert.deepEqual(monthly.body.series.map(point => [point.period, point.quotes, point.revenue]), [
+      ['2024-02-01', 1, 1500],
+      ['2024-03-01', 3, 5400]
+    ]);
+  });
+
+  it('splits revenue across quote lines by their share of the total', async () => {
+    const { body } = await report(`revenue-by-product${MARCH}`);
+    assert.deepEqual(body.byMeshType.map(row => [row.meshType, row.revenue, row.quotes]), [
+      ['fixed', 3000, 1],
+      ['roller', 1400, 1],
+      ['magnetic', 1000, 1]
+    ]);
+    assert.deepEqual(body.byMaterial.map(row => [row.materialType, row.revenue, row.units]), [
+      ['fiberglass', 4400, 3],
+      ['polyester', 1000, 1]
+    ]);
+    assert.equal(body.byProduct.length, 3);
+  });
+
+  it('ranks install areas by quotes', async () => {
+    const { body } = await report(`top-areas${MARCH}`);
+    assert.deepEqual(body.areas, [
+      { area: 'Karen', quotes: 2, paidQuotes: 1, revenue: 3000 },
+      { area: 'Westlands', quotes: 1, paidQuotes: 1, revenue: 2400 }
+    ]);
+
+    const top = await report(`top-areas${MARCH}&limit=1`);
+    assert.equal(top.body.areas.length, 1);
+  });
+
+  it('checks the date range', async () => {
+    const backwards = await report('overview?from=2024-03-31&to=2024-03-01');
+    assert.equal(backwards.status, 400);
+    assert.ok(backwards.body.error.fields.to);
+
+    const tooLong = await report('timeseries?from=2015-01-01&to=2024-03-01');
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.error.code, 'range_too_long');
+
+    const badInterval = await report('timeseries?interval=hour');
+    assert.equal(badInterval.status, 400);
+  });
+
+  it('defaults to the last 30 days', async () => {
+    const { body } = await report('timeseries');
+    assert.equal(body.series.length, 30);
+    assert.equal(body.to, body.series[29].period);
+  });
+
+  it('is only for roles that read reports', async () => {
+    const sales = await api.createUser({ role: 'sales' });
+    const { status } = await api.request('GET', '/admin/analytics/overview', { token: sales.token });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PASSWORD, startTestApp } = require('./helpers');
+
+describe('auth', () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('registers a customer and signs them in', async () => {
+    const registered = await api.request('POST', '/register', {
+      body: { name: 'Wanjiru Kamau', email: 'Wanjiru@Example.com', password: PASSWORD, phone: '0712345678' }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.email, 'wanjiru@example.com');
+    assert.equal(registered.body.user.role, 'user');
+    assert.equal(registered.body.user.phone, '254712345678');
+    assert.ok(registered.body.token);
+    assert.ok(registered.body.refreshToken);
+
+    const login = await api.request('POST', '/login', { body: { email: 'wanjiru@example.com', password: PASSWORD } });
+    assert.equal(login.status, 200);
+
+    const profile = await api.request('GET', '/profile', { token: login.body.token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.email, 'wanjiru@example.com');
+  });
+
+  it('reports every invalid registration field', async () => {
+    const { status, body } = await api.request('POST', '/register', { body: { name: '', email: 'nope', password: 'short' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+    assert.deepEqual(Object.keys(body.error.fields).sort(), ['email', 'name', 'password']);
+  });
+
+  it('refuses a second account for the same email in any case', async () => {
+    await api.request('POST', '/register', { body: { name: 'First', email: 'taken@example.com', password: PASSWORD } });
+    const { status, body } = await api.request('POST', '/register', {
+      body: { name: 'Second', email: 'TAKEN@example.com', password: PASSWORD }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.error.code, 'email_taken');
+  });
+
+  it('rejects a wrong password and an unknown email the same way', async () => {
+    const { email } = await api.createUser();
+    const wrongPassword = await api.request('POST', '/login', { body: { email, password: 'Wrong1234' } });
+    const unknownEmail = await api.request('POST', '/login', { body: { email: 'ghost@example.com', password: PASSWORD } });
+
+    assert.equal(wrongPassword.status, 400);
+    assert.deepEqual(wrongPassword.body, unknownEmail.body);
+    assert.equal(wrongPassword.body.error.code, 'invalid_credentials');
+  });
+
+  it('requires a valid access token', async () => {
+    const missing = await api.request('GET', '/my-quotes');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error.code, 'unauthorized');
+
+    const forged = await api.request('GET', '/my-quotes', { token: 'not.a.token' });
+    assert.equal(forged.status, 403);
+    assert.equal(forged.body.error.code, 'invalid_token');
+  });
+
+  it('rotates refresh tokens and ends the session on logout', async () => {
+    const { email } = await api.createUser();
+    const login = await api.request('POST', '/login', { body: { email, password: PASSWORD } });
+
+    const refreshed = await api.request('POST', '/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+
+    const logout = await api.request('POST', '/logout', { token: refreshed.body.token });
+    assert.equal(logout.status, 200);
+
+    const afterLogout = await api.request('GET', '/profile', { token: refreshed.body.token });
+    assert.equal(afterLogout.status, 401);
+    assert.equal(afterLogout.body.error.code, 'session_ended');
+  });
+
+  it('keeps customers out of admin routes', async () => {
+    const customer = await api.createUser();
+    for (const path of ['/admin/quotes', '/admin/users', '/admin/stats']) {
+      const { status, body } = await api.request('GET', path, { token: customer.token });
+      assert.equal(status, 403, path);
+      assert.equal(body.error.code, 'forbidden');
+    }
+  });
+
+  it('gives staff only the routes their role allows', async () => {
+    const sales = await api.createUser({ role: 'sales' });
+    const finance = await api.createUser({ role: 'finance' });
+
+    assert.equal((await api.request('GET', '/admin/quotes', { token: sales.token })).status, 200);
+    assert.equal((await api.request('GET', '/admin/stats', { token: sales.token })).status, 403);
+    assert.equal((await api.request('GET', '/admin/stats', { token: finance.token })).status, 200);
+    assert.equal((await api.request('GET', '/admin/users', { token: finance.token })).status, 403);
+  });
+
+  it('lets an admin list users without exposing password hashes', async () => {
+    const admin = await api.createUser({ role: 'admin' });
+    const { status, body } = await api.request('GET', '/admin/users', { token: admin.token });
+    assert.equal(status, 200);
+    assert.ok(body.users.length > 0);
+    assert.ok(body.users.every(user => !('password' in user)));
+  });
+
+  describe('phone sign-in', () => {
+    const SHARED_PHONE = '254733000111';
+
+    // Stores a known code for the number, as /auth/otp/request would have texted it
+    async function issueCode(phone, code = '123456') {
+      await api.pool.query(
+        `INSERT INTO login_otps (phone, code_hash, expires_at) VALUES ($1, $2, $3)`,
+        [phone, crypto.createHmac('sha256', api.env.JWT_SECRET).update(`${phone}:${code}`).digest('hex'), new Date(Date.now() + 60000)]
+      );
+      return code;
+    }
+
+    const verify = async (phone) =>
+      api.request('POST', '/auth/otp/verify', { body: { phone, code: await issueCode(phone), name: 'Phone Customer' } });
+
+    it('makes a customer wait before texting another code, whatever the server time zone', async () => {
+      const serverTimeZone = process.env.TZ;
+      process.env.TZ = 'Africa/Nairobi';
+      try {
+        const first = await api.request('POST', '/auth/otp/request', { body: { phone: '0733000222' } });
+        assert.equal(first.status, 200);
+
+        const again = await api.request('POST', '/auth/otp/request', { body: { phone: '0733000222' } });
+        assert.equal(again.status, 429);
+        assert.ok(again.body.error.retryAfterSeconds > 0 && again.body.error.retryAfterSeconds <= 60);
+      } finally {
+        if (serverTimeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = serverTimeZone;
+      }
+    });
+
+    it('never signs in to staff or unverified accounts holding the number', async () => {
+      const staff = await api.createUser({ role: 'admin', phone: SHARED_PHONE });
+      const customer = await api.createUser({ phone: SHARED_PHONE });
+
+      const first = await verify(SHARED_PHONE);
+      assert.equal(first.status, 201);
+      assert.equal(first.body.user.role, 'user');
+      assert.equal(first.body.user.email, null);
+      assert.ok(![staff.id, customer.id].includes(first.body.user.id));
+
+      const { rows } = await api.pool.query('SELECT phone_verified FROM users WHERE id = ANY($1::int[]) ORDER BY id', [[staff.id, customer.id]]);
+      assert.deepEqual(rows.map(row => row.phone_verified), [false, false]);
+
+      const again = await verify(SHARED_PHONE);
+      assert.equal(again.status, 200);
+      assert.equal(again.body.user.id, first.body.user.id);
+    });
+
+    it('refuses to choose between two verified customers on one number', async () => {
+      await api.pool.query(
+        `INSERT INTO users (name, phone, role, phone_verified) VALUES ('Second Holder', $1, 'user', TRUE)`,
+        [SHARED_PHONE]
+      );
+
+      const { status, body } = await verify(SHARED_PHONE);
+      assert.equal(status, 409);
+      assert.equal(body.error.code, 'phone_ambiguous');
+    });
+  });
+});
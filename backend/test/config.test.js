@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../lib/config');
+
+const SECRETS = {
+  JWT_SECRET: 'a'.repeat(40),
+  MPESA_CALLBACK_SECRET: 'b'.repeat(40)
+};
+
+const DARAJA = {
+  MPESA_PROVIDER: 'daraja',
+  MPESA_CONSUMER_KEY: 'key',
+  MPESA_CONSUMER_SECRET: 'secret',
+  MPESA_SHORTCODE: '174379',
+  MPESA_PASSKEY: 'passkey'
+};
+
+describe('configuration checks', () => {
+  it('refuses Daraja without a callback URL Safaricom can reach', () => {
+    const missing = config.validateConfig({ ...DARAJA });
+    assert.deepEqual(missing.errors, ['MPESA_PROVIDER=daraja needs MPESA_CALLBACK_URL']);
+
+    const local = config.validateConfig({ ...DARAJA, MPESA_CALLBACK_URL: 'http://localhost:3000/api/mpesa/callback' });
+    assert.match(local.errors[0], /public https/);
+
+    const publicUrl = config.validateConfig({ ...DARAJA, MPESA_CALLBACK_URL: 'https://api.example.co.ke/api/mpesa/callback' });
+    assert.deepEqual(publicUrl.errors, []);
+  });
+
+  it('refuses the M-Pesa simulator in production unless it is allowed', () => {
+    const production = { NODE_ENV: 'production', DATABASE_URL: 'postgres://db/app', MPESA_CALLBACK_URL: 'https://api.example.co.ke/api/mpesa/callback', ...SECRETS };
+    assert.match(config.validateConfig(production).errors[0], /simulator/);
+
+    const staging = config.validateConfig({ ...production, MPESA_ALLOW_SIMULATOR: 'true' });
+    assert.deepEqual(staging.errors, []);
+    assert.match(staging.warnings[0], /simulator/);
+
+    assert.deepEqual(config.validateConfig({ ...production, ...DARAJA }).errors, []);
+  });
+
+  it('requires a callback URL in production', () => {
+    const production = { NODE_ENV: 'production', DATABASE_URL: 'postgres://db/app', MPESA_ALLOW_SIMULATOR: 'true', ...SECRETS };
+    assert.deepEqual(config.validateConfig(production).errors, ['MPESA_CALLBACK_URL is required in production']);
+    assert.equal(config.mpesaCallbackUrl(production, 3000), null);
+  });
+
+  it('calls back to the local server only in development', () => {
+    assert.equal(config.mpesaCallbackUrl({}, 3000), 'http://localhost:3000/api/mpesa/callback');
+    assert.equal(config.mpesaCallbackUrl({ MPESA_CALLBACK_URL: 'https://example.com/cb' }, 3000), 'https://example.com/cb');
+  });
+});
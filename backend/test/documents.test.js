@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('quotation and receipt PDFs', () => {
+  let api;
+  let customer;
+  let other;
+  let quoteId;
+  let completedPaymentId;
+  let initiatedPaymentId;
+
+  const download = (path, token) =>
+    fetch(`${api.baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  const pdfText = async (response) => Buffer.from(await response.arrayBuffer()).toString('latin1');
+
+  before(async () => {
+    api = await startTestApp();
+    customer = await api.createUser({ name: 'Wanjiru Kamau', phone: '254712345678' });
+    other = await api.createUser({ phone: '254712000999' });
+
+    const quote = await api.request('POST', '/quotes', {
+      token: customer.token,
+      body: {
+        installLocation: 'Karen, Nairobi',
+        items: [{ meshType: 'fixed', materialType: 'fiberglass', width: 1.2, height: 1.5, quantity: 2 }]
+      }
+    });
+    quoteId = quote.body.quoteId;
+
+    const payments = await api.pool.query(
+      `INSERT INTO payments (user_id, quote_id, amount, amount_received, phone, status, mpesa_code)
+       VALUES ($1, $2, 2700, 2700, '254712345678', 'completed', 'QGH7XYZ123'),
+              ($1, $2, 2700, NULL, '254712345678', 'initiated', NULL)
+       RETURNING id`,
+      [customer.id, quoteId]
+    );
+    [completedPaymentId, initiatedPaymentId] = payments.rows.map(row => row.id);
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('renders the quotation for its owner', async () => {
+    const response = await download(`/quotes/${quoteId}/pdf`, customer.token);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /filename="quotation-Q-\d{6}\.pdf"/);
+
+    const text = await pdfText(response);
+    assert.ok(text.startsWith('%PDF-'));
+    assert.ok(text.includes(`(Quotation Q-${String(quoteId).padStart(6, '0')})`));
+  });
+
+  it('lets staff download quotations but not other customers', async () => {
+    const sales = await api.createUser({ role: 'sales' });
+    assert.equal((await download(`/quotes/${quoteId}/pdf`, sales.token)).status, 200);
+
+    const denied = await download(`/quotes/${quoteId}/pdf`, other.token);
+    assert.equal(denied.status, 403);
+
+    const missing = await download('/quotes/999999/pdf', customer.token);
+    assert.equal(missing.status, 404);
+  });
+
+  it('issues a receipt with the M-Pesa code for a completed payment', async () => {
+    const response = await download(`/payments/${completedPaymentId}/receipt.pdf`, customer.token);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /filename="receipt-R-\d{6}\.pdf"/);
+
+    const text = await pdfText(response);
+    assert.ok(text.startsWith('%PDF-'));
+    assert.match(text, /\(Receipt R-\d{6} for M-Pesa payment QGH7XYZ123 of KES 2,700\.00\)/);
+
+    const finance = await api.createUser({ role: 'finance' });
+    assert.equal((await download(`/payments/${completedPaymentId}/receipt.pdf`, finance.token)).status, 200);
+  });
+
+  it('refuses receipts for other customers and unfinished payments', async () => {
+    const denied = await download(`/payments/${completedPaymentId}/receipt.pdf`, other.token);
+    assert.equal(denied.status, 403);
+
+    const initiated = await download(`/payments/${initiatedPaymentId}/receipt.pdf`, customer.token);
+    assert.equal(initiated.status, 409);
+    assert.equal((await initiated.json()).error.code, 'payment_not_completed');
+  });
+
+  it('refuses a receipt for a payment that has no quote', async () => {
+    const { rows: [payment] } = await api.pool.query(
+      `INSERT INTO payments (user_id, quote_id, amount, amount_received, phone, status, mpesa_code)
+       VALUES ($1, NULL, 500, 500, '254712345678', 'completed', 'QGH7XYZ999')
+       RETURNING id`,
+      [customer.id]
+    );
+
+    const response = await download(`/payments/${payment.id}/receipt.pdf`, customer.token);
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error.code, 'payment_without_quote');
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startTestApp } = require('./helpers');
+
+// Splits CSV text into rows of fields, honouring quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') { field += '"'; index++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(field); field = ''; }
+    else if (char === '\n') { row.push(field.replace(/\r$/, '')); rows.push(row); row = []; field = ''; }
+    else field += char;
+  }
+  return rows;
+}
+
+describe('admin exports', () => {
+  let api;
+  let admin;
+  let customer;
+  let quoteId;
+
+  const download = (path, token = admin.token) =>
+    fetch(`${api.baseUrl}/admin/exports/${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  // fetch drops the byte order mark when decoding text
+  const downloadCsv = async (path) => parseCsv(await (await download(path)).text());
+
+  before(async () => {
+    api = await startTestApp();
+    admin = await api.createUser({ role: 'admin' });
+    customer = await api.createUser({ name: 'Njeri "Shiku" Mwangi', phone: '254711000222' });
+
+    const quote = await api.request('POST', '/quotes', {
+      token: customer.token,
+      body: {
+        installLocation: '=HYPERLINK("http://example.com"), Karen',
+        items: [
+          { meshType: 'fixed', materialType: 'fiberglass', width: 1.2, height: 1.5, quantity: 2 },
+          { meshType: 'roller', materialType: 'polyester', width: 1, height: 2, quantity: 1 }
+        ]
+      }
+    });
+    quoteId = quote.body.quoteId;
+
+    await api.pool.query(
+      `INSERT INTO payments (user_id, quote_id, amount, amount_received, phone, status, mpesa_code, created_at)
+       VALUES ($1, $2, 5900, 5900, '254711000222', 'completed', 'QGH7XYZ123', '2024-05-02T07:15:00Z'::timestamptz),
+              ($1, $2, 5900, NULL, '254711000222', 'failed', NULL, '2024-05-01T07:15:00Z'::timestamptz)`,
+      [customer.id, quoteId]
+    );
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('streams quotes as CSV with customer details and M-Pesa codes', async () => {
+    const response = await download('quotes');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="quotes-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const bytes = Buffer.from(await response.arrayBuffer());
+    assert.deepEqual([...bytes.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+    const [header, row, ...rest] = parseCsv(bytes.toString('utf8').substring(1));
+    assert.deepEqual(rest, []);
+
+    const quote = Object.fromEntries(header.map((name, index) => [name, row[index]]));
+    assert.equal(quote['Quote ID'], String(quoteId));
+    assert.equal(quote.Customer, 'Njeri "Shiku" Mwangi');
+    assert.equal(quote.Phone, '254711000222');
+    assert.equal(quote.Items, '2 x fixed/fiberglass 1.20x1.50m; 1 x roller/polyester 1.00x2.00m');
+    assert.equal(quote.Total, '11800.00');
+    assert.equal(quote.Paid, '5900.00');
+    assert.equal(quote['M-Pesa codes'], 'QGH7XYZ123');
+  });
+
+  it('keeps spreadsheet apps from running text as a formula', async () => {
+    const [header, row] = await downloadCsv('quotes');
+    assert.equal(row[header.indexOf('Install location')], '\'=HYPERLINK("http://example.com"), Karen');
+  });
+
+  it('applies the listing filters', async () => {
+    const none = await downloadCsv('quotes?status=cancelled');
+    assert.equal(none.length, 1);
+
+    const completed = await downloadCsv('payments?status=completed');
+    assert.equal(completed.length, 2);
+    const [header, row] = completed;
+    assert.equal(row[header.indexOf('M-Pesa code')], 'QGH7XYZ123');
+    assert.equal(row[header.indexOf('Instalment')], '');
+    assert.equal(row[header.indexOf('Created')], '2024-05-02 10:15');
+    assert.equal(row[header.indexOf('Email')], customer.email);
+
+    const mayFirst = await downloadCsv('payments?from=2024-05-01&to=2024-05-01');
+    assert.equal(mayFirst.length, 2);
+    assert.equal(mayFirst[1][mayFirst[0].indexOf('Status')], 'failed');
+  });
+
+  it('exports users with their quote count and payments', async () => {
+    const rows = await downloadCsv('users?role=user');
+    assert.equal(rows.length, 2);
+    const [header, row] = rows;
+    assert.equal(row[header.indexOf('Quotes')], '1');
+    assert.equal(row[header.indexOf('Total paid')], '5900.00');
+    assert.equal(row[header.indexOf('Email verified')], 'true');
+  });
+
+  it('writes the same rows as an Excel workbook', async () => {
+    const response = await download('payments?format=xlsx&sort=createdAt');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /\.xlsx"$/);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+    const sheet = workbook.getWorksheet('Payments');
+    assert.equal(sheet.rowCount, 3);
+    assert.equal(sheet.getRow(1).getCell(4).value, 'M-Pesa code');
+    assert.equal(sheet.getRow(3).getCell(4).value, 'QGH7XYZ123');
+    assert.equal(sheet.getRow(3).getCell(5).value, 5900);
+    assert.deepEqual(sheet.getRow(3).getCell(2).value, new Date('2024-05-02T10:15:00Z'));
+  });
+
+  it('streams more rows than fit in one batch', async () => {
+    await api.pool.query(
+      `INSERT INTO quotes (user_id, window_width, window_height, window_count, mesh_type, material_type, total_price, install_location)
+       SELECT $1, 1, 1, 1, 'fixed', 'fiberglass', 1500, 'Thika ' || n FROM generate_series(1, 1234) AS n`,
+      [customer.id]
+    );
+    const rows = await downloadCsv('quotes?location=thika');
+    assert.equal(rows.length, 1235);
+    assert.equal(rows[1][rows[0].indexOf('Items')], '1 x fixed/fiberglass 1.00x1.00m');
+  });
+
+  it('rejects unknown formats and checks permissions', async () => {
+    const badFormat = await download('quotes?format=pdf');
+    assert.equal(badFormat.status, 400);
+
+    const finance = await api.createUser({ role: 'finance' });
+    assert.equal((await download('payments', finance.token)).status, 200);
+    assert.equal((await download('users', finance.token)).status, 200);
+
+    const technician = await api.createUser({ role: 'technician' });
+    assert.equal((await download('quotes', technician.token)).status, 403);
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const window = (meshType, materialType, quantity = 1) => ({ meshType, materialType, width: 1, height: 1, quantity });
+
+describe('admin listings', () => {
+  let api;
+  let admin;
+  let wanjiru;
+  let otieno;
+  const quoteIds = {};
+
+  async function createQuote(customer, key, items, installLocation) {
+    const { body } = await api.request('POST', '/quotes', { token: customer.token, body: { items, installLocation } });
+    quoteIds[key] = body.quoteId;
+  }
+
+  const listQuotes = (query = '') => api.request('GET', `/admin/quotes${query}`, { token: admin.token });
+  const listUsers = (query = '') => api.request('GET', `/admin/users${query}`, { token: admin.token });
+  const idsOf = (quotes) => quotes.map(quote => quote.id).sort((a, b) => a - b);
+
+  before(async () => {
+    api = await startTestApp();
+    admin = await api.createUser({ role: 'admin', name: 'Grace Admin', phone: '254700000001' });
+    wanjiru = await api.createUser({ name: 'Wanjiru Kamau', phone: '254712345678' });
+    otieno = await api.createUser({ name: 'Otieno Odhiambo', phone: '0723456789' });
+
+    // Totals with the default prices: 1500, 2×2800 = 5600, 1800 + 3200 = 5000, 4500
+    await createQuote(wanjiru, 'fixed', [window('fixed', 'fiberglass')], 'Westlands, Nairobi');
+    await createQuote(wanjiru, 'roller', [window('roller', 'fiberglass', 2)], 'Karen');
+    await createQuote(otieno, 'mixed', [window('magnetic', 'polyester'), window('roller', 'polyester')], 'Thika Road 50% off mall');
+    await createQuote(otieno, 'stainless', [window('roller', 'stainless')], 'Kisumu');
+
+    await api.pool.query("UPDATE quotes SET status = 'cancelled' WHERE id = $1", [quoteIds.stainless]);
+    await api.pool.query("UPDATE quotes SET created_at = '2024-03-10T21:30:00Z'::timestamptz WHERE id = $1", [quoteIds.fixed]);
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  describe('quotes', () => {
+    it('returns the first page, newest first, with the total count', async () => {
+      const { status, body } = await listQuotes('?pageSize=2');
+      assert.equal(status, 200);
+      assert.deepEqual(body.quotes.map(quote => quote.id), [quoteIds.stainless, quoteIds.mixed]);
+      assert.deepEqual(body.pagination, { page: 1, pageSize: 2, total: 4, totalPages: 2 });
+      assert.equal(body.quotes[1].items.length, 2);
+    });
+
+    it('returns later pages and an empty page past the end', async () => {
+      const second = await listQuotes('?pageSize=2&page=2');
+      assert.deepEqual(second.body.quotes.map(quote => quote.id), [quoteIds.roller, quoteIds.fixed]);
+
+      const beyond = await listQuotes('?pageSize=2&page=3');
+      assert.deepEqual(beyond.body.quotes, []);
+      assert.equal(beyond.body.pagination.total, 4);
+    });
+
+    it('filters by status', async () => {
+      const { body } = await listQuotes('?status=cancelled');
+      assert.deepEqual(idsOf(body.quotes), [quoteIds.stainless]);
+      assert.equal(body.pagination.total, 1);
+    });
+
+    it('filters by mesh and material on any line of the quote', async () => {
+      const roller = await listQuotes('?meshType=roller');
+      assert.deepEqual(idsOf(roller.body.quotes), [quoteIds.roller, quoteIds.mixed, quoteIds.stainless]);
+
+      const magneticPolyester = await listQuotes('?meshType=magnetic&materialType=polyester');
+      assert.deepEqual(idsOf(magneticPolyester.body.quotes), [quoteIds.mixed]);
+    });
+
+    it('matches part of the location, taking % literally', async () => {
+      const nairobi = await listQuotes('?location=nairobi');
+      assert.deepEqual(idsOf(nairobi.body.quotes), [quoteIds.fixed]);
+
+      const percent = await listQuotes(`?location=${encodeURIComponent('50%')}`);
+      assert.deepEqual(idsOf(percent.body.quotes), [quoteIds.mixed]);
+    });
+
+    it('filters by price range', async () => {
+      const { body } = await listQuotes('?minPrice=4500&maxPrice=5500');
+      assert.deepEqual(idsOf(body.quotes), [quoteIds.mixed, quoteIds.stainless]);
+    });
+
+    it('filters by Nairobi calendar day', async () => {
+      // 21:30 UTC on the 10th is already the 11th in Nairobi
+      const eleventh = await listQuotes('?from=2024-03-11&to=2024-03-11');
+      assert.deepEqual(idsOf(eleventh.body.quotes), [quoteIds.fixed]);
+
+      const tenth = await listQuotes('?from=2024-03-10&to=2024-03-10');
+      assert.deepEqual(tenth.body.quotes, []);
+
+      const backwards = await listQuotes('?from=2024-03-11&to=2024-03-10');
+      assert.equal(backwards.status, 400);
+      assert.ok(backwards.body.error.fields.to);
+    });
+
+    it('finds the same Nairobi day when the server does not run in UTC', async () => {
+      const serverTimeZone = process.env.TZ;
+      process.env.TZ = 'Africa/Nairobi';
+      try {
+        const eleventh = await listQuotes('?from=2024-03-11&to=2024-03-11');
+        assert.deepEqual(idsOf(eleventh.body.quotes), [quoteIds.fixed]);
+
+        const tenth = await listQuotes('?from=2024-03-10&to=2024-03-10');
+        assert.deepEqual(tenth.body.quotes, []);
+      } finally {
+        if (serverTimeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = serverTimeZone;
+      }
+    });
+
+    it('searches customer name, email and phone', async () => {
+      const byName = await listQuotes('?search=wanjiru');
+      assert.deepEqual(idsOf(byName.body.quotes), [quoteIds.fixed, quoteIds.roller]);
+
+      const byEmail = await listQuotes(`?search=${encodeURIComponent(otieno.email)}`);
+      assert.deepEqual(idsOf(byEmail.body.quotes), [quoteIds.mixed, quoteIds.stainless]);
+
+      // Stored as 0723..., searched as 254723...
+      const byPhone = await listQuotes('?search=254723456789');
+      assert.deepEqual(idsOf(byPhone.body.quotes), [quoteIds.mixed, quoteIds.stainless]);
+    });
+
+    it('sorts by any allowed key in either direction', async () => {
+      const cheapest = await listQuotes('?sort=totalPrice');
+      assert.deepEqual(cheapest.body.quotes.map(quote => quote.id), [quoteIds.fixed, quoteIds.stainless, quoteIds.mixed, quoteIds.roller]);
+
+      const byCustomer = await listQuotes('?sort=-customerName&pageSize=1');
+      assert.equal(byCustomer.body.quotes[0].user_name, 'Wanjiru Kamau');
+    });
+
+    it('rejects unknown sort keys and oversized pages', async () => {
+      const { status, body } = await listQuotes('?sort=password&pageSize=1000&page=0');
+      assert.equal(status, 400);
+      assert.deepEqual(Object.keys(body.error.fields).sort(), ['page', 'pageSize', 'sort']);
+    });
+  });
+
+  describe('users', () => {
+    it('pages through users with the total count', async () => {
+      const { status, body } = await listUsers('?pageSize=2&sort=name');
+      assert.equal(status, 200);
+      assert.deepEqual(body.users.map(user => user.name), ['Grace Admin', 'Otieno Odhiambo']);
+      assert.deepEqual(body.pagination, { page: 1, pageSize: 2, total: 3, totalPages: 2 });
+    });
+
+    it('filters by role and searches', async () => {
+      const customers = await listUsers('?role=user');
+      assert.deepEqual(customers.body.users.map(user => user.id).sort((a, b) => a - b), [wanjiru.id, otieno.id]);
+
+      const byPhone = await listUsers('?search=0712345678');
+      assert.deepEqual(byPhone.body.users.map(user => user.id), [wanjiru.id]);
+
+      const byPartialPhone = await listUsers('?search=00000');
+      assert.deepEqual(byPartialPhone.body.users.map(user => user.id), [admin.id]);
+    });
+  });
+
+  describe('payments', () => {
+    const paymentIds = [];
+    const listPayments = (query = '') => api.request('GET', `/admin/payments${query}`, { token: admin.token });
+
+    before(async () => {
+      const payments = [
+        [wanjiru, quoteIds.fixed, 700, 'completed', '2024-04-01T08:00:00Z'],
+        [wanjiru, quoteIds.roller, 1500, 'failed', '2024-04-02T08:00:00Z'],
+        [otieno, quoteIds.mixed, 2500, 'completed', '2024-04-03T08:00:00Z']
+      ];
+      for (const [customer, quoteId, amount, status, createdAt] of payments) {
+        const { rows } = await api.pool.query(
+          `INSERT INTO payments (user_id, quote_id, amount, phone, status, created_at)
+           VALUES ($1, $2, $3, '254712345678', $4, $5::timestamptz) RETURNING id`,
+          [customer.id, quoteId, amount, status, createdAt]
+        );
+        paymentIds.push(rows[0].id);
+      }
+    });
+
+    it('pages through payments, newest first, with the total count', async () => {
+      const { status, body } = await listPayments('?pageSize=2');
+      assert.equal(status, 200);
+      assert.deepEqual(body.payments.map(payment => payment.id), [paymentIds[2], paymentIds[1]]);
+      assert.deepEqual(body.pagination, { page: 1, pageSize: 2, total: 3, totalPages: 2 });
+
+      const second = await listPayments('?pageSize=2&page=2');
+      assert.deepEqual(second.body.payments.map(payment => payment.id), [paymentIds[0]]);
+    });
+
+    it('filters, searches and sorts', async () => {
+      const completed = await listPayments('?status=completed&sort=amount');
+      assert.deepEqual(completed.body.payments.map(payment => payment.id), [paymentIds[0], paymentIds[2]]);
+      assert.equal(completed.body.pagination.total, 2);
+
+      const byCustomer = await listPayments('?search=wanjiru&sort=-amount');
+      assert.deepEqual(byCustomer.body.payments.map(payment => payment.id), [paymentIds[1], paymentIds[0]]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const outbox = require('../lib/outbox');
+const { startTestApp } = require('./helpers');
+
+describe('notification outbox', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('sends each message once when several workers run at the same time', async () => {
+    for (let index = 0; index < 10; index++) {
+      await outbox.enqueueMessage(api.pool, { template: 'test', recipient: `customer${index}@example.com`, bodyText: 'Hello' });
+    }
+
+    const delivered = [];
+    const slowSend = async (message) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      delivered.push(message.id);
+    };
+    const workers = [1, 2, 3].map(() => outbox.createOutboxWorker({ pool: api.pool, senders: { email: slowSend }, intervalMs: 0 }));
+
+    const runs = await Promise.all(workers.map(worker => worker.processOutbox()));
+
+    assert.equal(runs.reduce((sum, run) => sum + run.sent, 0), 10);
+    assert.equal(new Set(delivered).size, 10);
+    assert.equal(delivered.length, 10);
+
+    const { rows } = await api.pool.query(`SELECT COUNT(*) AS pending FROM notification_outbox WHERE status <> 'sent'`);
+    assert.equal(Number(rows[0].pending), 0);
+  });
+
+  it('leaves a failed message to be retried after its backoff', async () => {
+    const id = await outbox.enqueueMessage(api.pool, { template: 'test', recipient: 'retry@example.com', bodyText: 'Hello' });
+    const failing = outbox.createOutboxWorker({
+      pool: api.pool,
+      senders: { email: async () => { throw new Error('SMTP down'); } },
+      intervalMs: 0
+    });
+
+    const run = await failing.processOutbox();
+    assert.deepEqual(run, { attempted: 1, sent: 0 });
+
+    const { rows: [message] } = await api.pool.query('SELECT * FROM notification_outbox WHERE id = $1', [id]);
+    assert.equal(message.status, 'pending');
+    assert.equal(message.attempts, 1);
+    assert.equal(message.last_error, 'SMTP down');
+
+    const { rows: [timing] } = await api.pool.query(
+      'SELECT next_attempt_at > CURRENT_TIMESTAMP AS deferred FROM notification_outbox WHERE id = $1',
+      [id]
+    );
+    assert.equal(timing.deferred, true);
+  });
+
+  it('ignores the outcome from a worker whose lease ran out', async () => {
+    const id = await outbox.enqueueMessage(api.pool, { template: 'test', recipient: 'lease@example.com', bodyText: 'Hello' });
+    const deliveries = [];
+    const prompt = outbox.createOutboxWorker({ pool: api.pool, senders: { email: async () => { deliveries.push('prompt'); } }, intervalMs: 0 });
+
+    // The slow worker's lease has run out by the time its send fails, and the message was sent meanwhile
+    const slow = outbox.createOutboxWorker({
+      pool: api.pool,
+      senders: {
+        email: async () => {
+          deliveries.push('slow');
+          await prompt.processOutbox();
+          throw new Error('Timed out');
+        }
+      },
+      intervalMs: 0,
+      leaseMs: 0
+    });
+    await slow.processOutbox();
+
+    assert.deepEqual(deliveries, ['slow', 'prompt']);
+    const { rows: [message] } = await api.pool.query('SELECT * FROM notification_outbox WHERE id = $1', [id]);
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 1);
+    assert.equal(message.last_error, null);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mpesa = require('../lib/mpesa');
+const { startTestApp } = require('./helpers');
+
+describe('M-Pesa payments', () => {
+  let api;
+  let admin;
+  let customer;
+  let otherCustomer;
+  let quoteId;
+  let paymentId;
+
+  // Delivers an STK callback the way Safaricom would, signed unless `sig` is given
+  async function deliverCallback(payment, { resultCode = 0, sig } = {}) {
+    const callbackUrl = new URL(mpesa.buildCallbackUrl(api.env.MPESA_CALLBACK_URL, String(payment.id), api.env.MPESA_CALLBACK_SECRET));
+    if (sig !== undefined) callbackUrl.searchParams.set('sig', sig);
+
+    return api.request('POST', `/mpesa/callback${callbackUrl.search}`, {
+      body: {
+        Body: {
+          stkCallback: {
+            MerchantRequestID: payment.merchant_request_id,
+            CheckoutRequestID: payment.checkout_request_id,
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+            ...(resultCode === 0 ? {
+              CallbackMetadata: {
+                Item: [
+                  { Name: 'Amount', Value: Number(payment.amount) },
+                  { Name: 'MpesaReceiptNumber', Value: 'TST1234567' },
+                  { Name: 'TransactionDate', Value: 20240115103000 },
+                  { Name: 'PhoneNumber', Value: Number(payment.phone) }
+                ]
+              }
+            } : {})
+          }
+        }
+      }
+    });
+  }
+
+  const loadPayment = async (id) => (await api.pool.query('SELECT * FROM payments WHERE id = $1', [id])).rows[0];
+
+  before(async () => {
+    api = await startTestApp();
+    admin = await api.createUser({ role: 'admin' });
+    customer = await api.createUser();
+    otherCustomer = await api.createUser();
+
+    const quote = await api.request('POST', '/quotes', {
+      token: customer.token,
+      body: { items: [{ meshType: 'fixed', materialType: 'fiberglass', width: 1.2, height: 1.5, quantity: 2 }] }
+    });
+    quoteId = quote.body.quoteId;
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('will not take payment for another customer\'s quote', async () => {
+    const { status, body } = await api.request('POST', '/mpesa/payment', {
+      token: otherCustomer.token,
+      body: { phone: '0712345678', quoteId }
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error.code, 'forbidden');
+  });
+
+  it('takes no deposit until the quote is surveyed and confirmed', async () => {
+    for (const status of ['surveyed', 'confirmed']) {
+      const { status: code, body } = await api.request('POST', '/mpesa/payment', {
+        token: customer.token,
+        body: { phone: '0712345678', quoteId }
+      });
+      assert.equal(code, 409);
+      assert.equal(body.error.code, 'quote_not_confirmed');
+
+      const moved = await api.request('PATCH', `/admin/quotes/${quoteId}`, { token: admin.token, body: { status } });
+      assert.equal(moved.status, 200);
+    }
+
+    const { rows } = await api.pool.query('SELECT COUNT(*) AS count FROM payments WHERE quote_id = $1', [quoteId]);
+    assert.equal(Number(rows[0].count), 0);
+  });
+
+  it('asks for the deposit first', async () => {
+    const { status, body } = await api.request('POST', '/mpesa/payment', {
+      token: customer.token,
+      body: { phone: '0712345678', quoteId }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.amount, 2700);
+    assert.equal(body.instalment, 'deposit');
+    paymentId = body.paymentId;
+
+    const payment = await loadPayment(paymentId);
+    assert.equal(payment.status, 'initiated');
+    assert.equal(payment.phone, '254712345678');
+    assert.ok(payment.checkout_request_id);
+  });
+
+  it('refuses a second prompt while one is awaiting confirmation', async () => {
+    const { status, body } = await api.request('POST', '/mpesa/payment', {
+      token: customer.token,
+      body: { phone: '0712345678', quoteId }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.error.code, 'payment_pending');
+    assert.equal(body.error.paymentId, paymentId);
+  });
+
+  it('ignores callbacks without a valid signature', async () => {
+    const { status, body } = await deliverCallback(await loadPayment(paymentId), { sig: 'forged' });
+    assert.equal(status, 403);
+    assert.equal(body.ResultCode, 1);
+    assert.equal((await loadPayment(paymentId)).status, 'initiated');
+  });
+
+  it('shows the pending payment to its owner only', async () => {
+    const own = await api.request('GET', `/payment-status/${paymentId}`, { token: customer.token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.status, 'initiated');
+
+    const other = await api.request('GET', `/payment-status/${paymentId}`, { token: otherCustomer.token });
+    assert.equal(other.status, 403);
+  });
+
+  it('completes the payment and moves the quote on when the callback arrives', async () => {
+    const { status, body } = await deliverCallback(await loadPayment(paymentId));
+    assert.equal(status, 200);
+    assert.equal(body.ResultCode, 0);
+
+    const paymentStatus = await api.request('GET', `/payment-status/${paymentId}`, { token: customer.token });
+    assert.equal(paymentStatus.body.status, 'completed');
+    assert.equal(paymentStatus.body.mpesaCode, 'TST1234567');
+
+    const balance = await api.request('GET', `/quotes/${quoteId}/balance`, { token: customer.token });
+    assert.equal(balance.body.totalPaid, 2700);
+    assert.equal(balance.body.outstanding, 2700);
+    assert.equal(balance.body.instalments[0].status, 'paid');
+
+    const quotes = await api.request('GET', '/my-quotes', { token: customer.token });
+    assert.equal(quotes.body[0].status, 'deposit_paid');
+  });
+
+  it('settles a payment only once when Safaricom retries the callback', async () => {
+    const { status } = await deliverCallback(await loadPayment(paymentId));
+    assert.equal(status, 200);
+
+    const balance = await api.request('GET', `/quotes/${quoteId}/balance`, { token: customer.token });
+    assert.equal(balance.body.totalPaid, 2700);
+  });
+
+  it('leaves the balance untouched when the customer cancels the prompt', async () => {
+    const prompt = await api.request('POST', '/mpesa/payment', {
+      token: customer.token,
+      body: { phone: '0712345678', quoteId }
+    });
+    assert.equal(prompt.body.instalment, 'balance');
+
+    await deliverCallback(await loadPayment(prompt.body.paymentId), { resultCode: 1032 });
+
+    const paymentStatus = await api.request('GET', `/payment-status/${prompt.body.paymentId}`, { token: customer.token });
+    assert.equal(paymentStatus.body.status, 'cancelled');
+
+    const balance = await api.request('GET', `/quotes/${quoteId}/balance`, { token: customer.token });
+    assert.equal(balance.body.outstanding, 2700);
+  });
+
+  it('takes nothing for a cancelled quote', async () => {
+    const quote = await api.request('POST', '/quotes', {
+      token: customer.token,
+      body: { items: [{ meshType: 'fixed', materialType: 'fiberglass', width: 1, height: 1, quantity: 1 }] }
+    });
+    const cancelled = await api.request('PATCH', `/admin/quotes/${quote.body.quoteId}`, {
+      token: admin.token,
+      body: { status: 'cancelled' }
+    });
+    assert.equal(cancelled.status, 200);
+
+    const { status, body } = await api.request('POST', '/mpesa/payment', {
+      token: customer.token,
+      body: { phone: '0712345678', quoteId: quote.body.quoteId }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.error.code, 'quote_not_payable');
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('public endpoints', () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('reports health', async () => {
+    const { status } = await api.request('GET', '/health');
+    assert.equal(status, 200);
+  });
+
+  it('tells served areas from the rest', async () => {
+    const served = await api.request('GET', '/service-check?location=Westlands%2C%20Nairobi');
+    assert.equal(served.status, 200);
+    assert.equal(served.body.served, true);
+    assert.equal(served.body.estimate, '24 hours');
+
+    const remote = await api.request('GET', '/service-check?location=Mombasa');
+    assert.equal(remote.body.served, false);
+
+    const blank = await api.request('GET', '/service-check');
+    assert.equal(blank.body.served, false);
+  });
+
+  it('publishes the current price list', async () => {
+    const { status, body } = await api.request('GET', '/pricing');
+    assert.equal(status, 200);
+    assert.equal(body.version, 1);
+    assert.ok(body.items.some(item => item.meshType === 'fixed' && item.materialType === 'fiberglass' && item.unitPrice === 1500));
+  });
+
+  it('stores contact messages', async () => {
+    const { status, body } = await api.request('POST', '/contact', {
+      body: { name: 'Otieno', email: 'otieno@example.com', message: 'Do you install in Kisumu?' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const stored = await api.pool.query('SELECT name, email, message FROM contact_messages');
+    assert.deepEqual(stored.rows, [{ name: 'Otieno', email: 'otieno@example.com', message: 'Do you install in Kisumu?' }]);
+  });
+
+  it('rejects incomplete contact messages', async () => {
+    const { status, body } = await api.request('POST', '/contact', { body: { name: 'Otieno', email: 'not-an-email' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+    assert.deepEqual(Object.keys(body.error.fields).sort(), ['email', 'message']);
+  });
+
+  it('rejects malformed JSON', async () => {
+    const { status, body } = await api.request('POST', '/contact', { body: '{"name":' });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'invalid_json');
+  });
+
+  it('answers unknown API routes with a JSON 404', async () => {
+    const { status, body } = await api.request('GET', '/no-such-route');
+    assert.equal(status, 404);
+    assert.equal(body.error.code, 'not_found');
+  });
+});
@@ -0,0 +1,324 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const ONE_WINDOW = { meshType: 'fixed', materialType: 'fiberglass', width: 1.2, height: 1.5, quantity: 2 };
+
+describe('quotes', () => {
+  let api;
+  let customer;
+  let otherCustomer;
+  let admin;
+
+  before(async () => {
+    api = await startTestApp();
+    customer = await api.createUser();
+    otherCustomer = await api.createUser();
+    admin = await api.createUser({ role: 'admin' });
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  describe('estimates with the default price list', () => {
+    it('prices materials by area and asks for half as deposit', async () => {
+      const { status, body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [ONE_WINDOW], installLocation: 'Westlands' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.currency, 'KES');
+      assert.equal(body.priceListVersion, 1);
+      assert.equal(body.items[0].area, 1.8);
+      assert.equal(body.items[0].unitPrice, 1500);
+      assert.equal(body.items[0].lineTotal, 5400);
+      assert.equal(body.total, 5400);
+      assert.equal(body.deposit, 2700);
+    });
+
+    it('still accepts the single-window form fields', async () => {
+      const { status, body } = await api.request('POST', '/quotes/estimate', {
+        body: { meshType: 'roller', materialType: 'polyester', windowWidth: 1, windowHeight: 2, windowCount: 1 }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.total, 6400);
+    });
+
+    it('names combinations the price list does not cover', async () => {
+      const { status, body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [{ ...ONE_WINDOW, meshType: 'curtain' }] }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'unpriced_items');
+      assert.equal(body.error.errors.length, 1);
+    });
+
+    it('rejects impossible dimensions', async () => {
+      const { status, body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [{ ...ONE_WINDOW, width: 0, quantity: 0 }] }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'validation_failed');
+      assert.ok(body.error.fields['items[0].width']);
+      assert.ok(body.error.fields['items[0].quantity']);
+    });
+  });
+
+  describe('customer quotes', () => {
+    let quoteId;
+
+    it('saves a quote with its payment plan', async () => {
+      const { status, body } = await api.request('POST', '/quotes', {
+        token: customer.token,
+        body: { items: [ONE_WINDOW, { ...ONE_WINDOW, meshType: 'magnetic', quantity: 1, label: 'Kitchen' }], installLocation: 'Karen' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.totalPrice, 5400 + 3240);
+      assert.equal(body.depositAmount, 4320);
+      assert.equal(body.items.length, 2);
+      quoteId = body.quoteId;
+    });
+
+    it('lists the quote for its owner only', async () => {
+      const own = await api.request('GET', '/my-quotes', { token: customer.token });
+      assert.equal(own.status, 200);
+      assert.deepEqual(own.body.map(quote => quote.id), [quoteId]);
+      assert.equal(own.body[0].items.length, 2);
+      assert.equal(own.body[0].status, 'pending');
+
+      const other = await api.request('GET', '/my-quotes', { token: otherCustomer.token });
+      assert.deepEqual(other.body, []);
+    });
+
+    it('shows the balance to the owner and to staff', async () => {
+      const own = await api.request('GET', `/quotes/${quoteId}/balance`, { token: customer.token });
+      assert.equal(own.status, 200);
+      assert.equal(own.body.planTotal, 8640);
+      assert.equal(own.body.outstanding, 8640);
+      assert.deepEqual(own.body.instalments.map(instalment => instalment.kind), ['deposit', 'balance']);
+
+      const staff = await api.request('GET', `/quotes/${quoteId}/balance`, { token: admin.token });
+      assert.equal(staff.status, 200);
+    });
+
+    it("keeps other customers out of someone else's quote", async () => {
+      for (const path of [`/quotes/${quoteId}/balance`, `/quotes/${quoteId}/history`]) {
+        const { status, body } = await api.request('GET', path, { token: otherCustomer.token });
+        assert.equal(status, 403, path);
+        assert.equal(body.error.code, 'forbidden');
+      }
+    });
+
+    it('answers 404 for a quote that does not exist', async () => {
+      const { status, body } = await api.request('GET', '/quotes/999999/balance', { token: admin.token });
+      assert.equal(status, 404);
+      assert.equal(body.error.code, 'not_found');
+    });
+
+    it('lets staff move the quote along and records who did it', async () => {
+      const surveyed = await api.request('PATCH', `/admin/quotes/${quoteId}`, {
+        token: admin.token,
+        body: { status: 'surveyed', note: 'Measured on site' }
+      });
+      assert.equal(surveyed.status, 200);
+      assert.equal(surveyed.body.status, 'surveyed');
+
+      const history = await api.request('GET', `/quotes/${quoteId}/history`, { token: customer.token });
+      assert.equal(history.status, 200);
+      assert.deepEqual(history.body.history.map(entry => entry.toStatus), ['pending', 'surveyed']);
+    });
+
+    it('refuses statuses only payments and bookings may set', async () => {
+      const { status, body } = await api.request('PATCH', `/admin/quotes/${quoteId}`, {
+        token: admin.token,
+        body: { status: 'deposit_paid' }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'system_status');
+    });
+
+    it('refuses moves the lifecycle does not allow', async () => {
+      const { status, body } = await api.request('PATCH', `/admin/quotes/${quoteId}`, {
+        token: admin.token,
+        body: { status: 'completed' }
+      });
+      assert.equal(status, 409);
+      assert.equal(body.error.code, 'invalid_transition');
+    });
+  });
+
+  describe('admin views', () => {
+    it('lists every quote with its customer', async () => {
+      const { status, body } = await api.request('GET', '/admin/quotes', { token: admin.token });
+      assert.equal(status, 200);
+      assert.equal(body.quotes.length, 1);
+      assert.equal(body.quotes[0].user_email, customer.email);
+      assert.equal(body.pagination.total, 1);
+    });
+
+    it('counts quotes, users and revenue', async () => {
+      const { status, body } = await api.request('GET', '/admin/stats', { token: admin.token });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { totalQuotes: 1, totalUsers: 3, totalRevenue: 0, pendingQuotes: 0 });
+    });
+  });
+
+  describe('managing your own quote', () => {
+    let owner;
+    let quoteId;
+
+    before(async () => {
+      owner = await api.createUser();
+      const { body } = await api.request('POST', '/quotes', {
+        token: owner.token,
+        body: { items: [ONE_WINDOW], installLocation: 'Karen' }
+      });
+      quoteId = body.quoteId;
+    });
+
+    it('shows the owner lines, history, payments, balance and what they may do', async () => {
+      const { status, body } = await api.request('GET', `/quotes/${quoteId}`, { token: owner.token });
+      assert.equal(status, 200);
+      assert.equal(body.id, quoteId);
+      assert.equal(body.items.length, 1);
+      assert.deepEqual(body.history.map(entry => entry.toStatus), ['pending']);
+      assert.deepEqual(body.payments, []);
+      assert.equal(body.balance.outstanding, 5400);
+      assert.deepEqual(body.actions, { update: true, cancel: true });
+
+      const staff = await api.request('GET', `/quotes/${quoteId}`, { token: admin.token });
+      assert.equal(staff.status, 200);
+    });
+
+    it("keeps other customers out of someone else's quote", async () => {
+      const requests = [
+        ['GET', `/quotes/${quoteId}`],
+        ['PUT', `/quotes/${quoteId}`, { items: [ONE_WINDOW] }],
+        ['POST', `/quotes/${quoteId}/cancel`, {}]
+      ];
+      for (const [method, path, body] of requests) {
+        const response = await api.request(method, path, { token: otherCustomer.token, body });
+        assert.equal(response.status, 403, `${method} ${path}`);
+      }
+
+      const missing = await api.request('GET', '/quotes/999999', { token: owner.token });
+      assert.equal(missing.status, 404);
+    });
+
+    it('reprices a pending quote and its payment plan', async () => {
+      const { status, body } = await api.request('PUT', `/quotes/${quoteId}`, {
+        token: owner.token,
+        body: { items: [{ ...ONE_WINDOW, quantity: 1, label: 'Bedroom' }], installLocation: 'Lavington' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.totalPrice, 2700);
+      assert.equal(body.depositAmount, 1350);
+
+      const detail = await api.request('GET', `/quotes/${quoteId}`, { token: owner.token });
+      assert.equal(detail.body.install_location, 'Lavington');
+      assert.deepEqual(detail.body.items.map(item => item.label), ['Bedroom']);
+      assert.equal(detail.body.balance.planTotal, 2700);
+      assert.deepEqual(detail.body.balance.instalments.map(instalment => instalment.amountDue), [1350, 1350]);
+    });
+
+    it('freezes the quote once a payment is under way', async () => {
+      const { rows: [payment] } = await api.pool.query(
+        `INSERT INTO payments (user_id, quote_id, amount, phone, status)
+         VALUES ($1, $2, 1350, '254700000000', 'initiated') RETURNING id`,
+        [owner.id, quoteId]
+      );
+
+      const update = await api.request('PUT', `/quotes/${quoteId}`, { token: owner.token, body: { items: [ONE_WINDOW] } });
+      assert.equal(update.status, 409);
+      assert.equal(update.body.error.code, 'quote_has_payments');
+
+      const cancel = await api.request('POST', `/quotes/${quoteId}/cancel`, { token: owner.token, body: {} });
+      assert.equal(cancel.status, 409);
+      assert.equal(cancel.body.error.code, 'quote_has_payments');
+
+      const detail = await api.request('GET', `/quotes/${quoteId}`, { token: owner.token });
+      assert.deepEqual(detail.body.payments.map(entry => entry.status), ['initiated']);
+      assert.deepEqual(detail.body.actions, { update: false, cancel: false });
+
+      await api.pool.query(`UPDATE payments SET status = 'failed' WHERE id = $1`, [payment.id]);
+    });
+
+    it('only lets pending quotes be changed', async () => {
+      await api.request('PATCH', `/admin/quotes/${quoteId}`, { token: admin.token, body: { status: 'surveyed' } });
+
+      const { status, body } = await api.request('PUT', `/quotes/${quoteId}`, { token: owner.token, body: { items: [ONE_WINDOW] } });
+      assert.equal(status, 409);
+      assert.equal(body.error.code, 'quote_not_editable');
+    });
+
+    it('cancels with a reason, tells the office and stays cancelled', async () => {
+      const { status, body } = await api.request('POST', `/quotes/${quoteId}/cancel`, {
+        token: owner.token,
+        body: { reason: 'Moving house' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.quote.status, 'cancelled');
+
+      const detail = await api.request('GET', `/quotes/${quoteId}`, { token: owner.token });
+      const lastChange = detail.body.history[detail.body.history.length - 1];
+      assert.equal(lastChange.toStatus, 'cancelled');
+      assert.equal(lastChange.note, 'Moving house');
+      assert.deepEqual(detail.body.actions, { update: false, cancel: false });
+
+      const { rows } = await api.pool.query(
+        `SELECT template FROM notification_outbox WHERE template = 'quote_cancelled_admin'`
+      );
+      assert.equal(rows.length, 1);
+
+      const again = await api.request('POST', `/quotes/${quoteId}/cancel`, { token: owner.token, body: {} });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error.code, 'quote_not_cancellable');
+    });
+  });
+
+  describe('a published price list with fees', () => {
+    before(async () => {
+      const { status } = await api.request('POST', '/admin/pricing', {
+        token: admin.token,
+        body: {
+          name: 'With fees',
+          items: [{ meshType: 'fixed', materialType: 'fiberglass', unitPrice: 2000 }],
+          fees: { installationFee: 500, transportFee: 1000, remoteTransportFee: 3000, vatRate: 0.16 }
+        }
+      });
+      assert.equal(status, 201);
+    });
+
+    const twoSquareMetres = { meshType: 'fixed', materialType: 'fiberglass', width: 1, height: 1, quantity: 2 };
+
+    it('adds installation, transport and VAT inside the service area', async () => {
+      const { body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [twoSquareMetres], installLocation: 'Karen' }
+      });
+      assert.equal(body.priceListVersion, 2);
+      assert.equal(body.materialsTotal, 4000);
+      assert.equal(body.installationTotal, 1000);
+      assert.deepEqual(body.transport, { fee: 1000, servedArea: true });
+      assert.equal(body.subtotal, 6000);
+      assert.equal(body.vat, 960);
+      assert.equal(body.total, 6960);
+      assert.equal(body.deposit, 3480);
+    });
+
+    it('charges the remote transport fee outside it', async () => {
+      const { body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [twoSquareMetres], installLocation: 'Kitengela' }
+      });
+      assert.deepEqual(body.transport, { fee: 3000, servedArea: false });
+      assert.equal(body.total, 9280);
+    });
+
+    it('no longer prices items the new list dropped', async () => {
+      const { status, body } = await api.request('POST', '/quotes/estimate', {
+        body: { items: [{ ...twoSquareMetres, meshType: 'roller' }] }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'unpriced_items');
+    });
+  });
+});
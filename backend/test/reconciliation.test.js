@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const reconciliation = require('../lib/reconciliation');
+const { startTestApp } = require('./helpers');
+
+const STATEMENT = [
+  'Receipt No.,Completion Time,Details,Transaction Status,Paid In',
+  'SAB1234567,2024-01-14 23:50:12,Pay Bill from 254712345678,Completed,"2,700.00"',
+  'SAB1234568,2024-01-16 00:05:40,Pay Bill from 254723456789,Completed,1500.00'
+].join('\n');
+
+describe('M-Pesa statements', () => {
+  it('covers the Nairobi days on the statement whatever the server time zone', () => {
+    const serverTimeZone = process.env.TZ;
+    try {
+      for (const timeZone of ['UTC', 'Africa/Nairobi', 'America/New_York']) {
+        process.env.TZ = timeZone;
+        const entries = reconciliation.parseStatement(STATEMENT);
+        assert.deepEqual(reconciliation.statementDateRange(entries), { from: '2024-01-14', to: '2024-01-16' });
+      }
+    } finally {
+      if (serverTimeZone === undefined) delete process.env.TZ;
+      else process.env.TZ = serverTimeZone;
+    }
+  });
+
+  it('has no range when no completion times parse', () => {
+    const entries = reconciliation.parseStatement('Receipt No.,Paid In\nSAB1234567,100');
+    assert.equal(reconciliation.statementDateRange(entries), null);
+  });
+});
+
+describe('statement upload', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestApp();
+    admin = await api.createUser({ role: 'admin' });
+  });
+  after(async () => {
+    await api.close();
+  });
+
+  it('lists completed payments from the statement\'s Nairobi days that it does not mention', async () => {
+    const insertPayment = async (code, createdAt) => (await api.pool.query(
+      `INSERT INTO payments (user_id, amount, phone, status, mpesa_code, created_at)
+       VALUES ($1, 1500, '254723456789', 'completed', $2, $3::timestamptz) RETURNING id`,
+      [admin.id, code, createdAt]
+    )).rows[0].id;
+    await insertPayment('SAB1234568', '2024-01-15T21:05:40Z');
+    // 23:00 on the 15th and 00:30 on the 17th in Nairobi
+    const missing = await insertPayment('SAB7654321', '2024-01-15T20:00:00Z');
+    await insertPayment('SAB7654322', '2024-01-16T21:30:00Z');
+
+    const { status, body } = await api.request('POST', '/admin/mpesa/statement', {
+      token: admin.token,
+      headers: { 'Content-Type': 'text/csv' },
+      body: STATEMENT
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.period, { from: '2024-01-14', to: '2024-01-16' });
+    assert.deepEqual(body.matched.map(pair => pair.receipt), ['SAB1234568']);
+    assert.deepEqual(body.unmatchedPayments.map(payment => payment.id), [missing]);
+  });
+});
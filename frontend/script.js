@@ -27,6 +27,7 @@ function initApp() {
         initReviews();
         initBeforeAfterSlider();
         initDesignExplorer();
+        initQuoteConfigurators();
         initServiceMap();
         initFormValidation();
         initMpesaIntegration();
@@ -159,6 +160,78 @@ function closeModal(modalId) {
     }
 }
 
+// Session storage: a short-lived access token plus a refresh token that rotates on every use
+function storeSession(data) {
+    localStorage.setItem('expertPolyhomes_token', data.token);
+    localStorage.setItem('expertPolyhomes_refreshToken', data.refreshToken);
+    if (data.user) {
+        localStorage.setItem('expertPolyhomes_user', JSON.stringify(data.user));
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem('expertPolyhomes_token');
+    localStorage.removeItem('expertPolyhomes_refreshToken');
+    localStorage.removeItem('expertPolyhomes_user');
+}
+
+// Concurrent requests that hit an expired token share one refresh
+let refreshInFlight = null;
+
+function refreshSession() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('expertPolyhomes_refreshToken');
+            if (!refreshToken) return false;
+            
+            try {
+                const response = await fetch(`${API_BASE_URL}/token/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const data = await response.json();
+                
+                if (!data.success) return false;
+                storeSession(data);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+// fetch() with the access token attached, renewing it once if it has expired
+async function authFetch(url, options = {}) {
+    const withToken = () => fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${localStorage.getItem('expertPolyhomes_token')}`
+        }
+    });
+    
+    let response = await withToken();
+    if (response.status === 401) {
+        if (await refreshSession()) {
+            response = await withToken();
+        } else {
+            clearSession();
+            updateUserGreeting();
+        }
+    }
+    return response;
+}
+
+// API errors arrive as { error: { code, message, fields } }
+function errorMessage(data, fallback) {
+    return (data && data.error && data.error.message) || fallback;
+}
+
 // Enhanced Authentication System
 function initUserAuth() {
     const signInForm = document.getElementById('signInForm');
@@ -168,6 +241,9 @@ function initUserAuth() {
     // Check authentication state on load
     checkAuthState();
     
+    // Forgot password, reset and email verification screens inside the sign-in modal
+    initAuthScreens();
+    
     // Sign In
     if (signInForm) {
         signInForm.addEventListener('submit', async function(e) {
@@ -185,15 +261,20 @@ function initUserAuth() {
                 
                 const data = await response.json();
                 
-                if (data.success) {
-                    localStorage.setItem('expertPolyhomes_token', data.token);
-                    localStorage.setItem('expertPolyhomes_user', JSON.stringify(data.user));
+                if (data.success && data.user.mustChangePassword) {
+                    // First sign-in with a temporary password: nothing else works until it changes
+                    storeSession(data);
+                    updateUserGreeting();
+                    document.getElementById('changeCurrentPassword').value = password;
+                    showAuthScreen('changePassword');
+                } else if (data.success) {
+                    storeSession(data);
                     updateUserGreeting();
                     closeModal('signInModal');
                     showNotification('Successfully signed in!', 'success');
                     loadUserDashboard();
                 } else {
-                    showNotification(data.error || 'Invalid email or password', 'error');
+                    showNotification(errorMessage(data, 'Invalid email or password'), 'error');
                 }
             } catch (error) {
                 showNotification('Login failed. Please try again.', 'error');
@@ -221,14 +302,13 @@ function initUserAuth() {
                 const data = await response.json();
                 
                 if (data.success) {
-                    localStorage.setItem('expertPolyhomes_token', data.token);
-                    localStorage.setItem('expertPolyhomes_user', JSON.stringify(data.user));
+                    storeSession(data);
                     updateUserGreeting();
                     closeModal('registerModal');
                     showNotification('Account created successfully!', 'success');
                     loadUserDashboard();
                 } else {
-                    showNotification(data.error || 'Registration failed', 'error');
+                    showNotification(errorMessage(data, 'Registration failed'), 'error');
                 }
             } catch (error) {
                 showNotification('Registration failed. Please try again.', 'error');
@@ -238,10 +318,17 @@ function initUserAuth() {
     
     // Logout
     if (logoutLink) {
-        logoutLink.addEventListener('click', function(e) {
+        logoutLink.addEventListener('click', async function(e) {
             e.preventDefault();
-            localStorage.removeItem('expertPolyhomes_token');
-            localStorage.removeItem('expertPolyhomes_user');
+            
+            // Revoke the session server-side so the tokens stop working everywhere
+            try {
+                await authFetch(`${API_BASE_URL}/logout`, { method: 'POST' });
+            } catch (error) {
+                console.error('Logout request failed:', error);
+            }
+            
+            clearSession();
             updateUserGreeting();
             showNotification('Successfully signed out', 'info');
             
@@ -253,20 +340,372 @@ function initUserAuth() {
     }
 }
 
+// Sign-in modal screens; each one is a form or panel tagged with data-screen
+const AUTH_SCREENS = {
+    signIn: { title: 'Sign In', subtitle: 'Access your dashboard and track quotes.' },
+    forgot: { title: 'Forgot Password', subtitle: "Enter your email and we'll send you a reset link." },
+    reset: { title: 'Choose a New Password', subtitle: 'The reset link works once and expires after an hour.' },
+    verify: { title: 'Email Verification', subtitle: 'Confirming your email address...' },
+    changePassword: { title: 'Choose a New Password', subtitle: 'Your account needs a new password before you continue.' },
+    phone: { title: 'Sign In with Your Phone', subtitle: "We'll text you a 6-digit code. New numbers get an account automatically." }
+};
+
+function initAuthScreens() {
+    const signInModal = document.getElementById('signInModal');
+    const signInForm = document.getElementById('signInForm');
+    if (!signInModal || !signInForm) return;
+    
+    signInForm.dataset.screen = 'signIn';
+    signInForm.insertAdjacentHTML('afterend', `
+        <form id="forgotPasswordForm" data-screen="forgot" aria-label="Request a password reset link" style="display: none;">
+            <div class="input-group">
+                <label for="forgotEmail">Email</label>
+                <input type="email" id="forgotEmail" placeholder="e.g., user@example.com" required aria-required="true">
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Send Reset Link</button>
+                <p><a href="#" class="back-to-sign-in">Back to Sign In</a></p>
+            </div>
+        </form>
+        <form id="resetPasswordForm" data-screen="reset" aria-label="Choose a new password" style="display: none;">
+            <div class="input-group">
+                <label for="resetPassword">New Password</label>
+                <input type="password" id="resetPassword" placeholder="At least 8 characters" minlength="8" required aria-required="true">
+            </div>
+            <div class="input-group">
+                <label for="resetPasswordConfirm">Confirm Password</label>
+                <input type="password" id="resetPasswordConfirm" placeholder="Repeat the new password" minlength="8" required aria-required="true">
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Update Password</button>
+                <p><a href="#" class="back-to-sign-in">Back to Sign In</a></p>
+            </div>
+        </form>
+        <form id="phoneSignInForm" data-screen="phone" aria-label="Sign in with a code sent by SMS" style="display: none;">
+            <div class="input-group">
+                <label for="otpPhone">Phone Number</label>
+                <input type="tel" id="otpPhone" placeholder="e.g., 0712345678" required aria-required="true">
+            </div>
+            <div class="input-group otp-code-step" style="display: none;">
+                <label for="otpCode">Code</label>
+                <input type="text" id="otpCode" inputmode="numeric" pattern="[0-9]{6}" maxlength="6" placeholder="6-digit code" autocomplete="one-time-code">
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Send Code</button>
+                <p class="otp-code-step" style="display: none;"><a href="#" id="resendOtpCode">Send a new code</a></p>
+                <p><a href="#" class="back-to-sign-in">Back to Sign In</a></p>
+            </div>
+        </form>
+        <form id="changePasswordForm" data-screen="changePassword" aria-label="Choose a new password" style="display: none;">
+            <div class="input-group">
+                <label for="changeCurrentPassword">Current Password</label>
+                <input type="password" id="changeCurrentPassword" required aria-required="true">
+            </div>
+            <div class="input-group">
+                <label for="changeNewPassword">New Password</label>
+                <input type="password" id="changeNewPassword" placeholder="At least 8 characters" minlength="8" required aria-required="true">
+            </div>
+            <div class="input-group">
+                <label for="changeNewPasswordConfirm">Confirm Password</label>
+                <input type="password" id="changeNewPasswordConfirm" placeholder="Repeat the new password" minlength="8" required aria-required="true">
+            </div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Update Password</button>
+            </div>
+        </form>
+        <div id="verifyEmailScreen" data-screen="verify" style="display: none;">
+            <p id="verifyEmailMessage"></p>
+            <div class="form-actions">
+                <button type="button" class="btn-primary back-to-sign-in">Continue</button>
+            </div>
+        </div>
+    `);
+    
+    const forgotLink = signInModal.querySelector('.forgot-password');
+    if (forgotLink) {
+        forgotLink.addEventListener('click', function(e) {
+            e.preventDefault();
+            showAuthScreen('forgot');
+        });
+    }
+    
+    const phoneLink = signInModal.querySelector('.phone-sign-in');
+    if (phoneLink) {
+        phoneLink.addEventListener('click', function(e) {
+            e.preventDefault();
+            showPhoneSignInStep(false);
+            showAuthScreen('phone');
+        });
+    }
+    
+    signInModal.querySelectorAll('.back-to-sign-in').forEach(link => {
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            showAuthScreen('signIn');
+        });
+    });
+    
+    // The header link always opens the plain sign-in screen
+    const signInLink = document.getElementById('signInLink');
+    if (signInLink) {
+        signInLink.addEventListener('click', () => showAuthScreen('signIn'));
+    }
+    
+    document.getElementById('forgotPasswordForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const email = document.getElementById('forgotEmail').value;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/password/forgot`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                showNotification(data.message, 'success');
+                showAuthScreen('signIn');
+            } else {
+                showNotification(errorMessage(data, 'Could not send a reset link'), 'error');
+            }
+        } catch (error) {
+            showNotification('Could not send a reset link. Please try again.', 'error');
+        }
+    });
+    
+    document.getElementById('resetPasswordForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const password = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+        
+        if (password !== confirmPassword) {
+            showNotification('The passwords do not match', 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/password/reset`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: this.dataset.token, password })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.reset();
+                showNotification(data.message, 'success');
+                showAuthScreen('signIn');
+            } else {
+                showNotification(errorMessage(data, 'Could not reset your password'), 'error');
+            }
+        } catch (error) {
+            showNotification('Could not reset your password. Please try again.', 'error');
+        }
+    });
+    
+    document.getElementById('changePasswordForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const newPassword = document.getElementById('changeNewPassword').value;
+        if (newPassword !== document.getElementById('changeNewPasswordConfirm').value) {
+            showNotification('The passwords do not match', 'error');
+            return;
+        }
+        
+        try {
+            const response = await authFetch(`${API_BASE_URL}/password/change`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    currentPassword: document.getElementById('changeCurrentPassword').value,
+                    newPassword
+                })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.reset();
+                const user = JSON.parse(localStorage.getItem('expertPolyhomes_user'));
+                localStorage.setItem('expertPolyhomes_user', JSON.stringify({ ...user, mustChangePassword: false }));
+                closeModal('signInModal');
+                showAuthScreen('signIn');
+                showNotification(data.message, 'success');
+                loadUserDashboard();
+            } else {
+                showNotification(errorMessage(data, 'Could not update your password'), 'error');
+            }
+        } catch (error) {
+            showNotification('Could not update your password. Please try again.', 'error');
+        }
+    });
+    
+    document.getElementById('phoneSignInForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const phone = document.getElementById('otpPhone').value;
+        const codeInput = document.getElementById('otpCode');
+        
+        if (!codeInput.required) {
+            requestOtpCode(phone);
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/auth/otp/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone, code: codeInput.value })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.reset();
+                showPhoneSignInStep(false);
+                storeSession(data);
+                updateUserGreeting();
+                closeModal('signInModal');
+                showAuthScreen('signIn');
+                showNotification('Successfully signed in!', 'success');
+                loadUserDashboard();
+            } else {
+                showNotification(errorMessage(data, 'Could not verify the code'), 'error');
+            }
+        } catch (error) {
+            showNotification('Could not verify the code. Please try again.', 'error');
+        }
+    });
+    
+    document.getElementById('resendOtpCode').addEventListener('click', function(e) {
+        e.preventDefault();
+        requestOtpCode(document.getElementById('otpPhone').value);
+    });
+    
+    handleAuthLinks();
+}
+
+// The phone screen asks for the number first, then for the code we texted
+function showPhoneSignInStep(codeSent) {
+    const form = document.getElementById('phoneSignInForm');
+    form.querySelectorAll('.otp-code-step').forEach(element => {
+        element.style.display = codeSent ? '' : 'none';
+    });
+    document.getElementById('otpCode').required = codeSent;
+    document.getElementById('otpPhone').readOnly = codeSent;
+    form.querySelector('button[type="submit"]').textContent = codeSent ? 'Sign In' : 'Send Code';
+}
+
+async function requestOtpCode(phone) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/otp/request`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showPhoneSignInStep(true);
+            document.getElementById('otpCode').focus();
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(errorMessage(data, 'Could not send a code'), 'error');
+        }
+    } catch (error) {
+        showNotification('Could not send a code. Please try again.', 'error');
+    }
+}
+
+function showAuthScreen(screen) {
+    const signInModal = document.getElementById('signInModal');
+    if (!signInModal) return;
+    
+    signInModal.querySelectorAll('[data-screen]').forEach(element => {
+        element.style.display = element.dataset.screen === screen ? '' : 'none';
+    });
+    
+    const { title, subtitle } = AUTH_SCREENS[screen];
+    signInModal.querySelector('.modal-header h2').textContent = title;
+    signInModal.querySelector('.modal-header p').textContent = subtitle;
+}
+
+// Links in account emails land on the site with ?reset=<token> or ?verify=<token>
+function handleAuthLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('reset');
+    const verifyToken = params.get('verify');
+    if (!resetToken && !verifyToken) return;
+    
+    // Keep the single-use token out of the address bar and browser history
+    window.history.replaceState({}, document.title, window.location.pathname + window.location.hash);
+    
+    if (resetToken) {
+        document.getElementById('resetPasswordForm').dataset.token = resetToken;
+        showAuthScreen('reset');
+        openModal('signInModal');
+    } else {
+        showAuthScreen('verify');
+        openModal('signInModal');
+        verifyEmailAddress(verifyToken);
+    }
+}
+
+async function verifyEmailAddress(token) {
+    const message = document.getElementById('verifyEmailMessage');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/verify-email/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            message.textContent = 'Thank you! Your email address is confirmed.';
+            
+            const user = JSON.parse(localStorage.getItem('expertPolyhomes_user'));
+            if (user) {
+                localStorage.setItem('expertPolyhomes_user', JSON.stringify({ ...user, emailVerified: true }));
+                loadUserDashboard();
+            }
+        } else {
+            message.textContent = errorMessage(data, 'This verification link is invalid or has expired.');
+        }
+    } catch (error) {
+        message.textContent = 'We could not confirm your email right now. Please try the link again later.';
+    }
+}
+
+// Ask for a new verification link (from the dashboard)
+async function resendVerificationEmail() {
+    try {
+        const response = await authFetch(`${API_BASE_URL}/verify-email/resend`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        showNotification(data.success ? data.message : errorMessage(data, 'Something went wrong. Please try again.'), data.success ? 'success' : 'error');
+    } catch (error) {
+        showNotification('Could not send the verification email. Please try again.', 'error');
+    }
+}
+
 // Check authentication state
 function checkAuthState() {
     const token = localStorage.getItem('expertPolyhomes_token');
     if (token) {
-        verifyToken(token);
+        verifyToken();
     }
 }
 
 // Verify token with backend
-async function verifyToken(token) {
+async function verifyToken() {
     try {
-        const response = await fetch(`${API_BASE_URL}/verify-token`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_BASE_URL}/verify-token`);
         
         if (!response.ok) {
             throw new Error('Token invalid');
@@ -275,8 +714,7 @@ async function verifyToken(token) {
         updateUserGreeting();
         loadUserDashboard();
     } catch (error) {
-        localStorage.removeItem('expertPolyhomes_token');
-        localStorage.removeItem('expertPolyhomes_user');
+        clearSession();
     }
 }
 
@@ -297,8 +735,8 @@ function updateUserGreeting() {
         if (dashboardLink) dashboardLink.style.display = 'inline';
         if (logoutLink) logoutLink.style.display = 'inline';
         
-        // Show admin link if user is admin
-        if (adminLink && user.role === 'admin') {
+        // Staff roles (sales, technician, finance, admin) get the back-office link
+        if (adminLink && user.role && user.role !== 'user') {
             adminLink.style.display = 'inline';
         }
     } else {
@@ -329,12 +767,17 @@ function loadUserDashboard() {
         return;
     }
     
-    fetchUserQuotes(token)
+    fetchUserQuotes()
         .then(quotes => {
             dashboardSection.innerHTML = `
                 <div class="dashboard-header">
                     <h2>Welcome, ${user.name}!</h2>
                     <p>Manage your quotes and track orders</p>
+                    ${user.email && user.emailVerified === false ? `
+                        <p class="verify-email-notice">
+                            Please confirm your email address.
+                            <a href="#" onclick="resendVerificationEmail(); return false;">Resend the link</a>
+                        </p>` : ''}
                 </div>
                 
                 <div class="dashboard-stats">
@@ -347,11 +790,11 @@ function loadUserDashboard() {
                         <p>Completed</p>
                     </div>
                     <div class="stat-card">
-                        <h3>${quotes.filter(q => q.status === 'paid').length}</h3>
-                        <p>Paid</p>
+                        <h3>${quotes.filter(q => ['deposit_paid', 'scheduled', 'installed'].includes(q.status)).length}</h3>
+                        <p>In Progress</p>
                     </div>
                     <div class="stat-card">
-                        <h3>KES ${quotes.reduce((sum, q) => sum + (q.totalPrice || 0), 0).toLocaleString()}</h3>
+                        <h3>KES ${quotes.reduce((sum, q) => sum + parseFloat(q.total_price), 0).toLocaleString()}</h3>
                         <p>Total Value</p>
                     </div>
                 </div>
@@ -360,19 +803,67 @@ function loadUserDashboard() {
                     <h3>Your Quotes</h3>
                     ${renderQuotesList(quotes)}
                 </div>
+                
+                <div class="sessions-list">
+                    <h3>Signed-in Devices</h3>
+                    <div id="activeSessions"><p>Loading...</p></div>
+                </div>
             `;
+            loadActiveSessions();
         })
         .catch(error => {
             dashboardSection.innerHTML = '<p>Error loading dashboard. Please try again.</p>';
         });
 }
 
+// Devices the user is signed in on, each of which can be signed out
+async function loadActiveSessions() {
+    const container = document.getElementById('activeSessions');
+    if (!container) return;
+    
+    try {
+        const response = await authFetch(`${API_BASE_URL}/sessions`);
+        if (!response.ok) throw new Error('Failed to fetch sessions');
+        
+        const activeSessions = await response.json();
+        container.innerHTML = activeSessions.map(session => `
+            <div class="session-item">
+                <p>
+                    <strong>${describeUserAgent(session.userAgent)}</strong>
+                    ${session.current ? '<span class="status-badge">This device</span>' : ''}
+                    <br><small>Last active ${new Date(session.lastUsedAt).toLocaleString()}</small>
+                </p>
+                ${session.current ? '' : `<button class="btn-secondary" onclick="revokeSession(${session.id})">Sign out</button>`}
+            </div>
+        `).join('');
+    } catch (error) {
+        container.innerHTML = '<p>Could not load your devices.</p>';
+    }
+}
+
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name)) || 'Browser';
+    const platform = ['Android', 'iPhone', 'Windows', 'Mac', 'Linux'].find(name => userAgent.includes(name)) || 'unknown system';
+    return `${browser === 'Edg' ? 'Edge' : browser} on ${platform}`;
+}
+
+async function revokeSession(sessionId) {
+    try {
+        const response = await authFetch(`${API_BASE_URL}/sessions/${sessionId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        showNotification(data.success ? data.message : errorMessage(data, 'Something went wrong. Please try again.'), data.success ? 'success' : 'error');
+        loadActiveSessions();
+    } catch (error) {
+        showNotification('Could not sign out that device. Please try again.', 'error');
+    }
+}
+
 // Fetch user quotes from backend
-async function fetchUserQuotes(token) {
+async function fetchUserQuotes() {
     try {
-        const response = await fetch(`${API_BASE_URL}/my-quotes`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_BASE_URL}/my-quotes`);
         
         if (!response.ok) throw new Error('Failed to fetch quotes');
         
@@ -394,26 +885,33 @@ function renderQuotesList(quotes) {
             ${quotes.map(quote => `
                 <div class="quote-card" data-status="${quote.status}">
                     <div class="quote-header">
-                        <h4>Quote #${quote._id ? quote._id.slice(-6) : 'N/A'}</h4>
-                        <span class="status-badge ${quote.status}">${quote.status}</span>
+                        <h4>Quote #${quote.id}</h4>
+                        <span class="status-badge ${quote.status}">${formatQuoteStatus(quote.status)}</span>
                     </div>
                     <div class="quote-details">
-                        <p><strong>Dimensions:</strong> ${quote.windowWidth}m × ${quote.windowHeight}m</p>
-                        <p><strong>Type:</strong> ${quote.meshType} - ${quote.materialType}</p>
-                        <p><strong>Windows:</strong> ${quote.windowCount}</p>
-                        <p><strong>Total:</strong> KES ${quote.totalPrice?.toLocaleString() || 'Calculating...'}</p>
-                        <p><strong>Date:</strong> ${new Date(quote.createdAt).toLocaleDateString()}</p>
+                        ${quote.items.map(item => `
+                            <p>
+                                ${item.quantity} × ${escapeHtml(item.meshType)} (${escapeHtml(item.materialType)}),
+                                ${item.width}m × ${item.height}m${item.label ? ` - ${escapeHtml(item.label)}` : ''}:
+                                KES ${item.lineTotal.toLocaleString()}
+                            </p>
+                        `).join('')}
+                        <p><strong>Total:</strong> KES ${parseFloat(quote.total_price).toLocaleString()}</p>
+                        <p><strong>Date:</strong> ${new Date(quote.created_at).toLocaleDateString()}</p>
                     </div>
                     <div class="quote-actions">
-                        ${quote.status === 'pending' || quote.status === 'confirmed' ? 
-                            `<button class="btn-primary" onclick="initiatePayment('${quote._id}', ${quote.totalPrice})">
+                        ${quote.status === 'confirmed' ? 
+                            `<button class="btn-primary" onclick="openPaymentModal(${quote.id})">
                                 Pay Deposit
                             </button>` : 
                             ''
                         }
-                        <button class="btn-secondary" onclick="viewQuoteDetails('${quote._id}')">
+                        <button class="btn-secondary" onclick="viewQuoteDetails(${quote.id})">
                             View Details
                         </button>
+                        <button class="btn-secondary" onclick="downloadQuotation(${quote.id})">
+                            Download Quotation
+                        </button>
                     </div>
                 </div>
             `).join('')}
@@ -421,10 +919,154 @@ function renderQuotesList(quotes) {
     `;
 }
 
-// View quote details
-function viewQuoteDetails(quoteId) {
-    showNotification(`Quote details for ${quoteId}`, 'info');
-    // Implement detailed quote view
+// PDFs open in a new tab so they can be printed or saved
+async function openPdf(path, failureMessage) {
+    try {
+        const response = await authFetch(`${API_BASE_URL}${path}`);
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            showNotification(errorMessage(data, failureMessage), 'error');
+            return;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        showNotification(failureMessage, 'error');
+    }
+}
+
+function downloadQuotation(quoteId) {
+    openPdf(`/quotes/${quoteId}/pdf`, 'Could not prepare the quotation. Please try again.');
+}
+
+function downloadReceipt(paymentId) {
+    openPdf(`/payments/${paymentId}/receipt.pdf`, 'Could not prepare the receipt. Please try again.');
+}
+
+const formatQuoteStatus = (status) => status.replace('_', ' ');
+
+// View quote details: lines, balance, payments and status history
+async function viewQuoteDetails(quoteId) {
+    const detailBody = document.getElementById('quoteDetailBody');
+    document.getElementById('quoteDetailModalTitle').textContent = `Quote #${quoteId}`;
+    document.getElementById('quoteDetailStatus').textContent = '';
+    detailBody.innerHTML = '<p>Loading...</p>';
+    openModal('quoteDetailModal');
+    
+    try {
+        const response = await authFetch(`${API_BASE_URL}/quotes/${quoteId}`);
+        const quote = await response.json();
+        
+        if (!response.ok) {
+            detailBody.innerHTML = `<p>${escapeHtml(errorMessage(quote, 'Could not load this quote.'))}</p>`;
+            return;
+        }
+        
+        renderQuoteDetails(quote);
+    } catch (error) {
+        detailBody.innerHTML = '<p>Could not load this quote. Please try again.</p>';
+    }
+}
+
+function renderQuoteDetails(quote) {
+    const { balance } = quote;
+    // Payments open once the surveyed quote is confirmed and close at installation
+    const next = ['confirmed', 'deposit_paid', 'scheduled'].includes(quote.status) ? balance.nextInstalment : null;
+    
+    document.getElementById('quoteDetailStatus').innerHTML = `
+        <span class="status-badge ${quote.status}">${formatQuoteStatus(quote.status)}</span>
+        ${quote.install_location ? ` - ${escapeHtml(quote.install_location)}` : ''}
+    `;
+    
+    document.getElementById('quoteDetailBody').innerHTML = `
+        <h3>Items</h3>
+        <table class="quote-detail-table">
+            <thead>
+                <tr><th>Item</th><th>Size</th><th>Qty</th><th>Amount</th></tr>
+            </thead>
+            <tbody>
+                ${quote.items.map(item => `
+                    <tr>
+                        <td>
+                            ${item.label ? `${escapeHtml(item.label)}<br>` : ''}
+                            <small>${escapeHtml(item.meshType)} - ${escapeHtml(item.materialType)}</small>
+                        </td>
+                        <td>${item.width}m × ${item.height}m</td>
+                        <td>${item.quantity}</td>
+                        <td>KES ${item.lineTotal.toLocaleString()}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <h3>Balance</h3>
+        <p><strong>Total:</strong> KES ${balance.planTotal.toLocaleString()}</p>
+        <p><strong>Paid:</strong> KES ${balance.totalPaid.toLocaleString()}</p>
+        <p><strong>Balance due:</strong> KES ${balance.outstanding.toLocaleString()}</p>
+        
+        <h3>Payments</h3>
+        ${quote.payments.length === 0 ? '<p>No payments yet.</p>' : `
+            <ul class="quote-detail-list">
+                ${quote.payments.map(payment => `
+                    <li>
+                        KES ${(payment.amountReceived !== null ? payment.amountReceived : payment.amount).toLocaleString()}
+                        ${payment.instalment ? `(${payment.instalment})` : ''} - ${payment.status}
+                        ${payment.mpesaCode ? `, M-Pesa ${escapeHtml(payment.mpesaCode)}` : ''}
+                        ${payment.status === 'completed' ? `<a href="#" onclick="downloadReceipt(${payment.id}); return false;">Receipt</a>` : ''}
+                        <br><small>${new Date(payment.createdAt).toLocaleString()}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        `}
+        
+        <h3>Status History</h3>
+        <ul class="quote-detail-list">
+            ${quote.history.map(entry => `
+                <li>
+                    <strong>${formatQuoteStatus(entry.toStatus)}</strong>
+                    <br><small>${new Date(entry.createdAt).toLocaleString()}</small>
+                    ${entry.note ? `<br><small>${escapeHtml(entry.note)}</small>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+        
+        <div class="form-actions">
+            ${quote.actions.cancel ? `<button type="button" class="btn-outline" onclick="cancelQuote(${quote.id})">Cancel Quote</button>` : ''}
+            <button type="button" class="btn-secondary" onclick="downloadQuotation(${quote.id})">Download Quotation</button>
+            ${next ? `
+                <button type="button" class="btn-primary" onclick="closeModal('quoteDetailModal'); openPaymentModal(${quote.id})">
+                    Pay ${next.kind === 'deposit' ? 'Deposit' : 'Balance'}
+                </button>` : ''}
+        </div>
+    `;
+}
+
+async function cancelQuote(quoteId) {
+    const reason = prompt('Cancel this quote? You can tell us why (optional).', '');
+    if (reason === null) return;
+    
+    try {
+        const response = await authFetch(`${API_BASE_URL}/quotes/${quoteId}/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: reason.trim() || undefined })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showNotification(data.message, 'success');
+            viewQuoteDetails(quoteId);
+            loadUserDashboard();
+        } else {
+            showNotification(errorMessage(data, 'Could not cancel this quote'), 'error');
+        }
+    } catch (error) {
+        showNotification('Could not cancel this quote. Please try again.', 'error');
+    }
 }
 
 // AR Measurement functionality
@@ -448,6 +1090,45 @@ function initQuoteGenerator() {
 
     let currentStep = 1;
     let quoteData = {};
+    let priceItems = [];
+
+    // Rates come from the server's current price list
+    const meshTypeSelect = document.getElementById('meshType');
+    const materialTypeSelect = document.getElementById('materialType');
+
+    loadPricing().then(items => {
+        priceItems = items;
+        updatePriceHint();
+    });
+
+    if (meshTypeSelect) meshTypeSelect.addEventListener('change', updatePriceHint);
+    if (materialTypeSelect) materialTypeSelect.addEventListener('change', updatePriceHint);
+
+    // Live total from the server's estimate as the form is filled in
+    if (quoteForm) {
+        const debouncedEstimate = debounce(updateLiveEstimate, 400);
+        quoteForm.addEventListener('input', debouncedEstimate);
+        quoteForm.addEventListener('change', debouncedEstimate);
+    }
+
+    function updatePriceHint() {
+        const priceHint = document.getElementById('priceHint');
+        if (!priceHint || !meshTypeSelect || !materialTypeSelect || priceItems.length === 0) return;
+
+        // Only offer materials the price list sells for the chosen net type
+        Array.from(materialTypeSelect.options).forEach(option => {
+            option.disabled = !priceItems.some(item =>
+                item.meshType === meshTypeSelect.value && item.materialType === option.value
+            );
+        });
+
+        const item = priceItems.find(candidate =>
+            candidate.meshType === meshTypeSelect.value && candidate.materialType === materialTypeSelect.value
+        );
+        priceHint.textContent = item
+            ? `KES ${item.unitPrice.toLocaleString()} per m²`
+            : 'This combination is not available';
+    }
 
     // Step navigation
     nextButtons.forEach(button => {
@@ -496,22 +1177,25 @@ function initQuoteGenerator() {
                 return;
             }
             
+            // Items added from the product cards are quoted together with this form's window
             const formData = {
-                windowWidth: parseFloat(document.getElementById('windowWidth').value) || 1,
-                windowHeight: parseFloat(document.getElementById('windowHeight').value) || 1,
-                windowCount: parseInt(document.getElementById('windowCount').value) || 1,
-                meshType: document.getElementById('meshType').value,
-                materialType: document.getElementById('materialType').value,
+                items: [
+                    ...getQuoteBasket(),
+                    {
+                        width: parseFloat(document.getElementById('windowWidth').value) || 1,
+                        height: parseFloat(document.getElementById('windowHeight').value) || 1,
+                        quantity: parseInt(document.getElementById('windowCount').value) || 1,
+                        meshType: document.getElementById('meshType').value,
+                        materialType: document.getElementById('materialType').value
+                    }
+                ],
                 installLocation: document.getElementById('installLocation').value
             };
             
             try {
-                const response = await fetch(`${API_BASE_URL}/quotes`, {
+                const response = await authFetch(`${API_BASE_URL}/quotes`, {
                     method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${token}`
-                    },
+                    headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(formData)
                 });
                 
@@ -520,11 +1204,17 @@ function initQuoteGenerator() {
                 if (data.success) {
                     showNotification('Quote submitted successfully!', 'success');
                     closeModal('quoteModal');
+                    localStorage.removeItem('expertPolyhomes_quoteItems');
                     
                     // Refresh dashboard if on dashboard page
                     loadUserDashboard();
+
+                    // The deposit is collected once the quote has been surveyed and confirmed
+                    if (e.submitter && e.submitter.id === 'mpesapay') {
+                        showNotification('We will survey and confirm your quote before the deposit is due.', 'info');
+                    }
                 } else {
-                    showNotification(data.error || 'Quote submission failed', 'error');
+                    showNotification(errorMessage(data, 'Quote submission failed'), 'error');
                 }
             } catch (error) {
                 showNotification('Failed to submit quote. Please try again.', 'error');
@@ -541,6 +1231,62 @@ function initQuoteGenerator() {
         // Show new step
         document.querySelector(`.form-step[data-step="${step}"]`).classList.add('active');
         currentStep = step;
+        updateLiveEstimate();
+    }
+
+    async function updateLiveEstimate() {
+        const liveEstimate = document.getElementById('liveEstimate');
+        if (!liveEstimate) return;
+
+        const width = parseFloat(document.getElementById('windowWidth').value);
+        const height = parseFloat(document.getElementById('windowHeight').value);
+        if (!(width > 0) || !(height > 0)) {
+            liveEstimate.innerHTML = '';
+            return;
+        }
+
+        const estimateRequest = {
+            items: [
+                ...getQuoteBasket(),
+                {
+                    width,
+                    height,
+                    quantity: parseInt(document.getElementById('windowCount').value) || 1,
+                    meshType: document.getElementById('meshType').value,
+                    materialType: document.getElementById('materialType').value
+                }
+            ],
+            installLocation: document.getElementById('installLocation').value
+        };
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/quotes/estimate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(estimateRequest)
+            });
+            const estimate = await response.json();
+
+            if (!response.ok) {
+                liveEstimate.innerHTML = `<p class="estimate-error">${escapeHtml(errorMessage(estimate, 'Unable to estimate price'))}</p>`;
+                return;
+            }
+
+            liveEstimate.innerHTML = `
+                <div class="estimate-lines">
+                    ${estimate.items.map(item => `
+                        <p>${item.quantity} × ${escapeHtml(item.meshType)} (${escapeHtml(item.materialType)}), ${item.area} m² @ KES ${item.unitPrice.toLocaleString()}/m²: KES ${item.lineTotal.toLocaleString()}</p>
+                    `).join('')}
+                </div>
+                ${estimate.installationTotal ? `<p>Installation: KES ${estimate.installationTotal.toLocaleString()}</p>` : ''}
+                ${estimate.transport.fee ? `<p>Transport: KES ${estimate.transport.fee.toLocaleString()}</p>` : ''}
+                ${estimate.vat ? `<p>VAT (${Math.round(estimate.vatRate * 100)}%): KES ${estimate.vat.toLocaleString()}</p>` : ''}
+                <p class="estimate-total"><strong>Estimated total: KES ${estimate.total.toLocaleString()}</strong></p>
+                <p class="estimate-deposit">Deposit to confirm: KES ${estimate.deposit.toLocaleString()}</p>
+            `;
+        } catch (error) {
+            console.error('Error fetching estimate:', error);
+        }
     }
 
     function validateStep(step) {
@@ -565,6 +1311,20 @@ function initQuoteGenerator() {
     }
 }
 
+// Fetch the current price list
+async function loadPricing() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/pricing`);
+        if (!response.ok) throw new Error('Failed to fetch pricing');
+
+        const data = await response.json();
+        return data.items;
+    } catch (error) {
+        console.error('Error fetching pricing:', error);
+        return [];
+    }
+}
+
 // M-Pesa Integration
 function initMpesaIntegration() {
     const confirmMpesa = document.getElementById('confirmMpesa');
@@ -580,21 +1340,13 @@ function initMpesaIntegration() {
                 return;
             }
 
-            // Get quote details from form
-            const width = parseFloat(document.getElementById('windowWidth').value) || 1;
-            const height = parseFloat(document.getElementById('windowHeight').value) || 1;
-            const count = parseInt(document.getElementById('windowCount').value) || 1;
-            const meshType = document.getElementById('meshType').value;
-            
-            // Calculate deposit (50%)
-            const priceMatrix = {
-                'fixed': 1500, 'roller': 2800, 'slider': 2600, 'magnetic': 1800
-            };
-            const area = width * height;
-            const total = area * priceMatrix[meshType] * count;
-            const deposit = Math.round(total * 0.5);
+            const quoteId = document.getElementById('mpesaModal').dataset.quoteId;
+            if (!quoteId) {
+                showNotification('Please submit your quote before paying', 'error');
+                return;
+            }
 
-            initiatePayment('temp_quote', deposit, phone);
+            initiatePayment(quoteId, phone);
         });
     }
 
@@ -605,8 +1357,42 @@ function initMpesaIntegration() {
     }
 }
 
-// Enhanced payment function
-async function initiatePayment(quoteId, amount, phone = null) {
+// Show the next instalment due for a quote and ask for the M-Pesa number
+async function openPaymentModal(quoteId) {
+    const token = localStorage.getItem('expertPolyhomes_token');
+    if (!token) {
+        showNotification('Please sign in to make payment', 'error');
+        openModal('signInModal');
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_BASE_URL}/quotes/${quoteId}/balance`);
+        const balance = await response.json();
+
+        if (!response.ok) {
+            showNotification(errorMessage(balance, 'Could not load quote balance'), 'error');
+            return;
+        }
+
+        if (!balance.nextInstalment) {
+            showNotification('This quote is fully paid. Thank you!', 'success');
+            return;
+        }
+
+        const isDeposit = balance.nextInstalment.kind === 'deposit';
+        document.getElementById('mpesaTotal').textContent = balance.planTotal.toLocaleString();
+        document.getElementById('mpesaInstalmentLabel').textContent = isDeposit ? 'Deposit (50%)' : 'Balance';
+        document.getElementById('mpesaDeposit').textContent = balance.nextInstalment.outstanding.toLocaleString();
+        document.getElementById('mpesaModal').dataset.quoteId = quoteId;
+        openModal('mpesaModal');
+    } catch (error) {
+        showNotification('Payment service unavailable. Please try again.', 'error');
+    }
+}
+
+// Enhanced payment function - the server works out the amount due
+async function initiatePayment(quoteId, phone = null) {
     const token = localStorage.getItem('expertPolyhomes_token');
     const user = JSON.parse(localStorage.getItem('expertPolyhomes_user'));
     
@@ -627,15 +1413,11 @@ async function initiatePayment(quoteId, amount, phone = null) {
     showNotification('Initiating M-Pesa payment...', 'info');
 
     try {
-        const response = await fetch(`${API_BASE_URL}/mpesa/payment`, {
+        const response = await authFetch(`${API_BASE_URL}/mpesa/payment`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
+            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 phone: phone,
-                amount: amount,
                 quoteId: quoteId
             })
         });
@@ -647,9 +1429,9 @@ async function initiatePayment(quoteId, amount, phone = null) {
             closeModal('mpesaModal');
             
             // Poll for payment status
-            checkPaymentStatus(data.paymentId, token);
+            checkPaymentStatus(data.paymentId);
         } else {
-            showNotification(data.error || 'Payment initiation failed', 'error');
+            showNotification(errorMessage(data, 'Payment initiation failed'), 'error');
         }
     } catch (error) {
         showNotification('Payment service unavailable. Please try again.', 'error');
@@ -657,15 +1439,13 @@ async function initiatePayment(quoteId, amount, phone = null) {
 }
 
 // Check payment status
-async function checkPaymentStatus(paymentId, token) {
+async function checkPaymentStatus(paymentId) {
     const maxAttempts = 30; // 3 minutes max
     let attempts = 0;
 
     const checkStatus = async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/payment-status/${paymentId}`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
+            const response = await authFetch(`${API_BASE_URL}/payment-status/${paymentId}`);
             
             const data = await response.json();
             
@@ -676,6 +1456,9 @@ async function checkPaymentStatus(paymentId, token) {
             } else if (data.status === 'failed') {
                 showNotification('Payment failed. Please try again.', 'error');
                 return;
+            } else if (data.status === 'cancelled') {
+                showNotification('Payment was cancelled on your phone.', 'warning');
+                return;
             }
             
             // Continue polling if still pending
@@ -683,7 +1466,7 @@ async function checkPaymentStatus(paymentId, token) {
             if (attempts < maxAttempts) {
                 setTimeout(checkStatus, 6000); // Check every 6 seconds
             } else {
-                showNotification('Payment timeout. Please check your phone or try again.', 'warning');
+                showNotification('Still waiting for M-Pesa. Your dashboard will update once the payment is confirmed.', 'warning');
             }
         } catch (error) {
             console.error('Payment status check error:', error);
@@ -828,6 +1611,47 @@ function initDesignExplorer() {
     });
 }
 
+// Product card configurators - build up a multi-item quote
+function initQuoteConfigurators() {
+    const configuratorForms = document.querySelectorAll('.configurator-form');
+
+    configuratorForms.forEach(form => {
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            const type = this.getAttribute('data-type');
+            // Product cards measure in centimetres; quotes are priced in metres
+            const item = {
+                meshType: type,
+                materialType: document.getElementById(`${type}-material`).value,
+                width: parseFloat(document.getElementById(`${type}-width`).value) / 100,
+                height: parseFloat(document.getElementById(`${type}-height`).value) / 100,
+                quantity: parseInt(document.getElementById(`${type}-quantity`).value) || 1
+            };
+
+            if (!(item.width > 0) || !(item.height > 0)) {
+                showNotification('Please enter the width and height', 'error');
+                return;
+            }
+
+            const basket = getQuoteBasket();
+            basket.push(item);
+            localStorage.setItem('expertPolyhomes_quoteItems', JSON.stringify(basket));
+
+            showNotification(`Added ${item.quantity} ${type} net(s) to your quote (${basket.length} item(s))`, 'success');
+            openModal('quoteModal');
+        });
+    });
+}
+
+function getQuoteBasket() {
+    try {
+        return JSON.parse(localStorage.getItem('expertPolyhomes_quoteItems')) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
 // Service Map with Leaflet
 function initServiceMap() {
     const serviceMap = document.getElementById('serviceMap');
@@ -1064,6 +1888,23 @@ function throttle(func, limit) {
     }
 }
 
+function debounce(func, wait) {
+    let timeout;
+    return function() {
+        const args = arguments;
+        const context = this;
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func.apply(context, args), wait);
+    }
+}
+
+// Text from the server or the customer is escaped before it goes into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 function showNotification(message, type = 'info') {
     // Create notification element
     const notification = document.createElement('div');
@@ -1217,6 +2058,7 @@ window.ExpertPolyhomes = {
     openModal,
     closeModal,
     showNotification,
+    openPaymentModal,
     initiatePayment,
     loadUserDashboard
 };
\ No newline at end of file